@@ -1,6 +1,8 @@
+const { ApiError } = require('../utils/errors');
+
 const adminAuth = (req, res, next) => {
   if (req.userRole !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+    return next(new ApiError(403, 'Admin access required'));
   }
   next();
 };
@@ -1,27 +1,59 @@
 const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
 
-const authMiddleware = (req, res, next) => {
+const prisma = new PrismaClient();
+
+const authMiddleware = async (req, res, next) => {
+  let decoded;
   try {
     const token = req.headers.authorization?.split(' ')[1];
-    
+
     if (!token) {
-      return res.status(401).json({ error: 'Authentication required' });
+      return next(new ApiError(401, 'Authentication required'));
     }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    req.userRole = decoded.role;
-    req.user = decoded; // For compatibility
+
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(new ApiError(401, 'Invalid or expired token'));
+  }
+
+  try {
+    // Load the session and role from the database so logouts, role changes and
+    // disabled accounts take effect immediately instead of when the token expires
+    const session = decoded.sessionId && await prisma.session.findUnique({
+      where: { id: decoded.sessionId },
+      include: { user: { select: { id: true, role: true, isDisabled: true } } }
+    });
+
+    if (!session || session.userId !== decoded.userId) {
+      return next(new ApiError(401, 'Invalid or expired token'));
+    }
+
+    if (session.revokedAt || session.expiresAt < new Date()) {
+      return next(new ApiError(401, 'Session has been revoked', { code: 'SESSION_REVOKED' }));
+    }
+
+    const { user } = session;
+
+    if (user.isDisabled) {
+      return next(new ApiError(403, 'Account disabled', { code: 'ACCOUNT_DISABLED' }));
+    }
+
+    req.userId = user.id;
+    req.userRole = user.role;
+    req.sessionId = session.id;
+    req.user = { ...decoded, role: user.role }; // For compatibility
     next();
   } catch (error) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    next(error);
   }
 };
 
 // Admin only middleware
 const adminMiddleware = (req, res, next) => {
   if (req.userRole !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required' });
+    return next(new ApiError(403, 'Admin access required'));
   }
   next();
 };
@@ -29,4 +61,4 @@ const adminMiddleware = (req, res, next) => {
 // Export both ways for compatibility
 module.exports = authMiddleware;
 module.exports.authMiddleware = authMiddleware;
-module.exports.adminMiddleware = adminMiddleware;
\ No newline at end of file
+module.exports.adminMiddleware = adminMiddleware;
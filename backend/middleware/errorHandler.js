@@ -0,0 +1,32 @@
+const { ApiError } = require('../utils/errors');
+
+// 404 for unknown routes
+const notFoundHandler = (req, res, next) => {
+  next(new ApiError(404, 'Route not found'));
+};
+
+// Every error response has the shape { error: { code, message, details? } }
+const errorHandler = (err, req, res, next) => {
+  let error = err;
+
+  // Malformed JSON bodies are rejected by express.json() before reaching a route
+  if (err.type === 'entity.parse.failed') {
+    error = new ApiError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  } else if (!(err instanceof ApiError)) {
+    console.error(err.stack);
+    error = new ApiError(err.status || 500, err.status ? err.message : 'Something went wrong!');
+  }
+
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.details ? { details: error.details } : {})
+    }
+  });
+};
+
+module.exports = {
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,89 @@
+const multer = require('multer');
+const { ApiError } = require('../utils/errors');
+const { IMAGE_TYPES, MAX_IMAGE_SIZE, MAX_PRODUCT_IMAGES } = require('../services/productImages');
+
+// Parse multipart uploads (kept in memory; services store or read them).
+// Usage: uploadImages('images') -> req.files, uploadCatalogFile('file') -> req.file
+// Files of the wrong type, too large or too many fail with the usual { error } response
+// instead of multer's own errors.
+
+const MAX_CATALOG_SIZE = 10 * 1024 * 1024;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_PRODUCT_IMAGES },
+  fileFilter: (req, file, callback) => {
+    if (!IMAGE_TYPES[file.mimetype]) {
+      return callback(new ApiError(415, 'Images must be JPEG, PNG, WebP or GIF', {
+        code: 'INVALID_IMAGE',
+        details: [{ field: file.fieldname, location: 'body', message: `${file.originalname} is ${file.mimetype}` }]
+      }));
+    }
+    callback(null, true);
+  }
+});
+
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CATALOG_SIZE, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!/\.(csv|json)$/i.test(file.originalname)) {
+      return callback(new ApiError(415, 'Catalog files must be .csv or .json', {
+        code: 'INVALID_IMPORT_FILE',
+        details: [{ field: file.fieldname, location: 'body', message: `${file.originalname} is not a .csv or .json file` }]
+      }));
+    }
+    callback(null, true);
+  }
+});
+
+const multerErrors = (maxSize, maxFiles) => ({
+  LIMIT_FILE_SIZE: [413, 'FILE_TOO_LARGE', `Files can be at most ${maxSize / (1024 * 1024)} MB`],
+  LIMIT_FILE_COUNT: [400, 'TOO_MANY_FILES', `Upload at most ${maxFiles} file(s) at a time`],
+  LIMIT_UNEXPECTED_FILE: [400, 'VALIDATION_ERROR', 'Unexpected file field']
+});
+
+// Run a multer handler and turn its errors (and a missing file) into ApiErrors
+const handleUpload = (handler, field, errors) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const [status, code, message] = errors[error.code] || [400, 'BAD_REQUEST', error.message];
+      return next(new ApiError(status, message, {
+        code,
+        details: [{ field: error.field || field, location: 'body', message }]
+      }));
+    }
+    if (error instanceof ApiError) {
+      return next(error);
+    }
+    if (error) {
+      // Malformed multipart bodies
+      return next(new ApiError(400, 'Upload could not be read', { code: 'INVALID_UPLOAD' }));
+    }
+
+    if (!req.file && (!req.files || req.files.length === 0)) {
+      return next(new ApiError(400, 'Validation failed', {
+        code: 'VALIDATION_ERROR',
+        details: [{ field, location: 'body', message: 'Choose a file to upload' }]
+      }));
+    }
+    next();
+  });
+};
+
+const uploadImages = (field) => handleUpload(
+  imageUpload.array(field),
+  field,
+  multerErrors(MAX_IMAGE_SIZE, MAX_PRODUCT_IMAGES)
+);
+
+const uploadCatalogFile = (field) => handleUpload(
+  catalogUpload.single(field),
+  field,
+  multerErrors(MAX_CATALOG_SIZE, 1)
+);
+
+module.exports = {
+  uploadImages,
+  uploadCatalogFile
+};
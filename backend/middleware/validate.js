@@ -0,0 +1,39 @@
+const { ApiError } = require('../utils/errors');
+
+// Validate and coerce request input against zod schemas.
+// Usage: validate({ params: idParams, body: productSchema, query: listQuery })
+// On success the parsed values replace req.params/req.body/req.query.
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+  const parsed = {};
+
+  for (const source of ['params', 'query', 'body']) {
+    if (!schemas[source]) continue;
+
+    const result = schemas[source].safeParse(req[source] ?? {});
+    if (result.success) {
+      parsed[source] = result.data;
+    } else {
+      for (const issue of result.error.issues) {
+        details.push({
+          field: issue.path.join('.') || source,
+          location: source,
+          message: issue.message
+        });
+      }
+    }
+  }
+
+  if (details.length > 0) {
+    return next(new ApiError(400, 'Validation failed', { code: 'VALIDATION_ERROR', details }));
+  }
+
+  for (const [source, value] of Object.entries(parsed)) {
+    // req.query is a getter in newer Express versions, so define it rather than assign
+    Object.defineProperty(req, source, { value, writable: true, configurable: true, enumerable: true });
+  }
+
+  next();
+};
+
+module.exports = validate;
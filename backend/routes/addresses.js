@@ -0,0 +1,109 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { ApiError, toApiError } = require('../utils/errors');
+const { idParams } = require('../validators/common');
+const { addressBody, updateAddressBody } = require('../validators/addresses');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All address routes require authentication
+router.use(authMiddleware);
+
+const findOwnAddress = (id, userId) => prisma.address.findFirst({ where: { id, userId } });
+
+// GET saved addresses (default first)
+router.get('/', async (req, res, next) => {
+  try {
+    const addresses = await prisma.address.findMany({
+      where: { userId: req.userId },
+      orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    res.json(addresses);
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    next(toApiError(error, 'Failed to fetch addresses'));
+  }
+});
+
+// CREATE address. The first address becomes the default.
+router.post('/', validate({ body: addressBody }), async (req, res, next) => {
+  try {
+    const address = await prisma.$transaction(async (tx) => {
+      const existing = await tx.address.count({ where: { userId: req.userId } });
+      const isDefault = existing === 0 || Boolean(req.body.isDefault);
+
+      if (isDefault) {
+        await tx.address.updateMany({ where: { userId: req.userId }, data: { isDefault: false } });
+      }
+
+      return tx.address.create({
+        data: { ...req.body, isDefault, userId: req.userId }
+      });
+    });
+
+    res.status(201).json(address);
+  } catch (error) {
+    console.error('Create address error:', error);
+    next(toApiError(error, 'Failed to create address'));
+  }
+});
+
+// UPDATE address (setting isDefault clears it on the others)
+router.put('/:id', validate({ params: idParams, body: updateAddressBody }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await findOwnAddress(id, req.userId))) {
+      return next(new ApiError(404, 'Address not found'));
+    }
+
+    const address = await prisma.$transaction(async (tx) => {
+      if (req.body.isDefault) {
+        await tx.address.updateMany({ where: { userId: req.userId }, data: { isDefault: false } });
+      }
+      return tx.address.update({ where: { id }, data: req.body });
+    });
+
+    res.json(address);
+  } catch (error) {
+    console.error('Update address error:', error);
+    next(toApiError(error, 'Failed to update address'));
+  }
+});
+
+// DELETE address. If it was the default, the oldest remaining address takes over.
+router.delete('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingAddress = await findOwnAddress(id, req.userId);
+    if (!existingAddress) {
+      return next(new ApiError(404, 'Address not found'));
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.address.delete({ where: { id } });
+
+      if (existingAddress.isDefault) {
+        const replacement = await tx.address.findFirst({
+          where: { userId: req.userId },
+          orderBy: { createdAt: 'asc' }
+        });
+        if (replacement) {
+          await tx.address.update({ where: { id: replacement.id }, data: { isDefault: true } });
+        }
+      }
+    });
+
+    res.json({ message: 'Address deleted successfully' });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    next(toApiError(error, 'Failed to delete address'));
+  }
+});
+
+module.exports = router;
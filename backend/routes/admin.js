@@ -0,0 +1,664 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { uploadCatalogFile } = require('../middleware/upload');
+const { revokeUserSessions } = require('../services/tokens');
+const { NEXT_STATUS, allowedTransitions, transitionOrder } = require('../services/orderLifecycle');
+const { releaseReservations } = require('../services/stockReservation');
+const { refundOrderPayments } = require('../services/payments');
+const { adjustPoints, getPointsHistory } = require('../services/greenPoints');
+const { CATALOG_COLUMNS, importCatalog, exportCatalog } = require('../services/catalog');
+const { reviewAuthor, moderateReview, deleteReview } = require('../services/reviews');
+const { receiveStock, adjustStock, getStockMovements, getLowStock } = require('../services/inventory');
+const { getSalesAnalytics, getSustainabilityAnalytics } = require('../services/analytics');
+const { recalculateSavings } = require('../services/footprint');
+const { toCsv } = require('../utils/csv');
+const { ApiError, toApiError } = require('../utils/errors');
+const { idParams } = require('../validators/common');
+const {
+  listUsersQuery,
+  updateRoleBody,
+  updateStatusBody,
+  adjustPointsBody,
+  listReviewsQuery,
+  moderateReviewBody,
+  catalogImportQuery,
+  catalogExportQuery,
+  receiveStockBody,
+  adjustStockBody,
+  listStockMovementsQuery,
+  lowStockThresholdBody,
+  analyticsQuery
+} = require('../validators/admin');
+const { pointsHistoryQuery } = require('../validators/sustainability');
+const { updateOrderBody, adminListOrdersQuery, advanceOrderBody } = require('../validators/orders');
+const { promotionBody, updatePromotionBody, listPromotionsQuery, checkPromotion } = require('../validators/promotions');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Fields safe to return for a user (never the password hash)
+const userSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  isDisabled: true,
+  createdAt: true,
+  greenPoints: true,
+  totalCO2Saved: true,
+  totalPlasticSaved: true,
+  _count: { select: { orders: true } }
+};
+
+const adminOrderInclude = {
+  user: { select: { id: true, name: true, email: true } },
+  orderItems: {
+    include: {
+      product: { select: { id: true, name: true, imageUrl: true } }
+    }
+  },
+  statusHistory: {
+    orderBy: { createdAt: 'asc' },
+    include: { actor: { select: { id: true, name: true } } }
+  },
+  payments: {
+    orderBy: { createdAt: 'asc' }
+  },
+  promotionRedemptions: true
+};
+
+// Attach the statuses an admin can move the order to next
+const withTransitions = (order) => ({
+  ...order,
+  allowedTransitions: allowedTransitions(order.status, 'admin')
+});
+
+// Run a status change (refunding cancelled orders) and return the refreshed order
+const changeOrderStatus = async (req, orderId, toStatus, note) => {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  await prisma.$transaction(tx => transitionOrder(
+    tx, order, toStatus, { id: req.userId, role: req.userRole }, note
+  ));
+
+  if (toStatus === 'cancelled') {
+    await refundOrderPayments(orderId);
+  }
+
+  return prisma.order.findUnique({ where: { id: orderId }, include: adminOrderInclude });
+};
+
+// All admin routes require an authenticated admin
+router.use(authMiddleware, adminMiddleware);
+
+// GET users (search by name/email, filter by role or status)
+router.get('/users', validate({ query: listUsersQuery }), async (req, res, next) => {
+  try {
+    const { search, role, status, limit, page } = req.query;
+
+    const where = {};
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+    if (role) {
+      where.role = role;
+    }
+    if (status === 'disabled') {
+      where.isDisabled = true;
+    } else if (status === 'active') {
+      where.isDisabled = false;
+    }
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: userSelect,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    res.json({
+      users,
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    next(toApiError(error, 'Failed to fetch users'));
+  }
+});
+
+// GET single user
+router.get('/users/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: userSelect
+    });
+
+    if (!user) {
+      return next(new ApiError(404, 'User not found'));
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    next(toApiError(error, 'Failed to fetch user'));
+  }
+});
+
+// PROMOTE/DEMOTE user
+router.put('/users/:id/role', validate({ params: idParams, body: updateRoleBody }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (id === req.userId) {
+      return next(new ApiError(400, 'You cannot change your own role'));
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { id } });
+    if (!existingUser) {
+      return next(new ApiError(404, 'User not found'));
+    }
+
+    // Takes effect on the user's next request, since authMiddleware reads the role from the database
+    const user = await prisma.user.update({
+      where: { id },
+      data: { role },
+      select: userSelect
+    });
+
+    res.json(user);
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    next(toApiError(error, 'Failed to update user role'));
+  }
+});
+
+// DISABLE/ENABLE user
+router.put('/users/:id/status', validate({ params: idParams, body: updateStatusBody }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { disabled } = req.body;
+
+    if (id === req.userId) {
+      return next(new ApiError(400, 'You cannot disable your own account'));
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { id } });
+    if (!existingUser) {
+      return next(new ApiError(404, 'User not found'));
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: { isDisabled: disabled },
+      select: userSelect
+    });
+
+    // Sign a disabled user out of every device
+    if (disabled) {
+      await revokeUserSessions(id);
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Admin update status error:', error);
+    next(toApiError(error, 'Failed to update user status'));
+  }
+});
+
+// GET a user's green points ledger
+router.get('/users/:id/points', validate({ params: idParams, query: pointsHistoryQuery }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingUser = await prisma.user.findUnique({ where: { id } });
+    if (!existingUser) {
+      return next(new ApiError(404, 'User not found'));
+    }
+
+    res.json(await getPointsHistory(id, req.query));
+  } catch (error) {
+    console.error('Admin points history error:', error);
+    next(toApiError(error, 'Failed to fetch points history'));
+  }
+});
+
+// ADJUST a user's green points (recorded in their ledger with the admin and note)
+router.post('/users/:id/points', validate({ params: idParams, body: adjustPointsBody }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { points, note } = req.body;
+
+    const existingUser = await prisma.user.findUnique({ where: { id } });
+    if (!existingUser) {
+      return next(new ApiError(404, 'User not found'));
+    }
+
+    const entry = await prisma.$transaction(tx => adjustPoints(tx, {
+      userId: id,
+      points,
+      note,
+      actorId: req.userId
+    }));
+
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Admin adjust points error:', error);
+    next(toApiError(error, 'Failed to adjust green points'));
+  }
+});
+
+// DELETE a user without orders. Orders are accounting records (cancellations, analytics),
+// so users who have any can only be disabled.
+router.delete('/users/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.userId) {
+      return next(new ApiError(400, 'You cannot delete your own account'));
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      include: { _count: { select: { orders: true } } }
+    });
+    if (!existingUser) {
+      return next(new ApiError(404, 'User not found'));
+    }
+    if (existingUser._count.orders > 0) {
+      return next(new ApiError(409, 'This user has orders and cannot be deleted; disable the account instead', { code: 'USER_HAS_ORDERS' }));
+    }
+
+    // Held stock goes back on the shelf before the reservations cascade away
+    await prisma.$transaction(async (tx) => {
+      await releaseReservations(tx, { userId: id });
+      await tx.user.delete({ where: { id } });
+    });
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Admin delete user error:', error);
+    next(toApiError(error, 'Failed to delete user'));
+  }
+});
+
+// GET all orders (filter by status, customer, date range)
+router.get('/orders', validate({ query: adminListOrdersQuery }), async (req, res, next) => {
+  try {
+    const { status, userId, search, from, to, limit, page } = req.query;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (userId) {
+      where.userId = userId;
+    }
+    if (search) {
+      where.user = {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { email: { contains: search, mode: 'insensitive' } }
+        ]
+      };
+    }
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = from;
+      if (to) where.createdAt.lte = to;
+    }
+
+    const [orders, total] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        include: adminOrderInclude,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    res.json({
+      orders: orders.map(withTransitions),
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list orders error:', error);
+    next(toApiError(error, 'Failed to fetch orders'));
+  }
+});
+
+// GET single order with its status history
+router.get('/orders/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: adminOrderInclude
+    });
+
+    if (!order) {
+      return next(new ApiError(404, 'Order not found'));
+    }
+
+    res.json(withTransitions(order));
+  } catch (error) {
+    console.error('Admin get order error:', error);
+    next(toApiError(error, 'Failed to fetch order'));
+  }
+});
+
+// SET order status (must be a valid transition)
+router.put('/orders/:id/status', validate({ params: idParams, body: updateOrderBody }), async (req, res, next) => {
+  try {
+    const order = await changeOrderStatus(req, req.params.id, req.body.status, req.body.note);
+    res.json(withTransitions(order));
+  } catch (error) {
+    console.error('Admin update order status error:', error);
+    next(toApiError(error, 'Failed to update order status'));
+  }
+});
+
+// ADVANCE order to the next fulfillment step
+router.post('/orders/:id/advance', validate({ params: idParams, body: advanceOrderBody }), async (req, res, next) => {
+  try {
+    const existingOrder = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!existingOrder) {
+      return next(new ApiError(404, 'Order not found'));
+    }
+
+    const nextStatus = NEXT_STATUS[existingOrder.status];
+    if (!nextStatus) {
+      return next(new ApiError(409, `A ${existingOrder.status} order cannot be advanced`, { code: 'INVALID_TRANSITION' }));
+    }
+
+    const order = await changeOrderStatus(req, existingOrder.id, nextStatus, req.body.note);
+    res.json(withTransitions(order));
+  } catch (error) {
+    console.error('Admin advance order error:', error);
+    next(toApiError(error, 'Failed to advance order'));
+  }
+});
+
+// GET promotions (active=true|false to filter)
+router.get('/promotions', validate({ query: listPromotionsQuery }), async (req, res, next) => {
+  try {
+    const { active, limit, page } = req.query;
+
+    const where = active === undefined ? {} : { isActive: active };
+
+    const [promotions, total] = await Promise.all([
+      prisma.promotion.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.promotion.count({ where })
+    ]);
+
+    res.json({
+      promotions,
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list promotions error:', error);
+    next(toApiError(error, 'Failed to fetch promotions'));
+  }
+});
+
+// CREATE promotion
+router.post('/promotions', validate({ body: promotionBody }), async (req, res, next) => {
+  try {
+    const promotion = await prisma.promotion.create({ data: req.body });
+    res.status(201).json(promotion);
+  } catch (error) {
+    console.error('Admin create promotion error:', error);
+    next(toApiError(error, 'Failed to create promotion'));
+  }
+});
+
+// UPDATE promotion (cross-field rules are checked against the merged result)
+router.put('/promotions/:id', validate({ params: idParams, body: updatePromotionBody }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingPromotion = await prisma.promotion.findUnique({ where: { id } });
+    if (!existingPromotion) {
+      return next(new ApiError(404, 'Promotion not found'));
+    }
+
+    const details = [];
+    checkPromotion(
+      { ...existingPromotion, value: parseFloat(existingPromotion.value), ...req.body },
+      { addIssue: issue => details.push({ field: issue.path.join('.'), location: 'body', message: issue.message }) }
+    );
+    if (details.length > 0) {
+      return next(new ApiError(400, 'Validation failed', { code: 'VALIDATION_ERROR', details }));
+    }
+
+    const promotion = await prisma.promotion.update({ where: { id }, data: req.body });
+    res.json(promotion);
+  } catch (error) {
+    console.error('Admin update promotion error:', error);
+    next(toApiError(error, 'Failed to update promotion'));
+  }
+});
+
+// DELETE promotion (orders keep their redemption records)
+router.delete('/promotions/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await prisma.promotion.delete({ where: { id: req.params.id } });
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    console.error('Admin delete promotion error:', error);
+    next(toApiError(error, 'Failed to delete promotion'));
+  }
+});
+
+// GET reviews for moderation (pending by default, oldest first)
+router.get('/reviews', validate({ query: listReviewsQuery }), async (req, res, next) => {
+  try {
+    const { status, productId, page, limit } = req.query;
+    const where = { status, ...(productId ? { productId } : {}) };
+
+    const [reviews, total] = await Promise.all([
+      prisma.review.findMany({
+        where,
+        include: { user: reviewAuthor, product: { select: { id: true, name: true } } },
+        orderBy: { createdAt: status === 'pending' ? 'asc' : 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.review.count({ where })
+    ]);
+
+    res.json({
+      reviews,
+      pagination: {
+        total,
+        limit,
+        page,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list reviews error:', error);
+    next(toApiError(error, 'Failed to fetch reviews'));
+  }
+});
+
+// APPROVE or REJECT a review; only approved reviews are shown and count towards ratings
+router.put('/reviews/:id/status', validate({ params: idParams, body: moderateReviewBody }), async (req, res, next) => {
+  try {
+    const review = await moderateReview(req.params.id, req.body, req.userId);
+    res.json(review);
+  } catch (error) {
+    console.error('Admin moderate review error:', error);
+    next(toApiError(error, 'Failed to moderate review'));
+  }
+});
+
+// DELETE a review
+router.delete('/reviews/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const review = await prisma.review.findUnique({ where: { id: req.params.id } });
+    if (!review) {
+      return next(new ApiError(404, 'Review not found'));
+    }
+
+    await deleteReview(review);
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Admin delete review error:', error);
+    next(toApiError(error, 'Failed to delete review'));
+  }
+});
+
+// IMPORT products from a CSV or JSON file (multipart field "file"), upserting by SKU.
+// ?dryRun=true validates and reports what would change without saving anything.
+router.post('/catalog/import', validate({ query: catalogImportQuery }), uploadCatalogFile('file'), async (req, res, next) => {
+  try {
+    const report = await importCatalog(req.file, { dryRun: req.query.dryRun, actorId: req.userId });
+    res.json(report);
+  } catch (error) {
+    console.error('Admin catalog import error:', error);
+    next(toApiError(error, 'Failed to import catalog'));
+  }
+});
+
+// EXPORT the whole catalog as a CSV or JSON file in the import format
+router.get('/catalog/export', validate({ query: catalogExportQuery }), async (req, res, next) => {
+  try {
+    const { format } = req.query;
+    const rows = await exportCatalog();
+
+    res.attachment(`catalog-${new Date().toISOString().slice(0, 10)}.${format}`);
+    if (format === 'csv') {
+      res.send(toCsv(rows, CATALOG_COLUMNS));
+    } else {
+      res.json(rows);
+    }
+  } catch (error) {
+    console.error('Admin catalog export error:', error);
+    next(toApiError(error, 'Failed to export catalog'));
+  }
+});
+
+// GET variants at or below their low-stock threshold
+router.get('/inventory/low-stock', async (req, res, next) => {
+  try {
+    res.json(await getLowStock());
+  } catch (error) {
+    console.error('Admin low stock error:', error);
+    next(toApiError(error, 'Failed to fetch low-stock variants'));
+  }
+});
+
+// GET the stock ledger (filter by variantId, productId or type)
+router.get('/inventory/movements', validate({ query: listStockMovementsQuery }), async (req, res, next) => {
+  try {
+    res.json(await getStockMovements(req.query));
+  } catch (error) {
+    console.error('Admin stock movements error:', error);
+    next(toApiError(error, 'Failed to fetch stock movements'));
+  }
+});
+
+// RECEIVE stock for one or more variants (a delivery)
+router.post('/inventory/receive', validate({ body: receiveStockBody }), async (req, res, next) => {
+  try {
+    const movements = await receiveStock({ ...req.body, actorId: req.userId });
+    res.status(201).json(movements);
+  } catch (error) {
+    console.error('Admin receive stock error:', error);
+    next(toApiError(error, 'Failed to receive stock'));
+  }
+});
+
+// ADJUST a variant's stock (damage, loss, recount); the note gives the reason
+router.post('/inventory/adjust', validate({ body: adjustStockBody }), async (req, res, next) => {
+  try {
+    const movement = await adjustStock({ ...req.body, actorId: req.userId });
+    res.status(201).json(movement);
+  } catch (error) {
+    console.error('Admin adjust stock error:', error);
+    next(toApiError(error, 'Failed to adjust stock'));
+  }
+});
+
+// SET a variant's low-stock threshold
+router.put('/inventory/variants/:id/threshold', validate({ params: idParams, body: lowStockThresholdBody }), async (req, res, next) => {
+  try {
+    const variant = await prisma.productVariant.update({
+      where: { id: req.params.id },
+      data: { lowStockThreshold: req.body.lowStockThreshold }
+    });
+    res.json(variant);
+  } catch (error) {
+    console.error('Admin low stock threshold error:', error);
+    next(toApiError(error, 'Failed to update low-stock threshold'));
+  }
+});
+
+// GET sales analytics: revenue, orders, average order value and top products over a range
+router.get('/analytics/sales', validate({ query: analyticsQuery }), async (req, res, next) => {
+  try {
+    res.json(await getSalesAnalytics(req.query));
+  } catch (error) {
+    console.error('Admin sales analytics error:', error);
+    next(toApiError(error, 'Failed to fetch sales analytics'));
+  }
+});
+
+// GET store-wide sustainability analytics over a range
+router.get('/analytics/sustainability', validate({ query: analyticsQuery }), async (req, res, next) => {
+  try {
+    res.json(await getSustainabilityAnalytics(req.query));
+  } catch (error) {
+    console.error('Admin sustainability analytics error:', error);
+    next(toApiError(error, 'Failed to fetch sustainability analytics'));
+  }
+});
+
+// RECALCULATE every order's and user's CO2/plastic savings from the footprints the items were bought with
+router.post('/sustainability/recalculate', async (req, res, next) => {
+  try {
+    const result = await recalculateSavings();
+    res.json({ message: 'Savings recalculated successfully', ...result });
+  } catch (error) {
+    console.error('Admin recalculate savings error:', error);
+    next(toApiError(error, 'Failed to recalculate savings'));
+  }
+});
+
+module.exports = router;
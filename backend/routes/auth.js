@@ -1,21 +1,62 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware } = require('../middleware/auth');
+const { createSession, rotateSession, revokeUserSessions } = require('../services/tokens');
+const { TOKEN_TYPES, issueAuthToken, consumeAuthToken } = require('../services/authTokens');
+const { sendMail } = require('../services/mailer');
+const validate = require('../middleware/validate');
+const { ApiError, toApiError } = require('../utils/errors');
+const { idParams } = require('../validators/common');
+const {
+  registerBody,
+  loginBody,
+  refreshBody,
+  tokenBody,
+  forgotPasswordBody,
+  resetPasswordBody
+} = require('../validators/auth');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user.id, TOKEN_TYPES.EMAIL_VERIFICATION);
+  const link = `${FRONTEND_URL}/?verifyToken=${token}`;
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your SmartCart email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAuthToken(user.id, TOKEN_TYPES.PASSWORD_RESET);
+  const link = `${FRONTEND_URL}/?resetToken=${token}`;
+  
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your SmartCart password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.`
+  });
+};
+
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', validate({ body: registerBody }), async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
+    // Role is never taken from the client; admins are promoted via /api/admin/users
+    const { name, email, password } = req.body;
     
     // Check if user exists
     const existingUser = await prisma.user.findUnique({ where: { email } });
     if (existingUser) {
-      return res.status(400).json({ error: 'Email already registered' });
+      return next(new ApiError(409, 'Email already registered', {
+        code: 'EMAIL_TAKEN',
+        details: [{ field: 'email', message: 'Email already registered' }]
+      }));
     }
     
     // Hash password
@@ -27,7 +68,7 @@ router.post('/register', async (req, res) => {
         name,
         email,
         password: hashedPassword,
-        role: role || 'user',
+        role: 'user',
         greenPoints: 0,
         totalCO2Saved: 0.0,
         totalPlasticSaved: 0.0
@@ -44,69 +85,257 @@ router.post('/register', async (req, res) => {
       }
     });
     
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Registration still succeeds if the mail can't be sent; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+    
+    // Start a session (short-lived access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, req);
     
     res.json({
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt)
       }
     });
   } catch (error) {
     console.error('Register error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    next(toApiError(error, 'Registration failed'));
   }
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', validate({ body: loginBody }), async (req, res, next) => {
   try {
     const { email, password } = req.body;
     
     // Find user
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return next(new ApiError(401, 'Invalid credentials', { code: 'INVALID_CREDENTIALS' }));
     }
     
     // Check password
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return next(new ApiError(401, 'Invalid credentials', { code: 'INVALID_CREDENTIALS' }));
     }
     
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (user.isDisabled) {
+      return next(new ApiError(403, 'Account disabled', { code: 'ACCOUNT_DISABLED' }));
+    }
+    
+    // Start a session (short-lived access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, req);
     
     res.json({
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt)
       }
     });
   } catch (error) {
     console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    next(toApiError(error, 'Login failed'));
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', validate({ body: refreshBody }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const tokens = await rotateSession(refreshToken);
+    if (!tokens) {
+      return next(new ApiError(401, 'Invalid or expired refresh token'));
+    }
+    
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh error:', error);
+    next(toApiError(error, 'Failed to refresh session'));
+  }
+});
+
+// Logout (revoke the current session)
+router.post('/logout', authMiddleware, async (req, res, next) => {
+  try {
+    await prisma.session.update({
+      where: { id: req.sessionId },
+      data: { revokedAt: new Date() }
+    });
+    
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    next(toApiError(error, 'Logout failed'));
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authMiddleware, async (req, res, next) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+    
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('List sessions error:', error);
+    next(toApiError(error, 'Failed to fetch sessions'));
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', authMiddleware, async (req, res, next) => {
+  try {
+    const { count } = await revokeUserSessions(req.userId, req.sessionId);
+    
+    res.json({ message: 'Other sessions revoked', revoked: count });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    next(toApiError(error, 'Failed to revoke sessions'));
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', authMiddleware, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: req.params.id,
+        userId: req.userId,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+    
+    if (count === 0) {
+      return next(new ApiError(404, 'Session not found'));
+    }
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    next(toApiError(error, 'Failed to revoke session'));
+  }
+});
+
+// Confirm an email address
+router.post('/verify-email', validate({ body: tokenBody }), async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    const userId = await consumeAuthToken(token, TOKEN_TYPES.EMAIL_VERIFICATION);
+    if (!userId) {
+      return next(new ApiError(400, 'Invalid or expired verification link', { code: 'INVALID_TOKEN' }));
+    }
+    
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date() }
+    });
+    
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    next(toApiError(error, 'Email verification failed'));
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    
+    if (user.emailVerifiedAt) {
+      return next(new ApiError(400, 'Email is already verified'));
+    }
+    
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    next(toApiError(error, 'Failed to send verification email'));
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', validate({ body: forgotPasswordBody }), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    const user = await prisma.user.findUnique({ where: { email } });
+    
+    // Same response whether or not the account exists, so emails can't be enumerated
+    if (user && !user.isDisabled) {
+      await sendPasswordResetEmail(user);
+    }
+    
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    next(toApiError(error, 'Failed to send reset link'));
+  }
+});
+
+// Set a new password using a reset token
+router.post('/reset-password', validate({ body: resetPasswordBody }), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    
+    const userId = await consumeAuthToken(token, TOKEN_TYPES.PASSWORD_RESET);
+    if (!userId) {
+      return next(new ApiError(400, 'Invalid or expired reset link', { code: 'INVALID_TOKEN' }));
+    }
+    
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await prisma.user.update({
+      where: { id: userId },
+      data: { password: hashedPassword }
+    });
+    
+    // Sign out everywhere so a compromised session can't outlive the reset
+    await revokeUserSessions(userId);
+    
+    res.json({ message: 'Password reset successfully. Please log in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    next(toApiError(error, 'Password reset failed'));
   }
 });
 
 // Get current user
-router.get('/me', authMiddleware, async (req, res) => {
+router.get('/me', authMiddleware, async (req, res, next) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.userId },
@@ -115,6 +344,7 @@ router.get('/me', authMiddleware, async (req, res) => {
         name: true,
         email: true,
         role: true,
+        emailVerifiedAt: true,
         greenPoints: true,
         totalCO2Saved: true,
         totalPlasticSaved: true
@@ -122,13 +352,13 @@ router.get('/me', authMiddleware, async (req, res) => {
     });
     
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      return next(new ApiError(404, 'User not found'));
     }
     
-    res.json(user);
+    res.json({ ...user, emailVerified: Boolean(user.emailVerifiedAt) });
   } catch (error) {
     console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user data' });
+    next(toApiError(error, 'Failed to get user data'));
   }
 });
 
@@ -1,6 +1,17 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { ApiError, toApiError } = require('../utils/errors');
+const { idParams } = require('../validators/common');
+const { addToCartBody, updateCartBody, swapCartItemBody, cartSummaryQuery } = require('../validators/cart');
+const { quoteAllShipping } = require('../services/shipping');
+const { priceCart, roundMoney } = require('../services/pricing');
+const { resolvePromotions } = require('../services/promotions');
+const { GREEN_POINTS_PER_DOLLAR, pointsToDiscount } = require('../services/greenPoints');
+const { variantOrder, cartItemInclude, addToCartLine } = require('../services/variants');
+const { saveForLater } = require('../services/wishlist');
+const { swapCartItem } = require('../services/greenerAlternatives');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -9,155 +20,213 @@ const prisma = new PrismaClient();
 router.use(authMiddleware);
 
 // GET user's cart
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
     const cartItems = await prisma.cartItem.findMany({
       where: { userId: req.userId },
-      include: {
-        product: true
-      }
+      include: cartItemInclude
     });
     
     res.json(cartItems);
   } catch (error) {
     console.error('Get cart error:', error);
-    res.status(500).json({ error: 'Failed to fetch cart' });
+    next(toApiError(error, 'Failed to fetch cart'));
   }
 });
 
-// ADD item to cart (CREATE)
-router.post('/', async (req, res) => {
+// GET price breakdown (subtotal, discounts, shipping, tax, total) for the current cart.
+// Includes the promotions that apply and, if a coupon was given but doesn't apply, why not.
+router.get('/summary', validate({ query: cartSummaryQuery }), async (req, res, next) => {
   try {
-    const { productId, quantity } = req.body;
+    const { addressId, shippingMethod, couponCode, redeemPoints } = req.query;
+    
+    const [cartItems, address, user] = await Promise.all([
+      prisma.cartItem.findMany({
+        where: { userId: req.userId },
+        include: cartItemInclude
+      }),
+      prisma.address.findFirst({
+        where: addressId ? { id: addressId, userId: req.userId } : { userId: req.userId, isDefault: true }
+      }),
+      prisma.user.findUnique({ where: { id: req.userId }, select: { greenPoints: true } })
+    ]);
+    
+    const { promotions, discountTotal, couponError } = await resolvePromotions({
+      userId: req.userId,
+      cartItems,
+      couponCode
+    });
     
-    if (!productId || !quantity || quantity < 1) {
-      return res.status(400).json({ error: 'Invalid product or quantity' });
-    }
+    // Show what the requested points are worth (capped at the balance and what's left to pay)
+    const subtotal = cartItems.reduce((sum, item) => sum + parseFloat(item.variant.price) * item.quantity, 0);
+    const points = pointsToDiscount({
+      requested: redeemPoints,
+      balance: user.greenPoints,
+      maxDiscount: roundMoney(subtotal - discountTotal)
+    });
+    
+    const { lines, ...summary } = priceCart({
+      items: cartItems,
+      shippingMethod,
+      address,
+      discountTotal: roundMoney(discountTotal + points.discount)
+    });
     
-    // Check if product exists and has enough stock
+    res.json({
+      ...summary,
+      promotions,
+      couponError,
+      points: {
+        balance: user.greenPoints,
+        pointsPerDollar: GREEN_POINTS_PER_DOLLAR,
+        redeemed: points.points,
+        discount: points.discount
+      }
+    });
+  } catch (error) {
+    console.error('Get cart summary error:', error);
+    next(toApiError(error, 'Failed to fetch cart summary'));
+  }
+});
+
+// GET shipping options (cost, CO2, delivery time) for the current cart
+router.get('/shipping-methods', async (req, res, next) => {
+  try {
+    const cartItems = await prisma.cartItem.findMany({
+      where: { userId: req.userId },
+      include: { variant: { select: { price: true } } }
+    });
+    
+    const subtotal = cartItems.reduce((sum, item) => sum + parseFloat(item.variant.price) * item.quantity, 0);
+    
+    res.json(quoteAllShipping(cartItems, subtotal));
+  } catch (error) {
+    console.error('Get shipping methods error:', error);
+    next(toApiError(error, 'Failed to fetch shipping methods'));
+  }
+});
+
+// ADD item to cart (CREATE)
+router.post('/', validate({ body: addToCartBody }), async (req, res, next) => {
+  try {
+    const { productId, variantId, quantity } = req.body;
+    
+    // Check if product and the chosen variant exist
     const product = await prisma.product.findUnique({
-      where: { id: parseInt(productId) }
+      where: { id: productId },
+      include: { variants: { where: variantId ? { id: variantId } : {}, orderBy: variantOrder, take: 1 } }
     });
     
     if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+      return next(new ApiError(404, 'Product not found'));
     }
     
-    if (product.stock < quantity) {
-      return res.status(400).json({ error: 'Insufficient stock' });
+    const [variant] = product.variants;
+    if (!variant) {
+      return next(new ApiError(404, 'Variant not found'));
     }
     
-    // Check if item already in cart
-    const existingCartItem = await prisma.cartItem.findUnique({
-      where: {
-        userId_productId: {
-          userId: req.userId,
-          productId: parseInt(productId)
-        }
-      }
-    });
-    
-    let cartItem;
-    
-    if (existingCartItem) {
-      // Update quantity
-      cartItem = await prisma.cartItem.update({
-        where: { id: existingCartItem.id },
-        data: {
-          quantity: existingCartItem.quantity + quantity
-        },
-        include: { product: true }
-      });
-    } else {
-      // Create new cart item
-      cartItem = await prisma.cartItem.create({
-        data: {
-          userId: req.userId,
-          productId: parseInt(productId),
-          quantity
-        },
-        include: { product: true }
-      });
-    }
+    // Merges with an existing line for the variant, checking stock for the combined quantity
+    const cartItem = await prisma.$transaction(tx => addToCartLine(tx, req.userId, variant, quantity));
     
     res.status(201).json(cartItem);
   } catch (error) {
     console.error('Add to cart error:', error);
-    res.status(500).json({ error: 'Failed to add item to cart' });
+    next(toApiError(error, 'Failed to add item to cart'));
   }
 });
 
 // UPDATE cart item quantity
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate({ params: idParams, body: updateCartBody }), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { quantity } = req.body;
     
-    if (!quantity || quantity < 1) {
-      return res.status(400).json({ error: 'Invalid quantity' });
-    }
-    
     // Check if cart item belongs to user
     const cartItem = await prisma.cartItem.findFirst({
       where: {
-        id: parseInt(id),
+        id,
         userId: req.userId
       },
-      include: { product: true }
+      include: cartItemInclude
     });
     
     if (!cartItem) {
-      return res.status(404).json({ error: 'Cart item not found' });
+      return next(new ApiError(404, 'Cart item not found'));
     }
     
     // Check stock
-    if (cartItem.product.stock < quantity) {
-      return res.status(400).json({ error: 'Insufficient stock' });
+    if (cartItem.variant.stock < quantity) {
+      return next(new ApiError(400, 'Insufficient stock', { code: 'INSUFFICIENT_STOCK' }));
     }
     
     const updatedCartItem = await prisma.cartItem.update({
-      where: { id: parseInt(id) },
+      where: { id },
       data: { quantity },
-      include: { product: true }
+      include: cartItemInclude
     });
     
     res.json(updatedCartItem);
   } catch (error) {
     console.error('Update cart error:', error);
-    res.status(500).json({ error: 'Failed to update cart item' });
+    next(toApiError(error, 'Failed to update cart item'));
   }
 });
 
 // DELETE cart item
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params;
     
     // Verify ownership
     const cartItem = await prisma.cartItem.findFirst({
       where: {
-        id: parseInt(id),
+        id,
         userId: req.userId
       }
     });
     
     if (!cartItem) {
-      return res.status(404).json({ error: 'Cart item not found' });
+      return next(new ApiError(404, 'Cart item not found'));
     }
     
     await prisma.cartItem.delete({
-      where: { id: parseInt(id) }
+      where: { id }
     });
     
     res.json({ message: 'Item removed from cart' });
   } catch (error) {
     console.error('Delete cart item error:', error);
-    res.status(500).json({ error: 'Failed to remove item from cart' });
+    next(toApiError(error, 'Failed to remove item from cart'));
+  }
+});
+
+// MOVE a cart item to the wishlist ("save for later")
+router.post('/:id/save-for-later', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const wishlistItem = await saveForLater(req.userId, req.params.id);
+    
+    res.json(wishlistItem);
+  } catch (error) {
+    console.error('Save for later error:', error);
+    next(toApiError(error, 'Failed to save item for later'));
+  }
+});
+
+// SWAP a cart item for another product (e.g. a greener alternative), keeping the quantity
+router.post('/:id/swap', validate({ params: idParams, body: swapCartItemBody }), async (req, res, next) => {
+  try {
+    const cartItem = await swapCartItem(req.userId, req.params.id, req.body);
+    
+    res.json(cartItem);
+  } catch (error) {
+    console.error('Swap cart item error:', error);
+    next(toApiError(error, 'Failed to swap cart item'));
   }
 });
 
 // CLEAR entire cart
-router.delete('/', async (req, res) => {
+router.delete('/', async (req, res, next) => {
   try {
     await prisma.cartItem.deleteMany({
       where: { userId: req.userId }
@@ -166,7 +235,7 @@ router.delete('/', async (req, res) => {
     res.json({ message: 'Cart cleared successfully' });
   } catch (error) {
     console.error('Clear cart error:', error);
-    res.status(500).json({ error: 'Failed to clear cart' });
+    next(toApiError(error, 'Failed to clear cart'));
   }
 });
 
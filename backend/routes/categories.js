@@ -0,0 +1,132 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { ApiError, toApiError } = require('../utils/errors');
+const { idParams } = require('../validators/common');
+const { categoryBody, updateCategoryBody } = require('../validators/categories');
+const { uniqueSlug, listCategories, checkParent } = require('../services/categories');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// GET all categories in tree order with depth and product counts
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await listCategories());
+  } catch (error) {
+    console.error('Get categories error:', error);
+    next(toApiError(error, 'Failed to fetch categories'));
+  }
+});
+
+// GET a category by slug, with its parent and subcategories
+router.get('/:slug', async (req, res, next) => {
+  try {
+    const categories = await listCategories();
+    const category = categories.find(entry => entry.slug === req.params.slug.toLowerCase());
+
+    if (!category) {
+      return next(new ApiError(404, 'Category not found'));
+    }
+
+    res.json({
+      ...category,
+      parent: categories.find(entry => entry.id === category.parentId) || null,
+      children: categories.filter(entry => entry.parentId === category.id)
+    });
+  } catch (error) {
+    console.error('Get category error:', error);
+    next(toApiError(error, 'Failed to fetch category'));
+  }
+});
+
+// CREATE category (Admin only)
+router.post('/', authMiddleware, adminMiddleware, validate({ body: categoryBody }), async (req, res, next) => {
+  try {
+    const { name, slug, description, parentId } = req.body;
+
+    await checkParent(null, parentId);
+
+    const category = await prisma.category.create({
+      data: {
+        name,
+        slug: slug || await uniqueSlug(name),
+        description: description || null,
+        parentId: parentId || null
+      }
+    });
+
+    res.status(201).json(category);
+  } catch (error) {
+    console.error('Create category error:', error);
+    next(toApiError(error, 'Failed to create category'));
+  }
+});
+
+// UPDATE category (Admin only). Renaming updates the category name stored on its products.
+router.put('/:id', authMiddleware, adminMiddleware, validate({ params: idParams, body: updateCategoryBody }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.category.findUnique({ where: { id } });
+    if (!existing) {
+      return next(new ApiError(404, 'Category not found'));
+    }
+
+    if (req.body.parentId !== undefined) {
+      await checkParent(id, req.body.parentId);
+    }
+
+    const category = await prisma.$transaction(async (tx) => {
+      const updated = await tx.category.update({ where: { id }, data: req.body });
+
+      if (updated.name !== existing.name) {
+        await tx.product.updateMany({ where: { categoryId: id }, data: { category: updated.name } });
+      }
+
+      return updated;
+    });
+
+    res.json(category);
+  } catch (error) {
+    console.error('Update category error:', error);
+    next(toApiError(error, 'Failed to update category'));
+  }
+});
+
+// DELETE category (Admin only). Only empty categories without subcategories can go.
+router.delete('/:id', authMiddleware, adminMiddleware, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const category = await prisma.category.findUnique({
+      where: { id },
+      include: { _count: { select: { products: true, children: true } } }
+    });
+
+    if (!category) {
+      return next(new ApiError(404, 'Category not found'));
+    }
+
+    if (category._count.products > 0 || category._count.children > 0) {
+      return next(new ApiError(409, 'Move this category\'s products and subcategories before deleting it', {
+        code: 'CATEGORY_IN_USE',
+        details: [{
+          field: 'id',
+          location: 'params',
+          message: `${category._count.products} product(s), ${category._count.children} subcategory(ies)`
+        }]
+      }));
+    }
+
+    await prisma.category.delete({ where: { id } });
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    next(toApiError(error, 'Failed to delete category'));
+  }
+});
+
+module.exports = router;
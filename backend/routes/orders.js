@@ -1,94 +1,203 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { ApiError, toApiError } = require('../utils/errors');
+const { allowedTransitions, recordStatusChange, transitionOrder } = require('../services/orderLifecycle');
+const { reserveCart, getReservation, releaseUserReservations, commitCartStock } = require('../services/stockReservation');
+const { chargeOrder, refundOrderPayments } = require('../services/payments');
+const { snapshotAddress } = require('../services/shipping');
+const { priceCart, roundMoney } = require('../services/pricing');
+const { resolvePromotions, redeemPromotions } = require('../services/promotions');
+const { pointsToDiscount, redeemPoints } = require('../services/greenPoints');
+const { cartItemInclude } = require('../services/variants');
+const { recordStockMovement } = require('../services/stockLedger');
+const { summarizeFootprint, footprintSnapshot } = require('../services/footprint');
+const { idParams } = require('../validators/common');
+const { createOrderBody, updateOrderBody, cancelOrderBody } = require('../validators/orders');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Items and status timeline returned with every order
+const orderInclude = {
+  orderItems: {
+    include: {
+      product: true
+    }
+  },
+  statusHistory: {
+    orderBy: { createdAt: 'asc' }
+  },
+  payments: {
+    orderBy: { createdAt: 'asc' }
+  },
+  promotionRedemptions: true
+};
+
+// Put a declined order's items back in the cart so the customer can try again
+const restoreCart = async (userId, orderId) => {
+  const orderItems = await prisma.orderItem.findMany({ where: { orderId, variantId: { not: null } } });
+  for (const item of orderItems) {
+    await prisma.cartItem.upsert({
+      where: { userId_variantId: { userId, variantId: item.variantId } },
+      create: { userId, productId: item.productId, variantId: item.variantId, quantity: item.quantity },
+      update: { quantity: item.quantity }
+    });
+  }
+};
+
 // All order routes require authentication
 router.use(authMiddleware);
 
 // GET all user's orders
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
     const orders = await prisma.order.findMany({
       where: { userId: req.userId },
-      include: {
-        orderItems: {
-          include: {
-            product: true
-          }
-        }
-      },
+      include: orderInclude,
       orderBy: { createdAt: 'desc' }
     });
     
     res.json(orders);
   } catch (error) {
     console.error('Get orders error:', error);
-    res.status(500).json({ error: 'Failed to fetch orders' });
+    next(toApiError(error, 'Failed to fetch orders'));
+  }
+});
+
+// GET the user's current stock reservation (null if none)
+router.get('/reservation', async (req, res, next) => {
+  try {
+    const reservation = await getReservation(req.userId);
+    res.json({ reservation });
+  } catch (error) {
+    console.error('Get reservation error:', error);
+    next(toApiError(error, 'Failed to fetch reservation'));
+  }
+});
+
+// RESERVE stock for the cart while the user is on the checkout step
+router.post('/reservation', async (req, res, next) => {
+  try {
+    const reservation = await reserveCart(req.userId);
+    res.status(201).json({ reservation });
+  } catch (error) {
+    console.error('Reserve stock error:', error);
+    next(toApiError(error, 'Failed to reserve stock'));
+  }
+});
+
+// RELEASE the user's reservation (e.g. they left checkout)
+router.delete('/reservation', async (req, res, next) => {
+  try {
+    await releaseUserReservations(req.userId);
+    res.json({ message: 'Reservation released' });
+  } catch (error) {
+    console.error('Release reservation error:', error);
+    next(toApiError(error, 'Failed to release reservation'));
   }
 });
 
 // GET single order
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
   try {
     const { id } = req.params;
     
     const order = await prisma.order.findFirst({
       where: {
-        id: parseInt(id),
+        id,
         userId: req.userId
       },
-      include: {
-        orderItems: {
-          include: {
-            product: true
-          }
-        }
-      }
+      include: orderInclude
     });
     
     if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+      return next(new ApiError(404, 'Order not found'));
     }
     
     res.json(order);
   } catch (error) {
     console.error('Get order error:', error);
-    res.status(500).json({ error: 'Failed to fetch order' });
+    next(toApiError(error, 'Failed to fetch order'));
   }
 });
 
-// CREATE order from cart
-router.post('/', async (req, res) => {
+// CREATE order from cart, then charge it. Orders start as awaiting_payment and move to
+// pending once the payment is captured; a declined payment cancels the order.
+router.post('/', validate({ body: createOrderBody }), async (req, res, next) => {
   try {
     // Get user's cart
     const cartItems = await prisma.cartItem.findMany({
       where: { userId: req.userId },
-      include: { product: true }
+      include: cartItemInclude
     });
     
     if (cartItems.length === 0) {
-      return res.status(400).json({ error: 'Cart is empty' });
+      return next(new ApiError(400, 'Cart is empty'));
+    }
+    
+    const { addressId, shippingMethod, couponCode, redeemPoints: pointsRequested } = req.body;
+    const address = await prisma.address.findFirst({
+      where: addressId ? { id: addressId, userId: req.userId } : { userId: req.userId, isDefault: true }
+    });
+    
+    if (!address) {
+      return next(new ApiError(400, addressId ? 'Address not found' : 'Add a shipping address before checking out', {
+        code: 'ADDRESS_REQUIRED',
+        details: [{ field: 'addressId', location: 'body', message: 'A saved address is required' }]
+      }));
     }
     
-    // Calculate total and sustainability metrics
-    let total = 0;
-    let totalCO2 = 0;
-    let totalPlastic = 0;
+    // A coupon that doesn't apply fails checkout rather than silently charging full price
+    const { promotions, discountTotal, couponError } = await resolvePromotions({
+      userId: req.userId,
+      cartItems,
+      couponCode
+    });
+    
+    if (couponError) {
+      return next(new ApiError(400, couponError, {
+        code: 'COUPON_INVALID',
+        details: [{ field: 'couponCode', location: 'body', message: couponError }]
+      }));
+    }
+    
+    // Green points pay for what's left after promotions; asking for more than the
+    // balance is an error, asking for more than the order is worth just uses less
+    let points = { points: 0, discount: 0 };
+    if (pointsRequested > 0) {
+      const user = await prisma.user.findUnique({ where: { id: req.userId }, select: { greenPoints: true } });
+      if (pointsRequested > user.greenPoints) {
+        return next(new ApiError(409, `You only have ${user.greenPoints} green points`, {
+          code: 'INSUFFICIENT_POINTS',
+          details: [{ field: 'redeemPoints', location: 'body', message: `You only have ${user.greenPoints} green points` }]
+        }));
+      }
+      const subtotal = cartItems.reduce((sum, item) => sum + parseFloat(item.variant.price) * item.quantity, 0);
+      points = pointsToDiscount({
+        requested: pointsRequested,
+        balance: user.greenPoints,
+        maxDiscount: roundMoney(subtotal - discountTotal)
+      });
+    }
+    
+    // Subtotal, discounts, shipping, tax and total
+    const price = priceCart({
+      items: cartItems,
+      shippingMethod,
+      address,
+      discountTotal: roundMoney(discountTotal + points.discount)
+    });
+    
+    // Calculate sustainability metrics: the footprint includes shipping CO2, savings are
+    // against conventional equivalents (services/footprint.js)
+    const footprint = summarizeFootprint(cartItems);
+    const totalCO2 = footprint.totalCO2 + price.shippingCO2;
+    const totalPlastic = footprint.totalPlastic;
     let greenPointsEarned = 0;
     
     for (const item of cartItems) {
-      if (item.product.stock < item.quantity) {
-        return res.status(400).json({
-          error: `Insufficient stock for ${item.product.name}`
-        });
-      }
-      total += parseFloat(item.product.price) * item.quantity;
-      totalCO2 += item.product.carbonFootprint * item.quantity;
-      totalPlastic += item.product.plasticContent * item.quantity;
-      
       // Award green points for eco-friendly products
       if (item.product.isEcoFriendly) {
         greenPointsEarned += item.quantity * 10;
@@ -109,47 +218,77 @@ router.post('/', async (req, res) => {
     
     // Create order with sustainability tracking
     const order = await prisma.$transaction(async (tx) => {
+      // Take stock first (using any reservation the user holds); throws 409 listing
+      // the items that can't be covered, which rolls back the whole checkout
+      await commitCartStock(tx, req.userId, cartItems);
+      
       // Create order
       const newOrder = await tx.order.create({
         data: {
           userId: req.userId,
-          total: total,
-          status: 'pending',
+          subtotal: price.subtotal,
+          discountTotal: price.discountTotal,
+          taxTotal: price.taxTotal,
+          total: price.total,
+          status: 'awaiting_payment',
           totalCO2: totalCO2,
           totalPlastic: totalPlastic,
+          co2Saved: footprint.co2Saved,
+          plasticSaved: footprint.plasticSaved,
           greenPointsEarned: greenPointsEarned,
-          packagingType: packagingType
+          pointsRedeemed: points.points,
+          pointsDiscount: points.discount,
+          packagingType: packagingType,
+          shippingMethod: price.shippingMethod,
+          shippingCost: price.shippingCost,
+          shippingCO2: price.shippingCO2,
+          shippingAddress: snapshotAddress(address)
         }
       });
       
-      // Create order items and update product stock
+      await recordStatusChange(tx, {
+        orderId: newOrder.id,
+        fromStatus: null,
+        toStatus: 'awaiting_payment',
+        actor: { id: req.userId, role: req.userRole }
+      });
+      
+      await redeemPromotions(tx, { orderId: newOrder.id, userId: req.userId, promotions });
+      
+      if (points.points > 0) {
+        await redeemPoints(tx, { userId: req.userId, points: points.points, orderId: newOrder.id });
+      }
+      
+      // Create order items
       for (const item of cartItems) {
         await tx.orderItem.create({
           data: {
             orderId: newOrder.id,
             productId: item.productId,
+            variantId: item.variantId,
+            sku: item.variant.sku,
+            variantName: item.variant.name,
             quantity: item.quantity,
-            price: item.product.price
+            price: item.variant.price,
+            ...footprintSnapshot(item.variant)
           }
         });
-        
-        await tx.product.update({
-          where: { id: item.productId },
-          data: {
-            stock: {
-              decrement: item.quantity
-            }
-          }
+        await recordStockMovement(tx, {
+          variantId: item.variantId,
+          type: 'sale',
+          quantity: -item.quantity,
+          orderId: newOrder.id,
+          note: `Order #${newOrder.id}`,
+          actorId: req.userId
         });
       }
       
-      // Update user's sustainability stats
+      // Update user's sustainability stats (green points are credited once payment is captured)
       await tx.user.update({
         where: { id: req.userId },
         data: {
-          greenPoints: { increment: greenPointsEarned },
-          totalCO2Saved: { increment: totalCO2 },
-          totalPlasticSaved: { increment: totalPlastic }
+          totalCO2Saved: { increment: footprint.co2Saved },
+          totalPlasticSaved: { increment: footprint.plasticSaved }
         }
       });
       
@@ -161,114 +300,95 @@ router.post('/', async (req, res) => {
       return newOrder;
     });
     
+    // Charge outside the transaction; payment events move the order on from awaiting_payment
+    const payment = await chargeOrder(order, req.body.paymentMethod);
+    
+    if (payment.status === 'failed') {
+      await restoreCart(req.userId, order.id);
+      return next(new ApiError(402, payment.failureReason || 'Payment was declined', { code: 'PAYMENT_DECLINED' }));
+    }
+    
     // Fetch complete order with items
     const completeOrder = await prisma.order.findUnique({
       where: { id: order.id },
-      include: {
-        orderItems: {
-          include: {
-            product: true
-          }
-        }
-      }
+      include: orderInclude
     });
     
     res.status(201).json(completeOrder);
   } catch (error) {
     console.error('Create order error:', error);
-    res.status(500).json({ error: 'Failed to create order' });
+    next(toApiError(error, 'Failed to create order'));
   }
 });
 
-// UPDATE order status
-router.put('/:id', async (req, res) => {
+// UPDATE order status (customers may only cancel pending orders; see services/orderLifecycle.js)
+router.put('/:id', validate({ params: idParams, body: updateOrderBody }), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
-    
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!status || !validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
+    const { status, note } = req.body;
     
     // Verify order belongs to user
     const existingOrder = await prisma.order.findFirst({
       where: {
-        id: parseInt(id),
+        id,
         userId: req.userId
       }
     });
     
     if (!existingOrder) {
-      return res.status(404).json({ error: 'Order not found' });
+      return next(new ApiError(404, 'Order not found'));
     }
     
-    const order = await prisma.order.update({
-      where: { id: parseInt(id) },
-      data: { status },
-      include: {
-        orderItems: {
-          include: {
-            product: true
-          }
-        }
-      }
-    });
+    await prisma.$transaction(tx => transitionOrder(
+      tx, existingOrder, status, { id: req.userId, role: req.userRole }, note
+    ));
+    
+    if (status === 'cancelled') {
+      await refundOrderPayments(id);
+    }
+    
+    const order = await prisma.order.findUnique({ where: { id }, include: orderInclude });
     
     res.json(order);
   } catch (error) {
     console.error('Update order error:', error);
-    res.status(500).json({ error: 'Failed to update order' });
+    next(toApiError(error, 'Failed to update order'));
   }
 });
 
-// DELETE/CANCEL order (only if pending)
-router.delete('/:id', async (req, res) => {
+// CANCEL order (only before processing). The order is kept with a 'cancelled' status and reason,
+// and any payment on it is refunded.
+router.delete('/:id', validate({ params: idParams, body: cancelOrderBody }), async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const order = await prisma.order.findFirst({
+    const existingOrder = await prisma.order.findFirst({
       where: {
-        id: parseInt(id),
+        id,
         userId: req.userId
-      },
-      include: {
-        orderItems: true
       }
     });
     
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    if (!existingOrder) {
+      return next(new ApiError(404, 'Order not found'));
     }
     
-    if (order.status !== 'pending') {
-      return res.status(400).json({ error: 'Can only cancel pending orders' });
+    if (!allowedTransitions(existingOrder.status, req.userRole).includes('cancelled')) {
+      return next(new ApiError(400, 'Can only cancel orders that have not started processing'));
     }
     
-    // Restore stock and delete order in transaction
-    await prisma.$transaction(async (tx) => {
-      // Restore product stock
-      for (const item of order.orderItems) {
-        await tx.product.update({
-          where: { id: item.productId },
-          data: {
-            stock: {
-              increment: item.quantity
-            }
-          }
-        });
-      }
-      
-      // Delete order (cascade will delete order items)
-      await tx.order.delete({
-        where: { id: parseInt(id) }
-      });
-    });
+    // Restore stock, reverse points/stats and record the cancellation in one transaction
+    await prisma.$transaction(tx => transitionOrder(
+      tx, existingOrder, 'cancelled', { id: req.userId, role: req.userRole }, req.body.reason
+    ));
+    await refundOrderPayments(id);
+    
+    const order = await prisma.order.findUnique({ where: { id }, include: orderInclude });
     
-    res.json({ message: 'Order cancelled successfully' });
+    res.json({ message: 'Order cancelled successfully', order });
   } catch (error) {
-    console.error('Delete order error:', error);
-    res.status(500).json({ error: 'Failed to cancel order' });
+    console.error('Cancel order error:', error);
+    next(toApiError(error, 'Failed to cancel order'));
   }
 });
 
@@ -0,0 +1,23 @@
+const express = require('express');
+const validate = require('../middleware/validate');
+const { toApiError } = require('../utils/errors');
+const { getProvider, handlePaymentEvent } = require('../services/payments');
+const { webhookParams } = require('../validators/payments');
+
+const router = express.Router();
+
+// Provider webhooks (no user auth; each provider verifies its own signature)
+router.post('/webhook/:provider', validate({ params: webhookParams }), async (req, res, next) => {
+  try {
+    const { name, provider } = getProvider(req.params.provider);
+    const event = await provider.parseWebhook(req);
+    const payment = await handlePaymentEvent(name, event);
+
+    res.json({ received: true, applied: Boolean(payment) });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    next(toApiError(error, 'Failed to process payment webhook'));
+  }
+});
+
+module.exports = router;
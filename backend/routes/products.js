@@ -1,167 +1,452 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { uploadImages } = require('../middleware/upload');
+const { scoreProduct, explainScore } = require('../services/sustainabilityScore');
+const { variantOrder, summarizeVariants, variantsFromBody, saveVariants } = require('../services/variants');
+const { descendantIds, findCategory } = require('../services/categories');
+const {
+  imageOrder,
+  syncCoverImage,
+  removeImageFiles,
+  addProductImages,
+  reorderProductImages,
+  deleteProductImage
+} = require('../services/productImages');
+const {
+  hasEcoClaims,
+  findVerifiedOrder,
+  saveReview,
+  deleteReview,
+  getProductReviews
+} = require('../services/reviews');
+const { ApiError, toApiError } = require('../utils/errors');
+const { idParams } = require('../validators/common');
+const {
+  listProductsQuery,
+  productBody,
+  imageParams,
+  imageOrderBody,
+  listReviewsQuery,
+  reviewBody
+} = require('../validators/products');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Get all products
-router.get('/', async (req, res) => {
+// Sort options for product listing (id is the tiebreaker so cursors stay stable)
+const SORT_OPTIONS = {
+  newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+  price_asc: [{ price: 'asc' }, { id: 'asc' }],
+  price_desc: [{ price: 'desc' }, { id: 'desc' }],
+  sustainability: [{ sustainabilityScore: 'desc' }, { id: 'desc' }],
+  carbon: [{ carbonFootprint: 'asc' }, { id: 'asc' }],
+  rating: [{ ratingAverage: 'desc' }, { ratingCount: 'desc' }, { id: 'desc' }]
+};
+
+// Build the Prisma where clause from validated listing query params
+// (categoryIds: the filtered category and its subcategories)
+const buildProductFilter = (query, categoryIds) => {
+  const where = {};
+  const and = [];
+
+  if (query.search) {
+    // Every search term must match the name, description or an eco tag
+    const terms = query.search.split(/\s+/).filter(Boolean);
+    for (const term of terms) {
+      and.push({
+        OR: [
+          { name: { contains: term, mode: 'insensitive' } },
+          { description: { contains: term, mode: 'insensitive' } },
+          { ecoTags: { has: term.toLowerCase() } }
+        ]
+      });
+    }
+  }
+
+  if (categoryIds) {
+    where.categoryId = { in: categoryIds };
+  }
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    where.price = {};
+    if (query.minPrice !== undefined) where.price.gte = query.minPrice;
+    if (query.maxPrice !== undefined) where.price.lte = query.maxPrice;
+  }
+
+  if (query.inStock) {
+    where.stock = { gt: 0 };
+  }
+
+  for (const flag of ['isEcoFriendly', 'recyclable', 'locallySourced']) {
+    if (query[flag]) {
+      where[flag] = true;
+    }
+  }
+
+  if (and.length > 0) {
+    where.AND = and;
+  }
+
+  return where;
+};
+
+const productInclude = {
+  variants: { orderBy: variantOrder },
+  images: { orderBy: imageOrder }
+};
+
+// Map a validated product body and its saved variants to Prisma data: the variant summary
+// (price, stock, footprint) plus the computed score and tags
+const toProductData = (body, variants) => {
+  const { variants: _variants, sku, ...fields } = body;
+  const data = { ...fields, imageUrl: fields.imageUrl || null, ...summarizeVariants(variants) };
+  return { ...data, ...scoreProduct(data) };
+};
+
+// Look up the body's category; the product stores its id and name
+const resolveCategory = async (body) => {
+  const category = await findCategory(body.categoryId ?? body.category);
+  if (!category) {
+    throw new ApiError(400, 'Category not found', {
+      code: 'CATEGORY_NOT_FOUND',
+      details: [{ field: body.categoryId ? 'categoryId' : 'category', location: 'body', message: 'Category not found' }]
+    });
+  }
+  return { ...body, category: category.name, categoryId: category.id };
+};
+
+// Create or update a product with its variants in one transaction. Uploaded images take
+// precedence over the body's imageUrl. actorId is recorded on opening stock movements.
+const saveProduct = (productId, body, actorId) => prisma.$transaction(async (tx) => {
+  const product = productId
+    ? { id: productId }
+    : await tx.product.create({ data: toProductData(body, variantsFromBody(body)) });
+
+  const variants = await saveVariants(tx, product.id, variantsFromBody(body), actorId);
+
+  await tx.product.update({
+    where: { id: product.id },
+    data: toProductData(body, variants)
+  });
+  await syncCoverImage(tx, product.id);
+
+  return tx.product.findUnique({ where: { id: product.id }, include: productInclude });
+});
+
+// Get products with search, filters, sorting and pagination
+// Query: search, category, minPrice, maxPrice, inStock, isEcoFriendly, recyclable,
+//        locallySourced, sort, page, limit, cursor (id of the last item seen)
+router.get('/', validate({ query: listProductsQuery }), async (req, res, next) => {
   try {
-    const products = await prisma.product.findMany({
-      orderBy: { createdAt: 'desc' }
+    const { sort, limit, page, cursor } = req.query;
+
+    // An unknown category matches nothing rather than being ignored
+    let categoryIds;
+    if (req.query.category) {
+      const category = await findCategory(req.query.category);
+      categoryIds = category ? await descendantIds(category.id) : [];
+    }
+    const where = buildProductFilter(req.query, categoryIds);
+
+    const findArgs = {
+      where,
+      orderBy: SORT_OPTIONS[sort],
+      take: limit + 1
+    };
+
+    if (cursor) {
+      findArgs.cursor = { id: cursor };
+      findArgs.skip = 1;
+    } else {
+      findArgs.skip = (page - 1) * limit;
+    }
+
+    const [rows, total] = await Promise.all([
+      prisma.product.findMany({ ...findArgs, include: productInclude }),
+      prisma.product.count({ where })
+    ]);
+
+    // We fetch one extra row to know whether another page exists
+    const hasMore = rows.length > limit;
+    const products = hasMore ? rows.slice(0, limit) : rows;
+
+    res.json({
+      products,
+      pagination: {
+        total,
+        limit,
+        page: cursor ? null : page,
+        totalPages: Math.ceil(total / limit),
+        hasMore,
+        nextCursor: hasMore ? products[products.length - 1].id : null
+      },
+      sort
     });
-    res.json(products);
   } catch (error) {
     console.error('Error fetching products:', error);
-    res.status(500).json({ error: 'Failed to fetch products' });
+    next(toApiError(error, 'Failed to fetch products'));
+  }
+});
+
+// Get why a product scored the way it did
+router.get('/:id/sustainability', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    res.json({
+      productId: product.id,
+      ...scoreProduct(product),
+      breakdown: explainScore(product)
+    });
+  } catch (error) {
+    console.error('Error explaining product score:', error);
+    next(toApiError(error, 'Failed to fetch sustainability breakdown'));
+  }
+});
+
+// Get a product's approved reviews with its rating summary
+router.get('/:id/reviews', validate({ params: idParams, query: listReviewsQuery }), async (req, res, next) => {
+  try {
+    const product = await prisma.product.findUnique({ where: { id: req.params.id } });
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    res.json(await getProductReviews(product, req.query));
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    next(toApiError(error, 'Failed to fetch reviews'));
+  }
+});
+
+// Get the current user's review of a product (any status) and whether they may review it
+router.get('/:id/reviews/mine', authMiddleware, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const product = await prisma.product.findUnique({ where: { id: req.params.id } });
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    const [review, order] = await Promise.all([
+      prisma.review.findUnique({ where: { userId_productId: { userId: req.userId, productId: product.id } } }),
+      findVerifiedOrder(req.userId, product.id)
+    ]);
+
+    res.json({
+      review,
+      canReview: Boolean(order),
+      hasEcoClaims: hasEcoClaims(product)
+    });
+  } catch (error) {
+    console.error('Error fetching own review:', error);
+    next(toApiError(error, 'Failed to fetch review'));
+  }
+});
+
+// Review a product (verified purchases only). Posting again replaces the user's review;
+// either way it waits for moderation.
+router.post('/:id/reviews', authMiddleware, validate({ params: idParams, body: reviewBody }), async (req, res, next) => {
+  try {
+    const product = await prisma.product.findUnique({ where: { id: req.params.id } });
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    const { review, created } = await saveReview(req.userId, product, req.body);
+
+    res.status(created ? 201 : 200).json(review);
+  } catch (error) {
+    console.error('Error saving review:', error);
+    next(toApiError(error, 'Failed to save review'));
+  }
+});
+
+// Delete the current user's review of a product
+router.delete('/:id/reviews/mine', authMiddleware, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const review = await prisma.review.findUnique({
+      where: { userId_productId: { userId: req.userId, productId: req.params.id } }
+    });
+    if (!review) {
+      return next(new ApiError(404, 'Review not found'));
+    }
+
+    await deleteReview(review);
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    next(toApiError(error, 'Failed to delete review'));
   }
 });
 
 // Get single product
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
   try {
     const product = await prisma.product.findUnique({
-      where: { id: parseInt(req.params.id) }
+      where: { id: req.params.id },
+      include: productInclude
     });
     
     if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+      return next(new ApiError(404, 'Product not found'));
     }
     
     res.json(product);
   } catch (error) {
     console.error('Error fetching product:', error);
-    res.status(500).json({ error: 'Failed to fetch product' });
+    next(toApiError(error, 'Failed to fetch product'));
   }
 });
 
 // Create product (Admin only)
-router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+router.post('/', authMiddleware, adminMiddleware, validate({ body: productBody }), async (req, res, next) => {
   try {
-    const {
-      name,
-      description,
-      price,
-      imageUrl,
-      stock,
-      category,
-      isEcoFriendly,
-      carbonFootprint,
-      plasticContent,
-      recyclable,
-      locallySourced
-    } = req.body;
-
-    console.log('Creating product with data:', {
-      name,
-      description,
-      price,
-      imageUrl,
-      stock,
-      category,
-      isEcoFriendly,
-      carbonFootprint,
-      plasticContent,
-      recyclable,
-      locallySourced
-    });
+    console.log('Creating product with data:', req.body);
 
-    // Create product with all fields including sustainability
-    const product = await prisma.product.create({
-      data: {
-        name,
-        description,
-        price: parseFloat(price),
-        imageUrl,
-        stock: parseInt(stock),
-        category,
-        // Sustainability fields with proper type conversion
-        isEcoFriendly: Boolean(isEcoFriendly),
-        carbonFootprint: parseFloat(carbonFootprint) || 0.0,
-        plasticContent: parseFloat(plasticContent) || 0.0,
-        recyclable: Boolean(recyclable),
-        locallySourced: Boolean(locallySourced),
-        sustainabilityScore: 0,
-        ecoTags: []
-      }
-    });
+    // Create product and its variants, with the computed score and tags
+    const product = await saveProduct(null, await resolveCategory(req.body), req.userId);
 
     console.log('Product created successfully:', product);
     res.status(201).json(product);
   } catch (error) {
     console.error('Error creating product:', error);
-    res.status(500).json({ error: 'Failed to create product' });
+    next(toApiError(error, 'Failed to create product'));
   }
 });
 
-// Update product (Admin only)
-router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+// Recompute score and tags for the whole catalog (Admin only)
+router.post('/rescore', authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
-    const {
-      name,
-      description,
-      price,
-      imageUrl,
-      stock,
-      category,
-      isEcoFriendly,
-      carbonFootprint,
-      plasticContent,
-      recyclable,
-      locallySourced
-    } = req.body;
-
-    console.log('Updating product with data:', {
-      name,
-      description,
-      price,
-      imageUrl,
-      stock,
-      category,
-      isEcoFriendly,
-      carbonFootprint,
-      plasticContent,
-      recyclable,
-      locallySourced
-    });
+    const products = await prisma.product.findMany();
 
-    const product = await prisma.product.update({
-      where: { id: parseInt(req.params.id) },
-      data: {
-        name,
-        description,
-        price: parseFloat(price),
-        imageUrl,
-        stock: parseInt(stock),
-        category,
-        // Sustainability fields with proper type conversion
-        isEcoFriendly: Boolean(isEcoFriendly),
-        carbonFootprint: parseFloat(carbonFootprint) || 0.0,
-        plasticContent: parseFloat(plasticContent) || 0.0,
-        recyclable: Boolean(recyclable),
-        locallySourced: Boolean(locallySourced)
+    let updated = 0;
+    for (const product of products) {
+      const { sustainabilityScore, ecoTags } = scoreProduct(product);
+      const tagsChanged = ecoTags.join(',') !== product.ecoTags.join(',');
+
+      if (sustainabilityScore !== product.sustainabilityScore || tagsChanged) {
+        await prisma.product.update({
+          where: { id: product.id },
+          data: { sustainabilityScore, ecoTags }
+        });
+        updated++;
       }
+    }
+
+    res.json({
+      message: 'Catalog rescored successfully',
+      total: products.length,
+      updated
     });
+  } catch (error) {
+    console.error('Error rescoring products:', error);
+    next(toApiError(error, 'Failed to rescore products'));
+  }
+});
+
+// Update product (Admin only). Stock is only used for new variants; existing variants' stock
+// changes through /api/admin/inventory so every change is in the stock ledger.
+router.put('/:id', authMiddleware, adminMiddleware, validate({ params: idParams, body: productBody }), async (req, res, next) => {
+  try {
+    console.log('Updating product with data:', req.body);
+
+    const { id } = req.params;
+    const existing = await prisma.product.findUnique({ where: { id }, include: productInclude });
+    if (!existing) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    // Without a variants list the product-level fields update its only variant
+    let body = req.body;
+    if (!body.variants) {
+      if (existing.variants.length > 1) {
+        return next(new ApiError(400, 'This product has several variants; send the variants list', {
+          code: 'VARIANTS_REQUIRED',
+          details: [{ field: 'variants', location: 'body', message: 'Required for products with several variants' }]
+        }));
+      }
+      const [only] = existing.variants;
+      if (only) {
+        body = { ...body, variants: [{ ...variantsFromBody(body)[0], id: only.id, name: only.name, sku: body.sku || only.sku }] };
+      }
+    }
+
+    const product = await saveProduct(id, await resolveCategory(body), req.userId);
 
     console.log('Product updated successfully:', product);
     res.json(product);
   } catch (error) {
     console.error('Error updating product:', error);
-    res.status(500).json({ error: 'Failed to update product' });
+    next(toApiError(error, 'Failed to update product'));
+  }
+});
+
+// Upload images (Admin only). Multipart form with one or more files in "images"; they are
+// added after the existing images. Returns the product's images in order.
+router.post('/:id/images', authMiddleware, adminMiddleware, validate({ params: idParams }), uploadImages('images'), async (req, res, next) => {
+  try {
+    const product = await prisma.product.findUnique({ where: { id: req.params.id } });
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    const images = await addProductImages(product.id, req.files);
+
+    res.status(201).json(images);
+  } catch (error) {
+    console.error('Error uploading product images:', error);
+    next(toApiError(error, 'Failed to upload images'));
+  }
+});
+
+// Reorder images (Admin only); the first becomes the product's main image
+router.put('/:id/images/order', authMiddleware, adminMiddleware, validate({ params: idParams, body: imageOrderBody }), async (req, res, next) => {
+  try {
+    const product = await prisma.product.findUnique({ where: { id: req.params.id } });
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    res.json(await reorderProductImages(product.id, req.body.imageIds));
+  } catch (error) {
+    console.error('Error reordering product images:', error);
+    next(toApiError(error, 'Failed to reorder images'));
+  }
+});
+
+// Delete an image and its files (Admin only)
+router.delete('/:id/images/:imageId', authMiddleware, adminMiddleware, validate({ params: imageParams }), async (req, res, next) => {
+  try {
+    res.json(await deleteProductImage(req.params.id, req.params.imageId));
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+    next(toApiError(error, 'Failed to delete image'));
   }
 });
 
 // Delete product (Admin only)
-router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, adminMiddleware, validate({ params: idParams }), async (req, res, next) => {
   try {
+    const images = await prisma.productImage.findMany({ where: { productId: req.params.id } });
+
     await prisma.product.delete({
-      where: { id: parseInt(req.params.id) }
+      where: { id: req.params.id }
     });
+    await removeImageFiles(images);
+
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     console.error('Error deleting product:', error);
-    res.status(500).json({ error: 'Failed to delete product' });
+    next(toApiError(error, 'Failed to delete product'));
   }
 });
 
@@ -1,13 +1,26 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { ApiError, toApiError } = require('../utils/errors');
+const { preferencesBody, pointsHistoryQuery, historyQuery, goalParams, goalBody } = require('../validators/sustainability');
+const { summarizeCartImpact } = require('../services/cartImpact');
+const { METHODOLOGY } = require('../services/footprint');
+const { findGreenerAlternatives } = require('../services/greenerAlternatives');
+const { getMonthlyHistory, goalProgress, getGoals, setGoal } = require('../services/sustainabilityHistory');
+const { expirePoints, getPointsHistory } = require('../services/greenPoints');
+const { cartItemInclude } = require('../services/variants');
+const { COUNTED_STATUSES } = require('../services/orderLifecycle');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 // GET user's sustainability dashboard
-router.get('/dashboard', authMiddleware, async (req, res) => {
+router.get('/dashboard', authMiddleware, async (req, res, next) => {
   try {
+    // Settle any points that expired since the last sweep so the balance is current
+    await expirePoints(req.userId);
+    
     const user = await prisma.user.findUnique({
       where: { id: req.userId },
       select: {
@@ -18,12 +31,12 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
     });
     
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      return next(new ApiError(404, 'User not found'));
     }
     
-    // Get user's eco-friendly purchases count
+    // Get user's eco-friendly purchases count (orders counted as in history and analytics)
     const ecoOrders = await prisma.order.findMany({
-      where: { userId: req.userId },
+      where: { userId: req.userId, status: { in: COUNTED_STATUSES } },
       include: {
         orderItems: {
           include: {
@@ -47,22 +60,99 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
     
     const userRank = allUsers.findIndex(u => u.id === req.userId) + 1;
     
+    // Footprint of what the user bought, next to what it saved against conventional
+    // equivalents (services/footprint.js), over the same orders as the monthly history
+    const footprint = await prisma.order.aggregate({
+      where: { userId: req.userId, status: { in: COUNTED_STATUSES } },
+      _sum: { totalCO2: true, totalPlastic: true }
+    });
+    
     res.json({
       greenPoints: user.greenPoints || 0,
       totalCO2Saved: user.totalCO2Saved || 0,
       totalPlasticSaved: user.totalPlasticSaved || 0,
+      totalCO2: footprint._sum.totalCO2 || 0,
+      totalPlastic: footprint._sum.totalPlastic || 0,
+      methodology: METHODOLOGY,
       ecoProductsPurchased: ecoProductCount,
       globalRank: userRank || 0,
       totalUsers: allUsers.length
     });
   } catch (error) {
     console.error('Dashboard error:', error);
-    res.status(500).json({ error: 'Failed to fetch dashboard' });
+    next(toApiError(error, 'Failed to fetch dashboard'));
+  }
+});
+
+// GET per-month CO2, plastic, savings, green points and eco share, oldest first, with the
+// user's goals and their progress this month
+router.get('/history', authMiddleware, validate({ query: historyQuery }), async (req, res, next) => {
+  try {
+    const [months, goals] = await Promise.all([
+      getMonthlyHistory(req.userId, req.query.months),
+      prisma.sustainabilityGoal.findMany({ where: { userId: req.userId }, orderBy: { id: 'asc' } })
+    ]);
+    
+    res.json({
+      months,
+      goals: goals.map(goal => goalProgress(goal, months[months.length - 1]))
+    });
+  } catch (error) {
+    console.error('Sustainability history error:', error);
+    next(toApiError(error, 'Failed to fetch sustainability history'));
+  }
+});
+
+// GET the user's monthly goals with progress this month
+router.get('/goals', authMiddleware, async (req, res, next) => {
+  try {
+    res.json(await getGoals(req.userId));
+  } catch (error) {
+    console.error('Get goals error:', error);
+    next(toApiError(error, 'Failed to fetch goals'));
+  }
+});
+
+// SET the monthly goal for a metric
+router.put('/goals/:metric', authMiddleware, validate({ params: goalParams, body: goalBody }), async (req, res, next) => {
+  try {
+    res.json(await setGoal(req.userId, req.params.metric, req.body.target));
+  } catch (error) {
+    console.error('Set goal error:', error);
+    next(toApiError(error, 'Failed to save goal'));
+  }
+});
+
+// DELETE the monthly goal for a metric
+router.delete('/goals/:metric', authMiddleware, validate({ params: goalParams }), async (req, res, next) => {
+  try {
+    const { count } = await prisma.sustainabilityGoal.deleteMany({
+      where: { userId: req.userId, metric: req.params.metric }
+    });
+    
+    if (count === 0) {
+      return next(new ApiError(404, 'Goal not found'));
+    }
+    
+    res.json({ message: 'Goal removed' });
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    next(toApiError(error, 'Failed to remove goal'));
+  }
+});
+
+// GET green points balance and ledger (newest first)
+router.get('/points', authMiddleware, validate({ query: pointsHistoryQuery }), async (req, res, next) => {
+  try {
+    res.json(await getPointsHistory(req.userId, req.query));
+  } catch (error) {
+    console.error('Points history error:', error);
+    next(toApiError(error, 'Failed to fetch points history'));
   }
 });
 
 // GET user preferences
-router.get('/preferences', authMiddleware, async (req, res) => {
+router.get('/preferences', authMiddleware, async (req, res, next) => {
   try {
     let preferences = await prisma.userPreference.findUnique({
       where: { userId: req.userId }
@@ -82,12 +172,12 @@ router.get('/preferences', authMiddleware, async (req, res) => {
     res.json(preferences);
   } catch (error) {
     console.error('Get preferences error:', error);
-    res.status(500).json({ error: 'Failed to fetch preferences' });
+    next(toApiError(error, 'Failed to fetch preferences'));
   }
 });
 
 // UPDATE user preferences
-router.put('/preferences', authMiddleware, async (req, res) => {
+router.put('/preferences', authMiddleware, validate({ body: preferencesBody }), async (req, res, next) => {
   try {
     const { packagingPreference, notifyGreenDeals, showCarbonFootprint } = req.body;
     
@@ -109,12 +199,12 @@ router.put('/preferences', authMiddleware, async (req, res) => {
     res.json(preferences);
   } catch (error) {
     console.error('Update preferences error:', error);
-    res.status(500).json({ error: 'Failed to update preferences' });
+    next(toApiError(error, 'Failed to update preferences'));
   }
 });
 
 // GET leaderboard
-router.get('/leaderboard', async (req, res) => {
+router.get('/leaderboard', async (req, res, next) => {
   try {
     const topUsers = await prisma.user.findMany({
       orderBy: { greenPoints: 'desc' },
@@ -130,12 +220,12 @@ router.get('/leaderboard', async (req, res) => {
     res.json(topUsers);
   } catch (error) {
     console.error('Leaderboard error:', error);
-    res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    next(toApiError(error, 'Failed to fetch leaderboard'));
   }
 });
 
 // Calculate cart's environmental impact
-router.get('/cart-impact', authMiddleware, async (req, res) => {
+router.get('/cart-impact', authMiddleware, async (req, res, next) => {
   try {
     console.log('=== CART IMPACT DEBUG ===');
     console.log('User ID from token:', req.userId);
@@ -143,36 +233,31 @@ router.get('/cart-impact', authMiddleware, async (req, res) => {
     
     const cartItems = await prisma.cartItem.findMany({
       where: { userId: req.userId },
-      include: { product: true }
+      include: cartItemInclude
     });
     
     console.log('Cart items found:', cartItems.length);
     console.log('Cart items:', JSON.stringify(cartItems, null, 2));
     
-    let totalCO2 = 0;
-    let totalPlastic = 0;
-    let ecoFriendlyCount = 0;
-    
-    cartItems.forEach(item => {
-      totalCO2 += (item.product.carbonFootprint || 0) * item.quantity;
-      totalPlastic += (item.product.plasticContent || 0) * item.quantity;
-      if (item.product.isEcoFriendly) ecoFriendlyCount++;
+    res.json(summarizeCartImpact(cartItems));
+  } catch (error) {
+    console.error('Cart impact error:', error);
+    next(toApiError(error, 'Failed to calculate impact'));
+  }
+});
+
+// GET greener same-category alternatives for each cart item, with the potential saving
+router.get('/alternatives', authMiddleware, async (req, res, next) => {
+  try {
+    const cartItems = await prisma.cartItem.findMany({
+      where: { userId: req.userId },
+      include: cartItemInclude
     });
     
-    // Calculate potential green points
-    const potentialGreenPoints = Math.floor(ecoFriendlyCount * 10);
-    
-    res.json({
-      totalCO2: Math.round(totalCO2 * 10) / 10, // Round to 1 decimal as number
-      totalPlastic: Math.round(totalPlastic), // Round to integer as number
-      ecoFriendlyItems: ecoFriendlyCount,
-      totalItems: cartItems.length,
-      potentialGreenPoints,
-      ecoPercentage: cartItems.length > 0 ? Math.round((ecoFriendlyCount / cartItems.length) * 100) : 0
-    });
+    res.json(await findGreenerAlternatives(cartItems));
   } catch (error) {
-    console.error('Cart impact error:', error);
-    res.status(500).json({ error: 'Failed to calculate impact' });
+    console.error('Alternatives error:', error);
+    next(toApiError(error, 'Failed to find greener alternatives'));
   }
 });
 
@@ -0,0 +1,104 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { ApiError, toApiError } = require('../utils/errors');
+const { idParams } = require('../validators/common');
+const { addToWishlistBody, updateWishlistBody } = require('../validators/wishlist');
+const { variantOrder } = require('../services/variants');
+const { wishlistItemInclude, saveToWishlist, updateWishlistItem, moveToCart } = require('../services/wishlist');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All wishlist routes require authentication
+router.use(authMiddleware);
+
+// GET user's wishlist, most recently saved first
+router.get('/', async (req, res, next) => {
+  try {
+    const items = await prisma.wishlistItem.findMany({
+      where: { userId: req.userId },
+      include: wishlistItemInclude,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+    });
+
+    res.json(items);
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    next(toApiError(error, 'Failed to fetch wishlist'));
+  }
+});
+
+// ADD item to wishlist (or update the one already saved for that variant).
+// Out-of-stock variants can be saved; that is what restock alerts are for.
+router.post('/', validate({ body: addToWishlistBody }), async (req, res, next) => {
+  try {
+    const { productId, variantId, ...options } = req.body;
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      include: { variants: { where: variantId ? { id: variantId } : {}, orderBy: variantOrder, take: 1 } }
+    });
+
+    if (!product) {
+      return next(new ApiError(404, 'Product not found'));
+    }
+
+    const [variant] = product.variants;
+    if (!variant) {
+      return next(new ApiError(404, 'Variant not found'));
+    }
+
+    const item = await saveToWishlist(req.userId, variant, options);
+
+    res.status(201).json(item);
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    next(toApiError(error, 'Failed to add item to wishlist'));
+  }
+});
+
+// UPDATE quantity or notification settings
+router.put('/:id', validate({ params: idParams, body: updateWishlistBody }), async (req, res, next) => {
+  try {
+    const item = await updateWishlistItem(req.userId, req.params.id, req.body);
+
+    res.json(item);
+  } catch (error) {
+    console.error('Update wishlist error:', error);
+    next(toApiError(error, 'Failed to update wishlist item'));
+  }
+});
+
+// MOVE a wishlist item to the cart
+router.post('/:id/move-to-cart', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const cartItem = await moveToCart(req.userId, req.params.id);
+
+    res.json(cartItem);
+  } catch (error) {
+    console.error('Move to cart error:', error);
+    next(toApiError(error, 'Failed to move item to cart'));
+  }
+});
+
+// DELETE wishlist item
+router.delete('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { count } = await prisma.wishlistItem.deleteMany({
+      where: { id: req.params.id, userId: req.userId }
+    });
+
+    if (count === 0) {
+      return next(new ApiError(404, 'Wishlist item not found'));
+    }
+
+    res.json({ message: 'Item removed from wishlist' });
+  } catch (error) {
+    console.error('Delete wishlist item error:', error);
+    next(toApiError(error, 'Failed to remove item from wishlist'));
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,27 @@ const productRoutes = require('./routes/products');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
 const sustainabilityRoutes = require('./routes/sustainability');  // ADD THIS
+const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const addressRoutes = require('./routes/addresses');
+const categoryRoutes = require('./routes/categories');
+const wishlistRoutes = require('./routes/wishlist');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { releaseExpiredReservations } = require('./services/stockReservation');
+const { expirePoints, openLedgers } = require('./services/greenPoints');
+const { ensureDefaultVariants } = require('./services/variants');
+const { ensureProductCategories } = require('./services/categories');
+const { UPLOAD_DIR, isLocalStorage } = require('./services/storage');
+const { checkWishlistAlerts } = require('./services/wishlist');
+const { checkPaymentConfig, cancelUnpaidOrders } = require('./services/payments');
+
+// Don't start without a payment provider checkout can use
+try {
+  checkPaymentConfig();
+} catch (error) {
+  console.error(`Payment configuration error: ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,32 +38,68 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Uploaded images, when they are stored on local disk
+if (isLocalStorage()) {
+  app.use('/uploads', express.static(UPLOAD_DIR, { maxAge: '7d' }));
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/sustainability', sustainabilityRoutes);  // ADD THIS
+app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/addresses', addressRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/wishlist', wishlistRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'GoCart API is running' });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(err.status || 500).json({
-    error: err.message || 'Something went wrong!'
-  });
-});
-
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
+app.use(notFoundHandler);
+
+// Error handling middleware (all errors respond with { error: { code, message, details } })
+app.use(errorHandler);
+
+// Green points balances from before the ledger existed get an opening entry
+openLedgers().catch(error => console.error('Open points ledgers error:', error));
+
+// Products from before categories existed are linked to a category named after their old one
+ensureProductCategories().catch(error => console.error('Product categories error:', error));
+
+// Put stock from expired checkout reservations back every minute
+setInterval(() => {
+  releaseExpiredReservations().catch(error => console.error('Release reservations error:', error));
+}, 60 * 1000).unref();
+
+// Cancel orders whose payment never arrived every 5 minutes, returning their stock
+setInterval(() => {
+  cancelUnpaidOrders().catch(error => console.error('Cancel unpaid orders error:', error));
+}, 5 * 60 * 1000).unref();
+
+// Expire unspent green points hourly (balances are also settled when a user views them)
+setInterval(() => {
+  expirePoints().catch(error => console.error('Expire points error:', error));
+}, 60 * 60 * 1000).unref();
+
+// Email wishlist restock and price-drop alerts every 15 minutes
+setInterval(() => {
+  checkWishlistAlerts().catch(error => console.error('Wishlist alerts error:', error));
+}, 15 * 60 * 1000).unref();
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server is running on http://localhost:${PORT}`);
-  console.log(`📊 Prisma Studio: npx prisma studio`);
-});
\ No newline at end of file
+// Products from before variants existed get a single "Standard" variant, and cart lines,
+// reservations and order items from then are linked to it. Carts and checkout expect every
+// line to have a variant, so requests are only taken once that's done.
+ensureDefaultVariants()
+  .catch(error => console.error('Default variants error:', error))
+  .finally(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server is running on http://localhost:${PORT}`);
+      console.log(`📊 Prisma Studio: npx prisma studio`);
+    });
+  });
\ No newline at end of file
@@ -0,0 +1,207 @@
+// Store analytics (admin)
+// Sales (revenue, orders, average order value, top products) and store-wide sustainability
+// aggregates (CO2 and plastic from Order.totalCO2/totalPlastic, eco product share, packaging
+// and shipping choices) over a date range, with a per-day/week/month series for charts.
+// Only COUNTED_STATUSES orders count (services/orderLifecycle.js), as in users' monthly history.
+// Periods are in UTC; weeks start on Monday.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { roundMoney } = require('./pricing');
+const { COUNTED_STATUSES } = require('./orderLifecycle');
+
+const prisma = new PrismaClient();
+
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_PERIODS = 400;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// { from, to } with defaults: the last DEFAULT_RANGE_DAYS days up to now
+const resolveRange = ({ from, to }) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  return { from: start, to: end };
+};
+
+// Start of the period containing date
+const periodStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextPeriod = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+const periodKey = (date) => date.toISOString().slice(0, 10);
+
+// Every period in the range as [key, row] with the given fields at 0; 400 if there are too many
+const emptySeries = ({ from, to }, interval, fields) => {
+  const series = new Map();
+  for (let start = periodStart(from, interval); start <= to; start = nextPeriod(start, interval)) {
+    if (series.size >= MAX_PERIODS) {
+      throw new ApiError(400, `The range has more than ${MAX_PERIODS} ${interval}s; choose a longer interval or a shorter range`, {
+        details: [{ field: 'interval', location: 'query', message: 'Too many periods for this range' }]
+      });
+    }
+    series.set(periodKey(start), { period: periodKey(start), ...Object.fromEntries(fields.map(field => [field, 0])) });
+  }
+  return series;
+};
+
+const countedOrders = ({ from, to }) => ({
+  status: { in: COUNTED_STATUSES },
+  createdAt: { gte: from, lte: to }
+});
+
+const share = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Revenue, order count, average order value, a series per period and the best-selling products
+const getSalesAnalytics = async ({ from, to, interval, limit }) => {
+  const range = resolveRange({ from, to });
+  const where = countedOrders(range);
+  const series = emptySeries(range, interval, ['revenue', 'orders']);
+
+  const [totals, cancelled, orders, items] = await Promise.all([
+    prisma.order.aggregate({
+      where,
+      _sum: { total: true, subtotal: true, discountTotal: true, taxTotal: true, shippingCost: true },
+      _count: { _all: true }
+    }),
+    prisma.order.count({ where: { status: 'cancelled', createdAt: where.createdAt } }),
+    prisma.order.findMany({ where, select: { total: true, createdAt: true } }),
+    prisma.orderItem.findMany({ where: { order: where }, select: { productId: true, quantity: true, price: true } })
+  ]);
+
+  for (const order of orders) {
+    const row = series.get(periodKey(periodStart(order.createdAt, interval)));
+    row.revenue += parseFloat(order.total);
+    row.orders++;
+  }
+
+  const byProduct = new Map();
+  for (const item of items) {
+    const entry = byProduct.get(item.productId) || { productId: item.productId, unitsSold: 0, revenue: 0 };
+    entry.unitsSold += item.quantity;
+    entry.revenue += parseFloat(item.price) * item.quantity;
+    byProduct.set(item.productId, entry);
+  }
+  const top = [...byProduct.values()]
+    .sort((a, b) => b.revenue - a.revenue || b.unitsSold - a.unitsSold)
+    .slice(0, limit);
+  const products = await prisma.product.findMany({
+    where: { id: { in: top.map(entry => entry.productId) } },
+    select: { id: true, name: true, imageUrl: true, isEcoFriendly: true }
+  });
+
+  const revenue = parseFloat(totals._sum.total || 0);
+  const orderCount = totals._count._all;
+
+  return {
+    range: { ...range, interval },
+    totals: {
+      revenue: roundMoney(revenue),
+      orders: orderCount,
+      averageOrderValue: orderCount > 0 ? roundMoney(revenue / orderCount) : 0,
+      unitsSold: items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: roundMoney(parseFloat(totals._sum.subtotal || 0)),
+      discounts: roundMoney(parseFloat(totals._sum.discountTotal || 0)),
+      tax: roundMoney(parseFloat(totals._sum.taxTotal || 0)),
+      shipping: roundMoney(parseFloat(totals._sum.shippingCost || 0)),
+      cancelledOrders: cancelled
+    },
+    series: [...series.values()].map(row => ({ ...row, revenue: roundMoney(row.revenue) })),
+    topProducts: top.map(entry => ({
+      ...entry,
+      revenue: roundMoney(entry.revenue),
+      // null when the product has since been deleted
+      product: products.find(product => product.id === entry.productId) || null
+    }))
+  };
+};
+
+// Store-wide CO2 and plastic, eco product share and packaging/shipping choices
+const getSustainabilityAnalytics = async ({ from, to, interval }) => {
+  const range = resolveRange({ from, to });
+  const where = countedOrders(range);
+  const series = emptySeries(range, interval, ['co2', 'plastic', 'shippingCO2']);
+
+  const [totals, orders, units, ecoUnits, packaging, shipping, catalog, ecoCatalog] = await Promise.all([
+    prisma.order.aggregate({
+      where,
+      _sum: { totalCO2: true, totalPlastic: true, shippingCO2: true, co2Saved: true, plasticSaved: true },
+      _count: { _all: true }
+    }),
+    prisma.order.findMany({ where, select: { totalCO2: true, totalPlastic: true, shippingCO2: true, createdAt: true } }),
+    prisma.orderItem.aggregate({ where: { order: where }, _sum: { quantity: true } }),
+    prisma.orderItem.aggregate({ where: { order: where, product: { isEcoFriendly: true } }, _sum: { quantity: true } }),
+    prisma.order.groupBy({ by: ['packagingType'], where, _count: { _all: true } }),
+    prisma.order.groupBy({ by: ['shippingMethod'], where, _count: { _all: true } }),
+    prisma.product.count(),
+    prisma.product.count({ where: { isEcoFriendly: true } })
+  ]);
+
+  for (const order of orders) {
+    const row = series.get(periodKey(periodStart(order.createdAt, interval)));
+    row.co2 += order.totalCO2;
+    row.plastic += order.totalPlastic;
+    row.shippingCO2 += order.shippingCO2;
+  }
+
+  const orderCount = totals._count._all;
+  const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+  const distribution = (groups, field) => groups
+    .map(group => ({ [field]: group[field], orders: group._count._all, share: share(group._count._all, orderCount) }))
+    .sort((a, b) => b.orders - a.orders);
+
+  const totalCO2 = totals._sum.totalCO2 || 0;
+  const totalPlastic = totals._sum.totalPlastic || 0;
+  const unitsSold = units._sum.quantity || 0;
+  const ecoUnitsSold = ecoUnits._sum.quantity || 0;
+
+  return {
+    range: { ...range, interval },
+    totals: {
+      orders: orderCount,
+      totalCO2: round(totalCO2),
+      totalPlastic: round(totalPlastic, 0),
+      shippingCO2: round(totals._sum.shippingCO2 || 0),
+      // Against conventional equivalents (services/footprint.js)
+      co2Saved: round(totals._sum.co2Saved || 0),
+      plasticSaved: round(totals._sum.plasticSaved || 0, 0),
+      co2PerOrder: orderCount > 0 ? round(totalCO2 / orderCount, 2) : 0,
+      plasticPerOrder: orderCount > 0 ? round(totalPlastic / orderCount) : 0,
+      unitsSold,
+      ecoUnitsSold,
+      // Share of units sold that are eco-friendly products, and of the current catalog
+      ecoProductShare: share(ecoUnitsSold, unitsSold),
+      catalogEcoShare: share(ecoCatalog, catalog)
+    },
+    packaging: distribution(packaging, 'packagingType'),
+    shippingMethods: distribution(shipping, 'shippingMethod'),
+    series: [...series.values()].map(row => ({
+      ...row,
+      co2: round(row.co2),
+      plastic: round(row.plastic, 0),
+      shippingCO2: round(row.shippingCO2)
+    }))
+  };
+};
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  getSalesAnalytics,
+  getSustainabilityAnalytics
+};
@@ -0,0 +1,63 @@
+// Single-use, expiring tokens for password reset and email verification
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./tokens');
+
+const prisma = new PrismaClient();
+
+const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TOKEN_TTL_MS = {
+  [TOKEN_TYPES.PASSWORD_RESET]: 60 * 60 * 1000, // 1 hour
+  [TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+// Issue a new token, invalidating any earlier unused token of the same type
+const issueAuthToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.authToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: now }
+    }),
+    prisma.authToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[type])
+      }
+    })
+  ]);
+
+  return token;
+};
+
+// Mark a token as used and return its userId, or null if it is unknown, expired or already used
+const consumeAuthToken = async (token, type) => {
+  const tokenHash = hashToken(token);
+  const authToken = await prisma.authToken.findUnique({ where: { tokenHash } });
+
+  if (!authToken || authToken.type !== type) {
+    return null;
+  }
+
+  // Conditional update so a token can only be consumed once, even concurrently
+  const { count } = await prisma.authToken.updateMany({
+    where: { id: authToken.id, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() }
+  });
+
+  return count === 1 ? authToken.userId : null;
+};
+
+module.exports = {
+  TOKEN_TYPES,
+  issueAuthToken,
+  consumeAuthToken
+};
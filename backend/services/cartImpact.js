@@ -0,0 +1,22 @@
+// Environmental impact of a cart, shared by /sustainability/cart-impact and the
+// promotion engine (green-deal rules look at ecoPercentage).
+// ecoPercentage is the share of cart lines (not units) that are eco-friendly products.
+// Footprints and savings against conventional baselines come from the chosen variant (cart
+// items need product and variant); see services/footprint.js.
+const { summarizeFootprint, roundFootprint } = require('./footprint');
+
+const summarizeCartImpact = (cartItems) => {
+  const ecoFriendlyCount = cartItems.filter(item => item.product.isEcoFriendly).length;
+
+  return {
+    ...roundFootprint(summarizeFootprint(cartItems)),
+    ecoFriendlyItems: ecoFriendlyCount,
+    totalItems: cartItems.length,
+    potentialGreenPoints: Math.floor(ecoFriendlyCount * 10),
+    ecoPercentage: cartItems.length > 0 ? Math.round((ecoFriendlyCount / cartItems.length) * 100) : 0
+  };
+};
+
+module.exports = {
+  summarizeCartImpact
+};
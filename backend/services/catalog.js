@@ -0,0 +1,361 @@
+// Catalog import and export
+// The file format (CSV, or a JSON array of the same objects) has one row per variant, keyed by
+// SKU. A product's first row carries the product fields; its other variants set parentSku to
+// that row's SKU. Import upserts by SKU: known SKUs update their variant and product, new ones
+// create products or variants, and variants missing from the file are left alone. An import
+// with any invalid row changes nothing. Stock given for a known SKU replaces its stock (a
+// stocktake); the difference is recorded in the stock ledger as an adjustment. Without stock a
+// known SKU keeps its current stock. Exports also carry exportedStock, the stock at export
+// time: a row whose stock is still that value keeps the current stock (so sales since the
+// export aren't undone), and a row that changes it is rejected if the stock has moved since.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+const { catalogRow } = require('../validators/admin');
+const { scoreProduct } = require('./sustainabilityScore');
+const { variantOrder, summarizeVariants } = require('./variants');
+const { findCategory, uniqueSlug } = require('./categories');
+const { syncCoverImage } = require('./productImages');
+const { recordStockMovement } = require('./stockLedger');
+
+const prisma = new PrismaClient();
+
+const CATALOG_COLUMNS = [
+  'sku',
+  'parentSku',
+  'name',
+  'description',
+  'category',
+  'variantName',
+  'price',
+  'stock',
+  'exportedStock',
+  'carbonFootprint',
+  'plasticContent',
+  'baselineCarbonFootprint',
+  'baselinePlasticContent',
+  'isEcoFriendly',
+  'recyclable',
+  'locallySourced',
+  'imageUrl'
+];
+
+// Row column -> model field
+const PRODUCT_FIELDS = {
+  name: 'name',
+  description: 'description',
+  isEcoFriendly: 'isEcoFriendly',
+  recyclable: 'recyclable',
+  locallySourced: 'locallySourced',
+  imageUrl: 'imageUrl'
+};
+const VARIANT_FIELDS = {
+  variantName: 'name',
+  price: 'price',
+  stock: 'stock',
+  carbonFootprint: 'carbonFootprint',
+  plasticContent: 'plasticContent',
+  baselineCarbonFootprint: 'baselineCarbonFootprint',
+  baselinePlasticContent: 'baselinePlasticContent'
+};
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 5000;
+
+// The fields of a row that were given (missing ones keep their current value)
+const given = (row, fields) => Object.fromEntries(Object.entries(fields)
+  .filter(([from]) => row[from] !== undefined)
+  .map(([from, to]) => [to, row[from]]));
+
+// Uploaded file -> { format, rows } with one plain object per row
+const readCatalogFile = (file) => {
+  const format = /\.json$/i.test(file.originalname) || file.mimetype === 'application/json' ? 'json' : 'csv';
+  let rows;
+
+  try {
+    const text = file.buffer.toString('utf8');
+    if (format === 'json') {
+      const data = JSON.parse(text);
+      rows = Array.isArray(data) ? data : data?.products;
+      if (!Array.isArray(rows)) throw new Error('expected an array of rows');
+    } else {
+      const [header, ...records] = parseCsv(text);
+      const columns = (header || []).map(column => column.trim());
+      if (!columns.includes('sku')) throw new Error('the header row must include a sku column');
+      rows = records.map(record => Object.fromEntries(columns.map((column, i) => [column, record[i] ?? ''])));
+    }
+  } catch (error) {
+    throw new ApiError(400, `Could not read the ${format.toUpperCase()} file: ${error.message}`, { code: 'INVALID_IMPORT_FILE' });
+  }
+
+  if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(400, `An import must have between 1 and ${MAX_IMPORT_ROWS} rows`, { code: 'INVALID_IMPORT_FILE' });
+  }
+
+  return { format, rows };
+};
+
+// Validate rows and work out what each would do. Row numbers are 1-based and don't count
+// the CSV header.
+const planImport = async (rawRows) => {
+  const errors = [];
+  const rowError = (row, field, message) => errors.push({ row, field, message });
+
+  const rows = [];
+  rawRows.forEach((raw, index) => {
+    const result = catalogRow.safeParse(raw);
+    if (result.success) {
+      rows.push({ row: index + 1, ...result.data });
+    } else {
+      result.error.issues.forEach(issue => rowError(index + 1, issue.path.join('.') || 'row', issue.message));
+    }
+  });
+
+  const rowBySku = new Map();
+  for (const row of rows) {
+    if (rowBySku.has(row.sku)) {
+      rowError(row.row, 'sku', `Duplicate SKU (also on row ${rowBySku.get(row.sku).row})`);
+    } else {
+      rowBySku.set(row.sku, row);
+    }
+  }
+
+  const skus = [...new Set(rows.flatMap(row => [row.sku, row.parentSku]).filter(Boolean))];
+  const existing = await prisma.productVariant.findMany({
+    where: { sku: { in: skus } },
+    include: { product: { select: { id: true, name: true } } }
+  });
+  const variantBySku = new Map(existing.map(variant => [variant.sku, variant]));
+
+  // Group rows by the product they belong to: an existing product, or a new one named by
+  // its product row's SKU
+  const groups = new Map();
+  const keyOf = (sku) => (variantBySku.has(sku) ? `product:${variantBySku.get(sku).productId}` : `new:${sku}`);
+  const groupFor = (key) => {
+    if (!groups.has(key)) {
+      groups.set(key, { productId: key.startsWith('product:') ? parseInt(key.slice(8), 10) : null, productRow: null, rows: [] });
+    }
+    return groups.get(key);
+  };
+
+  for (const row of rows) {
+    if (rowBySku.get(row.sku) !== row) continue;
+
+    let key;
+    if (!row.parentSku) {
+      key = keyOf(row.sku);
+    } else if (rowBySku.has(row.parentSku)) {
+      if (rowBySku.get(row.parentSku).parentSku) {
+        rowError(row.row, 'parentSku', `${row.parentSku} is itself a variant row; use its product's SKU`);
+        continue;
+      }
+      key = keyOf(row.parentSku);
+    } else if (variantBySku.has(row.parentSku)) {
+      key = keyOf(row.parentSku);
+    } else {
+      rowError(row.row, 'parentSku', `No product with SKU ${row.parentSku}`);
+      continue;
+    }
+
+    const variant = variantBySku.get(row.sku);
+    if (variant && key !== `product:${variant.productId}`) {
+      rowError(row.row, 'sku', `SKU ${row.sku} belongs to another product (${variant.product.name})`);
+      continue;
+    }
+    if (!variant && row.stock === undefined) {
+      rowError(row.row, 'stock', 'stock is required for a new SKU');
+      continue;
+    }
+    if (variant && row.stock !== undefined && row.exportedStock !== undefined) {
+      if (row.stock === row.exportedStock) {
+        // Not edited since the export
+        delete row.stock;
+      } else if (variant.stock !== row.exportedStock) {
+        rowError(row.row, 'stock', `Stock has changed since the export (${row.exportedStock} then, ${variant.stock} now); update exportedStock or leave stock empty to keep the current stock`);
+        continue;
+      }
+    }
+
+    const group = groupFor(key);
+    if (!row.parentSku) {
+      if (group.productRow) {
+        rowError(row.row, 'parentSku', `Same product as row ${group.productRow.row}; set parentSku to ${group.productRow.sku}`);
+        continue;
+      }
+      group.productRow = row;
+    }
+    group.rows.push(row);
+  }
+
+  // Categories by name or slug; unknown ones are created
+  const categories = new Map();
+  const newCategories = [];
+  for (const group of groups.values()) {
+    const name = group.productRow?.category;
+    if (!name || categories.has(name.toLowerCase())) continue;
+    const category = await findCategory(name);
+    categories.set(name.toLowerCase(), category);
+    if (!category) newCategories.push(name);
+  }
+
+  const results = [];
+  for (const group of groups.values()) {
+    for (const row of group.rows) {
+      results.push({
+        row: row.row,
+        sku: row.sku,
+        action: variantBySku.has(row.sku) ? 'update' : 'create',
+        product: group.productRow?.name || variantBySku.get(row.parentSku || row.sku)?.product.name
+      });
+    }
+  }
+
+  const groupList = [...groups.values()];
+  return {
+    groups: groupList,
+    variantBySku,
+    categories,
+    newCategories,
+    errors: errors.sort((a, b) => a.row - b.row),
+    results: results.sort((a, b) => a.row - b.row),
+    summary: {
+      rows: rawRows.length,
+      productsCreated: groupList.filter(group => !group.productId).length,
+      productsUpdated: groupList.filter(group => group.productId).length,
+      variantsCreated: results.filter(result => result.action === 'create').length,
+      variantsUpdated: results.filter(result => result.action === 'update').length,
+      categoriesCreated: newCategories
+    }
+  };
+};
+
+// Write a valid plan in one transaction. actorId is recorded on the stock movements.
+const applyImport = (plan, actorId) => prisma.$transaction(async (tx) => {
+  const categories = new Map(plan.categories);
+  for (const name of plan.newCategories) {
+    categories.set(name.toLowerCase(), await tx.category.create({
+      data: { name, slug: await uniqueSlug(name, null, tx) }
+    }));
+  }
+
+  for (const group of plan.groups) {
+    const { productRow } = group;
+    const category = productRow && categories.get(productRow.category.toLowerCase());
+    const fields = productRow
+      ? { ...given(productRow, PRODUCT_FIELDS), category: category.name, categoryId: category.id }
+      : {};
+
+    // New products start empty; the summary fields are set once their variants exist
+    const productId = group.productId
+      || (await tx.product.create({ data: { ...fields, price: 0, stock: 0 } })).id;
+
+    const last = await tx.productVariant.findFirst({ where: { productId }, orderBy: { position: 'desc' } });
+    let position = last ? last.position + 1 : 0;
+
+    // The product row's variant comes first on a new product
+    const rows = [...group.rows].sort((a, b) => (b === productRow) - (a === productRow));
+    for (const row of rows) {
+      const data = given(row, VARIANT_FIELDS);
+      const known = plan.variantBySku.get(row.sku);
+      const before = known ? (await tx.productVariant.findUnique({ where: { id: known.id } })).stock : 0;
+      // Sold or restocked between the plan and now
+      if (known && data.stock !== undefined && row.exportedStock !== undefined && before !== row.exportedStock) {
+        throw new ApiError(409, `Stock of ${row.sku} changed during the import; export again and retry`, { code: 'STOCK_CHANGED' });
+      }
+      const variant = known
+        ? await tx.productVariant.update({ where: { id: known.id }, data })
+        : await tx.productVariant.create({ data: { name: 'Standard', ...data, sku: row.sku, productId, position: position++ } });
+
+      if (variant.stock !== before) {
+        await recordStockMovement(tx, {
+          variantId: variant.id,
+          type: known ? 'adjustment' : 'restock',
+          quantity: variant.stock - before,
+          note: known ? 'Catalog import' : 'Opening stock (catalog import)',
+          actorId
+        });
+      }
+    }
+
+    const { variants, ...product } = await tx.product.findUnique({
+      where: { id: productId },
+      include: { variants: { orderBy: variantOrder } }
+    });
+    const data = { ...fields, ...summarizeVariants(variants) };
+    await tx.product.update({
+      where: { id: productId },
+      data: { ...data, ...scoreProduct({ ...product, ...data }) }
+    });
+    await syncCoverImage(tx, productId);
+  }
+}, { timeout: 60 * 1000 });
+
+// Import an uploaded catalog file. A dry run returns the report without saving; a real
+// import with invalid rows fails with 400 IMPORT_INVALID and the row errors as details.
+const importCatalog = async (file, { dryRun, actorId }) => {
+  const { format, rows } = readCatalogFile(file);
+  const plan = await planImport(rows);
+
+  if (plan.errors.length > 0 && !dryRun) {
+    throw new ApiError(400, `${plan.errors.length} problem(s) found; nothing was imported`, {
+      code: 'IMPORT_INVALID',
+      details: plan.errors.map(error => ({
+        field: `rows.${error.row}.${error.field}`,
+        location: 'body',
+        row: error.row,
+        message: error.message
+      }))
+    });
+  }
+
+  if (!dryRun) {
+    await applyImport(plan, actorId);
+  }
+
+  return {
+    format,
+    dryRun,
+    valid: plan.errors.length === 0,
+    summary: plan.summary,
+    rows: plan.results,
+    errors: plan.errors
+  };
+};
+
+// Every product as import rows, variants in display order
+const exportCatalog = async () => {
+  const products = await prisma.product.findMany({
+    orderBy: { id: 'asc' },
+    include: { variants: { orderBy: variantOrder } }
+  });
+
+  return products.flatMap(product => product.variants.map((variant, index) => ({
+    sku: variant.sku,
+    parentSku: index === 0 ? '' : product.variants[0].sku,
+    // Product fields only on the product's first row
+    ...(index === 0
+      ? {
+        name: product.name,
+        description: product.description,
+        category: product.category,
+        isEcoFriendly: product.isEcoFriendly,
+        recyclable: product.recyclable,
+        locallySourced: product.locallySourced,
+        imageUrl: product.imageUrl || ''
+      }
+      : {}),
+    variantName: variant.name,
+    price: parseFloat(variant.price),
+    stock: variant.stock,
+    exportedStock: variant.stock,
+    carbonFootprint: variant.carbonFootprint,
+    plasticContent: variant.plasticContent,
+    baselineCarbonFootprint: variant.baselineCarbonFootprint ?? '',
+    baselinePlasticContent: variant.baselinePlasticContent ?? ''
+  })));
+};
+
+module.exports = {
+  CATALOG_COLUMNS,
+  importCatalog,
+  exportCatalog
+};
@@ -0,0 +1,138 @@
+// Product categories
+// Categories form a tree through parentId. Lists come back in tree order (each parent
+// followed by its children) with a depth, so a dropdown can indent them. Filtering by a
+// category includes its subcategories.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+
+const prisma = new PrismaClient();
+
+// "Home & Garden" -> "home-garden"
+const slugify = (value) => value
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80);
+
+// Slug for a new or renamed category, with a numeric suffix if it is taken
+const uniqueSlug = async (base, excludeId = null, client = prisma) => {
+  const root = slugify(base) || 'category';
+  for (let suffix = 1; ; suffix++) {
+    const slug = suffix === 1 ? root : `${root}-${suffix}`;
+    const existing = await client.category.findUnique({ where: { slug } });
+    if (!existing || existing.id === excludeId) return slug;
+  }
+};
+
+// Every category in tree order with depth, its own product count and the count including
+// subcategories
+const listCategories = async (client = prisma) => {
+  const [categories, counts] = await Promise.all([
+    client.category.findMany({ orderBy: { name: 'asc' } }),
+    client.product.groupBy({ by: ['categoryId'], _count: { _all: true } })
+  ]);
+  const countById = new Map(counts.map(row => [row.categoryId, row._count._all]));
+
+  const childrenOf = new Map();
+  for (const category of categories) {
+    const siblings = childrenOf.get(category.parentId) || [];
+    siblings.push(category);
+    childrenOf.set(category.parentId, siblings);
+  }
+
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    let total = 0;
+    for (const category of childrenOf.get(parentId) || []) {
+      const entry = { ...category, depth, productCount: countById.get(category.id) || 0 };
+      ordered.push(entry);
+      entry.totalProductCount = entry.productCount + visit(category.id, depth + 1);
+      total += entry.totalProductCount;
+    }
+    return total;
+  };
+  visit(null, 0);
+
+  return ordered;
+};
+
+// Ids of a category and everything below it
+const descendantIds = async (categoryId, client = prisma) => {
+  const categories = await client.category.findMany({ select: { id: true, parentId: true } });
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i++) {
+    for (const category of categories) {
+      if (category.parentId === ids[i]) ids.push(category.id);
+    }
+  }
+  return ids;
+};
+
+// Find a category by id, slug or (case-insensitive) name; null if there is none
+const findCategory = (value, client = prisma) => {
+  if (typeof value === 'number') {
+    return client.category.findUnique({ where: { id: value } });
+  }
+  return client.category.findFirst({
+    where: {
+      OR: [
+        { slug: value.toLowerCase() },
+        { name: { equals: value, mode: 'insensitive' } }
+      ]
+    },
+    orderBy: { id: 'asc' }
+  });
+};
+
+// Throw unless parentId can be the parent of categoryId (exists, and isn't the category
+// itself or one of its subcategories)
+const checkParent = async (categoryId, parentId, client = prisma) => {
+  if (parentId === null || parentId === undefined) return;
+
+  const parent = await client.category.findUnique({ where: { id: parentId } });
+  if (!parent) {
+    throw new ApiError(400, 'Parent category not found', {
+      details: [{ field: 'parentId', location: 'body', message: 'Parent category not found' }]
+    });
+  }
+
+  if (categoryId && (await descendantIds(categoryId, client)).includes(parentId)) {
+    throw new ApiError(400, 'A category cannot be moved under itself or one of its subcategories', {
+      code: 'CATEGORY_CYCLE',
+      details: [{ field: 'parentId', location: 'body', message: 'Choose a category outside this one' }]
+    });
+  }
+};
+
+// Link products created before categories existed to a category named after their
+// free-text category, creating categories as needed. Runs at startup.
+const ensureProductCategories = async () => {
+  const unlinked = await prisma.product.groupBy({
+    by: ['category'],
+    where: { categoryId: null }
+  });
+
+  for (const { category: name } of unlinked) {
+    const category = await findCategory(name) || await prisma.category.create({
+      data: { name, slug: await uniqueSlug(name) }
+    });
+    await prisma.product.updateMany({
+      where: { category: name, categoryId: null },
+      data: { categoryId: category.id, category: category.name }
+    });
+  }
+
+  return unlinked.length;
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  listCategories,
+  descendantIds,
+  findCategory,
+  checkParent,
+  ensureProductCategories
+};
@@ -0,0 +1,147 @@
+// Footprint methodology
+// How much CO2 and plastic a purchase saves, shared by checkout (POST /api/orders), the cart
+// impact and the sustainability dashboard so they all count savings the same way.
+// A variant may carry the per-unit footprint of a conventional equivalent (its baseline). A
+// line saves (baseline - actual) x quantity, never less than zero: buying a product that is no
+// better than the conventional one saves nothing, and buying more of a heavy product doesn't
+// "save" more. Variants without a baseline save nothing. Shipping CO2 counts towards an
+// order's footprint but not its savings.
+// Order items keep the footprint and baselines their variant had at purchase, orders store
+// their savings (co2Saved, plasticSaved) and User.totalCO2Saved/totalPlasticSaved add up those
+// of the user's orders that weren't cancelled.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const METHODOLOGY = {
+  version: 1,
+  summary: 'Savings compare each product with a conventional equivalent: (conventional footprint - product footprint) per unit, times the quantity. Products without a conventional baseline, or no better than it, save nothing. Shipping is part of the footprint but not the savings.'
+};
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// The footprint fields of a variant (or product) to store on an order item
+const footprintSnapshot = (source) => ({
+  carbonFootprint: source.carbonFootprint || 0,
+  plasticContent: source.plasticContent || 0,
+  baselineCarbonFootprint: source.baselineCarbonFootprint ?? null,
+  baselinePlasticContent: source.baselinePlasticContent ?? null
+});
+
+// Footprint and savings of one line. item: { quantity, variant } where the variant has
+// carbonFootprint, plasticContent and the baseline fields.
+const lineFootprint = ({ quantity, variant }) => {
+  const co2 = (variant.carbonFootprint || 0) * quantity;
+  const plastic = (variant.plasticContent || 0) * quantity;
+  const baselineCO2 = variant.baselineCarbonFootprint ?? null;
+  const baselinePlastic = variant.baselinePlasticContent ?? null;
+
+  return {
+    co2,
+    plastic,
+    // Without a baseline the conventional footprint is taken to be the product's own
+    baselineCO2: baselineCO2 === null ? co2 : baselineCO2 * quantity,
+    baselinePlastic: baselinePlastic === null ? plastic : baselinePlastic * quantity,
+    co2Saved: baselineCO2 === null ? 0 : Math.max(baselineCO2 * quantity - co2, 0),
+    plasticSaved: baselinePlastic === null ? 0 : Math.max(baselinePlastic * quantity - plastic, 0)
+  };
+};
+
+// Totals for a list of lines (cart or order items). Unrounded, so they can be stored and
+// added up; use roundFootprint() for display.
+const summarizeFootprint = (items) => items.map(lineFootprint).reduce((totals, line) => ({
+  totalCO2: totals.totalCO2 + line.co2,
+  totalPlastic: totals.totalPlastic + line.plastic,
+  baselineCO2: totals.baselineCO2 + line.baselineCO2,
+  baselinePlastic: totals.baselinePlastic + line.baselinePlastic,
+  co2Saved: totals.co2Saved + line.co2Saved,
+  plasticSaved: totals.plasticSaved + line.plasticSaved
+}), { totalCO2: 0, totalPlastic: 0, baselineCO2: 0, baselinePlastic: 0, co2Saved: 0, plasticSaved: 0 });
+
+// CO2 (kg) to 1 decimal and plastic (g) to whole grams
+const roundFootprint = (footprint) => ({
+  totalCO2: round(footprint.totalCO2, 1),
+  totalPlastic: round(footprint.totalPlastic, 0),
+  baselineCO2: round(footprint.baselineCO2, 1),
+  baselinePlastic: round(footprint.baselinePlastic, 0),
+  co2Saved: round(footprint.co2Saved, 1),
+  plasticSaved: round(footprint.plasticSaved, 0)
+});
+
+// Recompute every order's savings from the footprint its items were bought with, then set each
+// user's totals to the sum over their orders that weren't cancelled. A one-off for stats
+// recorded before baselines existed (when the whole footprint counted as saved). Items from
+// before footprints were stored on them are given their variant's current values (the
+// product's if the variant was deleted) once, as the best record there is; after that
+// re-running changes nothing, whatever happens to the catalog.
+// Returns { users, usersUpdated, ordersUpdated }.
+const recalculateSavings = async () => {
+  const users = await prisma.user.findMany({ select: { id: true }, orderBy: { id: 'asc' } });
+
+  let usersUpdated = 0;
+  let ordersUpdated = 0;
+  for (const user of users) {
+    // One transaction per user so their orders and totals always agree
+    const changes = await prisma.$transaction(async (tx) => {
+      const orders = await tx.order.findMany({
+        where: { userId: user.id },
+        include: { orderItems: { include: { variant: true, product: true } } }
+      });
+
+      let orderChanges = 0;
+      let co2Saved = 0;
+      let plasticSaved = 0;
+      for (const order of orders) {
+        const items = [];
+        for (const item of order.orderItems) {
+          if (item.carbonFootprint !== null) {
+            items.push(item);
+            continue;
+          }
+          const snapshot = footprintSnapshot(item.variant || item.product);
+          await tx.orderItem.update({ where: { id: item.id }, data: snapshot });
+          items.push({ ...item, ...snapshot });
+        }
+
+        // Each item is its own "variant": lineFootprint reads the footprint fields off it
+        const saved = summarizeFootprint(items.map(item => ({ quantity: item.quantity, variant: item })));
+        if (saved.co2Saved !== order.co2Saved || saved.plasticSaved !== order.plasticSaved) {
+          await tx.order.update({
+            where: { id: order.id },
+            data: { co2Saved: saved.co2Saved, plasticSaved: saved.plasticSaved }
+          });
+          orderChanges++;
+        }
+        if (order.status !== 'cancelled') {
+          co2Saved += saved.co2Saved;
+          plasticSaved += saved.plasticSaved;
+        }
+      }
+
+      const current = await tx.user.findUnique({ where: { id: user.id }, select: { totalCO2Saved: true, totalPlasticSaved: true } });
+      const userChanged = current.totalCO2Saved !== co2Saved || current.totalPlasticSaved !== plasticSaved;
+      if (userChanged) {
+        await tx.user.update({
+          where: { id: user.id },
+          data: { totalCO2Saved: co2Saved, totalPlasticSaved: plasticSaved }
+        });
+      }
+
+      return { orderChanges, userChanged };
+    });
+
+    ordersUpdated += changes.orderChanges;
+    if (changes.userChanged) usersUpdated++;
+  }
+
+  return { users: users.length, usersUpdated, ordersUpdated };
+};
+
+module.exports = {
+  METHODOLOGY,
+  footprintSnapshot,
+  lineFootprint,
+  summarizeFootprint,
+  roundFootprint,
+  recalculateSavings
+};
@@ -0,0 +1,327 @@
+// Green points ledger
+// Every change to a user's points is an entry: earn (checkout), redeem (spent at checkout),
+// expire, or adjust (admin corrections and cancelled orders). User.greenPoints is kept as the
+// running balance so the leaderboard stays a simple query; balanceAfter on each entry shows
+// how it got there.
+// Positive entries are "lots" that expire POINTS_EXPIRY_DAYS after they were added;
+// `remaining` tracks how much of a lot is unspent. Spending uses the lots that expire first
+// and records which (lotsUsed), so refunded points go back to their lots and keep their dates.
+// Cancelling an order takes back everything it earned, even if the points were spent since:
+// the balance goes negative and later earnings pay that off before they are spendable.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+
+const prisma = new PrismaClient();
+
+const GREEN_POINTS_PER_DOLLAR = parseInt(process.env.GREEN_POINTS_PER_DOLLAR, 10) || 100;
+const POINTS_EXPIRY_DAYS = parseInt(process.env.POINTS_EXPIRY_DAYS, 10) || 365;
+
+const ENTRY_TYPES = ['earn', 'redeem', 'expire', 'adjust'];
+
+const expiryDate = () => new Date(Date.now() + POINTS_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+// How many of the requested points can be used, and what they're worth, given the
+// user's balance and the most the discount may be (in dollars)
+const pointsToDiscount = ({ requested, balance, maxDiscount }) => {
+  // Work in cents to keep float error out of the rounding
+  const maxCents = Math.round(Math.max(maxDiscount, 0) * 100);
+  const maxPoints = Math.floor((maxCents * GREEN_POINTS_PER_DOLLAR) / 100);
+  const points = Math.max(Math.min(requested, balance, maxPoints), 0);
+  return {
+    points,
+    discount: Math.floor((points * 100) / GREEN_POINTS_PER_DOLLAR) / 100
+  };
+};
+
+// Spend from the lots that expire first (optionally starting with a specific lot). Returns
+// [{ id, points }] taken from each lot.
+const consumeLots = async (tx, userId, points, firstLotId = null) => {
+  const lots = await tx.greenPointsEntry.findMany({
+    where: { userId, remaining: { gt: 0 } },
+    orderBy: [{ expiresAt: 'asc' }, { id: 'asc' }]
+  });
+  if (firstLotId) {
+    lots.sort((a, b) => (b.id === firstLotId) - (a.id === firstLotId));
+  }
+
+  let left = points;
+  const used = [];
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const taken = Math.min(lot.remaining, left);
+    await tx.greenPointsEntry.update({
+      where: { id: lot.id },
+      data: { remaining: { decrement: taken } }
+    });
+    used.push({ id: lot.id, points: taken });
+    left -= taken;
+  }
+  return used;
+};
+
+// How much of points added to a balance is spendable: none of what goes to paying off a
+// negative balance
+const spendablePart = (points, balanceAfter) => Math.min(points, Math.max(balanceAfter, 0));
+
+// Add points as a new lot
+const addPoints = async (tx, { userId, points, type, orderId = null, note = null, actorId = null }) => {
+  const user = await tx.user.update({
+    where: { id: userId },
+    data: { greenPoints: { increment: points } },
+    select: { greenPoints: true }
+  });
+
+  return tx.greenPointsEntry.create({
+    data: {
+      userId,
+      type,
+      points,
+      balanceAfter: user.greenPoints,
+      remaining: spendablePart(points, user.greenPoints),
+      expiresAt: expiryDate(),
+      orderId,
+      note,
+      actorId
+    }
+  });
+};
+
+// Take points off the balance. The conditional update means two checkouts can't spend the
+// same points; throws 409 INSUFFICIENT_POINTS if the balance is too low (unless allowNegative).
+const removePoints = async (tx, { userId, points, type, orderId = null, note = null, actorId = null, firstLotId = null, allowNegative = false }) => {
+  const { count } = await tx.user.updateMany({
+    where: { id: userId, ...(allowNegative ? {} : { greenPoints: { gte: points } }) },
+    data: { greenPoints: { decrement: points } }
+  });
+  if (count === 0) {
+    throw new ApiError(409, 'Not enough green points', { code: 'INSUFFICIENT_POINTS' });
+  }
+
+  const lotsUsed = await consumeLots(tx, userId, points, firstLotId);
+
+  const user = await tx.user.findUnique({ where: { id: userId }, select: { greenPoints: true } });
+  return tx.greenPointsEntry.create({
+    data: {
+      userId,
+      type,
+      points: -points,
+      balanceAfter: user.greenPoints,
+      lotsUsed,
+      orderId,
+      note,
+      actorId
+    }
+  });
+};
+
+// Give back the points of a spend (a redeem entry) to the lots they came from, so they keep
+// their expiry dates. Lots that have expired since are expired again by the next expirePoints.
+const refundPoints = async (tx, { spend, note }) => {
+  const points = -spend.points;
+  const user = await tx.user.update({
+    where: { id: spend.userId },
+    data: { greenPoints: { increment: points } },
+    select: { greenPoints: true }
+  });
+
+  let left = spendablePart(points, user.greenPoints);
+  for (const lot of spend.lotsUsed || []) {
+    if (left <= 0) break;
+    const restored = Math.min(lot.points, left);
+    await tx.greenPointsEntry.update({
+      where: { id: lot.id },
+      data: { remaining: { increment: restored } }
+    });
+    left -= restored;
+  }
+
+  return tx.greenPointsEntry.create({
+    data: {
+      userId: spend.userId,
+      type: 'adjust',
+      points,
+      balanceAfter: user.greenPoints,
+      // Spends recorded before lotsUsed existed: what's left becomes a new lot
+      remaining: left,
+      expiresAt: left > 0 ? expiryDate() : null,
+      orderId: spend.orderId,
+      note
+    }
+  });
+};
+
+const earnPoints = (tx, { userId, points, orderId }) => addPoints(tx, {
+  userId,
+  points,
+  type: 'earn',
+  orderId,
+  note: `Order #${orderId}`
+});
+
+const redeemPoints = (tx, { userId, points, orderId }) => removePoints(tx, {
+  userId,
+  points,
+  type: 'redeem',
+  orderId,
+  note: `Discount on order #${orderId}`
+});
+
+// Admin correction: positive adds a lot, negative spends
+const adjustPoints = (tx, { userId, points, note, actorId }) => (points > 0
+  ? addPoints(tx, { userId, points, type: 'adjust', note, actorId })
+  : removePoints(tx, { userId, points: -points, type: 'adjust', note, actorId }));
+
+// Credit the points an order earns once its payment is captured, so they can't be spent
+// before the order is paid for. Orders credited at checkout (before this rule) aren't
+// credited twice.
+const creditOrderPoints = async (tx, order) => {
+  if (order.greenPointsEarned <= 0) return;
+  const earnEntry = await tx.greenPointsEntry.findFirst({ where: { orderId: order.id, type: 'earn' } });
+  if (!earnEntry) {
+    await earnPoints(tx, { userId: order.userId, points: order.greenPointsEarned, orderId: order.id });
+  }
+};
+
+// Undo an order's points when it is cancelled: all the points it earned come back out, even
+// if that takes the balance below zero (they may have been spent already), and redeemed
+// points are returned to their lots. Unpaid orders never earned any.
+const reverseOrderPoints = async (tx, order) => {
+  const earnEntry = order.greenPointsEarned > 0
+    ? await tx.greenPointsEntry.findFirst({ where: { orderId: order.id, type: 'earn' } })
+    : null;
+  if (earnEntry) {
+    await removePoints(tx, {
+      userId: order.userId,
+      points: order.greenPointsEarned,
+      type: 'adjust',
+      orderId: order.id,
+      note: `Order #${order.id} cancelled: earned points removed`,
+      firstLotId: earnEntry.id,
+      allowNegative: true
+    });
+  }
+
+  if (order.pointsRedeemed > 0) {
+    const spend = await tx.greenPointsEntry.findFirst({ where: { orderId: order.id, type: 'redeem' } });
+    await refundPoints(tx, {
+      spend: spend || { userId: order.userId, orderId: order.id, points: -order.pointsRedeemed },
+      note: `Order #${order.id} cancelled: redeemed points returned`
+    });
+  }
+};
+
+// Give balances from before the ledger existed an opening entry, so each user's history adds
+// up to their balance. Runs at startup; a no-op once every user with points has entries.
+const openLedgers = async () => {
+  const users = await prisma.user.findMany({
+    where: { greenPoints: { not: 0 }, greenPointsEntries: { none: {} } },
+    select: { id: true, greenPoints: true }
+  });
+
+  for (const user of users) {
+    await prisma.greenPointsEntry.create({
+      data: {
+        userId: user.id,
+        type: 'adjust',
+        points: user.greenPoints,
+        balanceAfter: user.greenPoints,
+        remaining: Math.max(user.greenPoints, 0),
+        expiresAt: expiryDate(),
+        note: 'Opening balance'
+      }
+    });
+  }
+
+  return users.length;
+};
+
+// Expire unspent lots past their date, for one user or everyone
+const expirePoints = async (userId) => {
+  const lots = await prisma.greenPointsEntry.findMany({
+    where: {
+      ...(userId ? { userId } : {}),
+      remaining: { gt: 0 },
+      expiresAt: { lte: new Date() }
+    }
+  });
+
+  for (const lot of lots) {
+    await prisma.$transaction(async (tx) => {
+      // Skip lots another run (or a spend) touched since we read them
+      const { count } = await tx.greenPointsEntry.updateMany({
+        where: { id: lot.id, remaining: lot.remaining },
+        data: { remaining: 0 }
+      });
+      if (count === 0) return;
+
+      const user = await tx.user.findUnique({ where: { id: lot.userId }, select: { greenPoints: true } });
+      const points = Math.min(lot.remaining, Math.max(user.greenPoints, 0));
+      if (points === 0) return;
+
+      const updated = await tx.user.update({
+        where: { id: lot.userId },
+        data: { greenPoints: { decrement: points } },
+        select: { greenPoints: true }
+      });
+      await tx.greenPointsEntry.create({
+        data: {
+          userId: lot.userId,
+          type: 'expire',
+          points: -points,
+          balanceAfter: updated.greenPoints,
+          note: `Points earned ${lot.createdAt.toISOString().slice(0, 10)} expired`
+        }
+      });
+    });
+  }
+
+  return lots.length;
+};
+
+// Balance, ledger page and the points that expire in the next 30 days
+const getPointsHistory = async (userId, { page, limit }) => {
+  await expirePoints(userId);
+
+  const soon = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  const [user, entries, total, expiring] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: { greenPoints: true } }),
+    prisma.greenPointsEntry.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.greenPointsEntry.count({ where: { userId } }),
+    prisma.greenPointsEntry.aggregate({
+      where: { userId, remaining: { gt: 0 }, expiresAt: { lte: soon } },
+      _sum: { remaining: true }
+    })
+  ]);
+
+  return {
+    balance: user.greenPoints,
+    pointsPerDollar: GREEN_POINTS_PER_DOLLAR,
+    expiringSoon: expiring._sum.remaining || 0,
+    entries,
+    pagination: {
+      total,
+      limit,
+      page,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  GREEN_POINTS_PER_DOLLAR,
+  ENTRY_TYPES,
+  pointsToDiscount,
+  earnPoints,
+  redeemPoints,
+  adjustPoints,
+  creditOrderPoints,
+  reverseOrderPoints,
+  openLedgers,
+  expirePoints,
+  getPointsHistory
+};
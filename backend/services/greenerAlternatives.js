@@ -0,0 +1,129 @@
+// Greener alternatives for cart items
+// For each cart line, other in-stock products in the same category with a variant that has a
+// lower carbon footprint or plastic content than the line's variant, and is no worse on the
+// other, with what switching would save for the line's quantity. The cart can swap a line for
+// one of them (swapCartItem keeps the quantity). A carbon footprint of 0 means none was entered
+// (hasFootprintData), so lines and variants without one are never compared.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { roundMoney } = require('./pricing');
+const { hasFootprintData } = require('./sustainabilityScore');
+const { variantOrder, cartItemInclude, addToCartLine, lineName } = require('./variants');
+
+const prisma = new PrismaClient();
+
+const MAX_ALTERNATIVES = 3;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Same category as the product: by categoryId, or by name for products without one
+const sameCategory = (a, b) => (a.categoryId ? a.categoryId === b.categoryId : a.category === b.category);
+
+// What replacing the line's variant with candidate saves (negative is worse)
+const savingFor = (item, candidate) => ({
+  co2Saving: round((item.variant.carbonFootprint - candidate.carbonFootprint) * item.quantity, 1),
+  plasticSaving: round((item.variant.plasticContent - candidate.plasticContent) * item.quantity, 0),
+  priceDifference: roundMoney((parseFloat(candidate.price) - parseFloat(item.variant.price)) * item.quantity)
+});
+
+const isGreener = ({ co2Saving, plasticSaving }) => co2Saving >= 0 && plasticSaving >= 0 && co2Saving + plasticSaving > 0;
+
+const bySaving = (a, b) => b.co2Saving - a.co2Saving || b.plasticSaving - a.plasticSaving || a.priceDifference - b.priceDifference;
+
+// The greenest variant of product with footprint data that can cover the line's quantity,
+// with its saving; null if none is greener
+const bestVariant = (item, product) => product.variants
+  .filter(variant => variant.stock >= item.quantity && hasFootprintData(variant))
+  .map(variant => ({ variant, ...savingFor(item, variant) }))
+  .filter(isGreener)
+  .sort(bySaving)[0] || null;
+
+// cartItems need product and variant (cartItemInclude). Returns { items, potentialCO2Saving,
+// potentialPlasticSaving }: per line up to MAX_ALTERNATIVES, greenest first, and what taking
+// the first alternative of every line would save.
+const findGreenerAlternatives = async (cartItems) => {
+  const candidates = await prisma.product.findMany({
+    where: {
+      stock: { gt: 0 },
+      OR: [
+        { categoryId: { in: cartItems.map(item => item.product.categoryId).filter(Boolean) } },
+        { categoryId: null, category: { in: cartItems.filter(item => !item.product.categoryId).map(item => item.product.category) } }
+      ]
+    },
+    include: { variants: { orderBy: variantOrder } }
+  });
+
+  const items = cartItems.map(item => ({
+    cartItemId: item.id,
+    name: lineName(item.product, item.variant),
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: item.quantity,
+    alternatives: !hasFootprintData(item.variant) ? [] : candidates
+      .filter(product => product.id !== item.productId && sameCategory(item.product, product))
+      .map(product => {
+        const best = bestVariant(item, product);
+        if (!best) return null;
+        const { variant, ...saving } = best;
+        return {
+          product: {
+            id: product.id,
+            name: product.name,
+            imageUrl: product.imageUrl,
+            isEcoFriendly: product.isEcoFriendly,
+            sustainabilityScore: product.sustainabilityScore
+          },
+          variant: {
+            id: variant.id,
+            name: variant.name,
+            sku: variant.sku,
+            price: variant.price,
+            carbonFootprint: variant.carbonFootprint,
+            plasticContent: variant.plasticContent
+          },
+          ...saving
+        };
+      })
+      .filter(Boolean)
+      .sort(bySaving)
+      .slice(0, MAX_ALTERNATIVES)
+  }));
+
+  const best = items.filter(item => item.alternatives.length > 0).map(item => item.alternatives[0]);
+  return {
+    items,
+    potentialCO2Saving: round(best.reduce((sum, alternative) => sum + alternative.co2Saving, 0), 1),
+    potentialPlasticSaving: round(best.reduce((sum, alternative) => sum + alternative.plasticSaving, 0), 0)
+  };
+};
+
+// Replace a cart line with another product's variant (its first one if variantId isn't
+// given), keeping the quantity. If that variant is already in the cart the lines are merged
+// (addToCartLine).
+// Returns the new cart item.
+const swapCartItem = (userId, cartItemId, { productId, variantId }) => prisma.$transaction(async (tx) => {
+  const cartItem = await tx.cartItem.findFirst({ where: { id: cartItemId, userId } });
+  if (!cartItem) {
+    throw new ApiError(404, 'Cart item not found');
+  }
+
+  const variant = await tx.productVariant.findFirst({
+    where: { productId, ...(variantId ? { id: variantId } : {}) },
+    orderBy: variantOrder
+  });
+  if (!variant) {
+    throw new ApiError(404, variantId ? 'Variant not found' : 'Product not found');
+  }
+  if (variant.id === cartItem.variantId) {
+    return tx.cartItem.findUnique({ where: { id: cartItem.id }, include: cartItemInclude });
+  }
+
+  // A stock failure rolls the delete back with the transaction
+  await tx.cartItem.delete({ where: { id: cartItem.id } });
+  return addToCartLine(tx, userId, variant, cartItem.quantity);
+});
+
+module.exports = {
+  findGreenerAlternatives,
+  swapCartItem
+};
@@ -0,0 +1,133 @@
+// Inventory management (admin)
+// Receiving stock and manual adjustments, both recorded in the stock ledger
+// (services/stockLedger.js) with the admin who made them, plus the ledger history and the
+// low-stock list. Each variant has its own lowStockThreshold; a variant is low on stock when
+// its stock is at or below it.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { moveProductStock } = require('./variants');
+const { recordStockMovement } = require('./stockLedger');
+
+const prisma = new PrismaClient();
+
+// Fields shown with a ledger entry
+const movementInclude = {
+  product: { select: { id: true, name: true } },
+  variant: { select: { id: true, name: true } },
+  actor: { select: { id: true, name: true } }
+};
+
+// Variants for items given by variantId or sku; 404 listing any that don't exist
+const findVariants = async (tx, items) => {
+  const variants = await tx.productVariant.findMany({
+    where: {
+      OR: [
+        { id: { in: items.filter(item => item.variantId).map(item => item.variantId) } },
+        { sku: { in: items.filter(item => item.sku).map(item => item.sku) } }
+      ]
+    }
+  });
+
+  const found = items.map(item => variants.find(variant => (item.variantId ? variant.id === item.variantId : variant.sku === item.sku)));
+  const missing = items.filter((item, i) => !found[i]);
+  if (missing.length > 0) {
+    throw new ApiError(404, 'Variant not found', {
+      details: missing.map(item => ({
+        field: 'items',
+        location: 'body',
+        message: item.variantId ? `No variant with id ${item.variantId}` : `No variant with SKU ${item.sku}`
+      }))
+    });
+  }
+
+  return found;
+};
+
+// Add received stock: items are { variantId | sku, quantity }. Returns the ledger entries.
+const receiveStock = ({ items, note, actorId }) => prisma.$transaction(async (tx) => {
+  const variants = await findVariants(tx, items);
+
+  const movements = [];
+  for (const [i, item] of items.entries()) {
+    const variant = variants[i];
+    await tx.productVariant.update({
+      where: { id: variant.id },
+      data: { stock: { increment: item.quantity } }
+    });
+    await moveProductStock(tx, variant.productId, item.quantity);
+    movements.push(await recordStockMovement(tx, {
+      variantId: variant.id,
+      type: 'restock',
+      quantity: item.quantity,
+      note: note || null,
+      actorId
+    }));
+  }
+
+  return movements;
+});
+
+// Correct a variant's stock by quantity (negative removes; stock can't go below zero).
+// Returns the ledger entry.
+const adjustStock = ({ variantId, sku, quantity, note, actorId }) => prisma.$transaction(async (tx) => {
+  const [variant] = await findVariants(tx, [{ variantId, sku }]);
+
+  const { count } = await tx.productVariant.updateMany({
+    where: { id: variant.id, ...(quantity < 0 ? { stock: { gte: -quantity } } : {}) },
+    data: { stock: { increment: quantity } }
+  });
+  if (count === 0) {
+    const { stock } = await tx.productVariant.findUnique({ where: { id: variant.id } });
+    throw new ApiError(409, `Only ${stock} in stock; can't remove ${-quantity}`, {
+      code: 'INSUFFICIENT_STOCK',
+      details: [{ field: 'quantity', location: 'body', message: `Can remove at most ${stock}` }]
+    });
+  }
+
+  await moveProductStock(tx, variant.productId, quantity);
+  return recordStockMovement(tx, { variantId: variant.id, type: 'adjustment', quantity, note, actorId });
+});
+
+// A page of the ledger, newest first, optionally for one variant, product or type
+const getStockMovements = async ({ variantId, productId, type, page, limit }) => {
+  const where = {
+    ...(variantId ? { variantId } : {}),
+    ...(productId ? { productId } : {}),
+    ...(type ? { type } : {})
+  };
+
+  const [movements, total] = await Promise.all([
+    prisma.stockMovement.findMany({
+      where,
+      include: movementInclude,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.stockMovement.count({ where })
+  ]);
+
+  return {
+    movements,
+    pagination: {
+      total,
+      limit,
+      page,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Variants at or below their low-stock threshold, emptiest first
+const getLowStock = () => prisma.productVariant.findMany({
+  where: { stock: { lte: prisma.productVariant.fields.lowStockThreshold } },
+  include: { product: { select: { id: true, name: true, imageUrl: true } } },
+  orderBy: [{ stock: 'asc' }, { id: 'asc' }]
+});
+
+module.exports = {
+  receiveStock,
+  adjustStock,
+  getStockMovements,
+  getLowStock
+};
@@ -0,0 +1,64 @@
+// Outgoing mail with pluggable transports
+// A transport is an object with an async send({ to, subject, text, html }) method.
+// Select one with MAIL_TRANSPORT; register others (SMTP, an email API) with registerTransport().
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'SmartCart <no-reply@smartcart.local>';
+
+// Writes each message as a JSON file so mail can be inspected offline. The random part keeps
+// two messages to the same address in the same millisecond apart.
+const outboxTransport = {
+  async send(message) {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+    const filePath = path.join(OUTBOX_DIR, fileName);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+    return { id: fileName, path: filePath };
+  }
+};
+
+// Logs messages instead of sending them
+const consoleTransport = {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+};
+
+const transports = {
+  outbox: outboxTransport,
+  console: consoleTransport
+};
+
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: MAIL_FROM,
+  to,
+  subject,
+  text,
+  html,
+  date: new Date().toISOString()
+});
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,154 @@
+// Order status state machine
+// awaiting_payment -> pending -> processing -> shipped -> delivered, with cancellation allowed
+// until shipping. Payment events (services/payments.js) confirm or cancel unpaid orders.
+// Every change is recorded in OrderStatusHistory along with the actor who made it.
+// Confirming payment (awaiting_payment -> pending) credits the order's green points; cancelling
+// keeps the order and reverses its stock, green points and CO2/plastic stats.
+const { ApiError } = require('../utils/errors');
+const { reversePromotions } = require('./promotions');
+const { creditOrderPoints, reverseOrderPoints } = require('./greenPoints');
+const { returnStock } = require('./stockReservation');
+const { recordStockMovement } = require('./stockLedger');
+const { defaultVariant } = require('./variants');
+
+const ORDER_STATUSES = ['awaiting_payment', 'pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Orders that count in sales and impact reports: paid for and not cancelled. awaiting_payment
+// orders may still fail and cancelled ones had their stock, points and stats reversed.
+const COUNTED_STATUSES = ['pending', 'processing', 'shipped', 'delivered'];
+
+const TRANSITIONS = {
+  awaiting_payment: ['pending', 'cancelled'],
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Customers may only cancel an order that hasn't started processing; admins may make any valid move
+// except confirming an unpaid order, which only a captured payment (the "system" actor) can do
+const CUSTOMER_TRANSITIONS = {
+  awaiting_payment: ['cancelled'],
+  pending: ['cancelled']
+};
+
+const SYSTEM_ONLY_TRANSITIONS = {
+  awaiting_payment: ['pending']
+};
+
+// The next step forward for "advance" actions
+const NEXT_STATUS = {
+  pending: 'processing',
+  processing: 'shipped',
+  shipped: 'delivered'
+};
+
+const allowedTransitions = (status, role) => {
+  if (role === 'system') {
+    return TRANSITIONS[status] || [];
+  }
+  if (role === 'admin') {
+    const systemOnly = SYSTEM_ONLY_TRANSITIONS[status] || [];
+    return (TRANSITIONS[status] || []).filter(toStatus => !systemOnly.includes(toStatus));
+  }
+  return CUSTOMER_TRANSITIONS[status] || [];
+};
+
+const recordStatusChange = (tx, { orderId, fromStatus, toStatus, actor, note }) => tx.orderStatusHistory.create({
+  data: {
+    orderId,
+    fromStatus,
+    toStatus,
+    actorId: actor.id,
+    actorRole: actor.role,
+    note: note || null
+  }
+});
+
+// Undo everything checkout did: return stock, free up promotion usage and take back the
+// user's points and CO2/plastic stats
+const reverseOrder = async (tx, order, actor) => {
+  const orderItems = await tx.orderItem.findMany({ where: { orderId: order.id } });
+  for (const item of orderItems) {
+    // Items from before variants existed, or whose variant was deleted since, go back to the
+    // product's default variant
+    const variantId = item.variantId || (await defaultVariant(tx, item.productId))?.id;
+    if (variantId) {
+      await returnStock(tx, { productId: item.productId, variantId }, item.quantity);
+      await recordStockMovement(tx, {
+        variantId,
+        type: 'cancellation',
+        quantity: item.quantity,
+        orderId: order.id,
+        note: `Order #${order.id} cancelled`,
+        actorId: actor.id
+      });
+    }
+  }
+
+  await tx.user.update({
+    where: { id: order.userId },
+    data: {
+      totalCO2Saved: { decrement: order.co2Saved },
+      totalPlasticSaved: { decrement: order.plasticSaved }
+    }
+  });
+
+  await reverseOrderPoints(tx, order);
+  await reversePromotions(tx, order.id);
+};
+
+// Move an order to a new status inside a transaction.
+// order must be the full Order row; actor: { id, role } of the user making the change
+// ({ id: null, role: 'system' } for payment events).
+// For cancellations, note is stored as the cancellation reason.
+const transitionOrder = async (tx, order, toStatus, actor, note) => {
+  if (!(TRANSITIONS[order.status] || []).includes(toStatus)) {
+    throw new ApiError(409, `Cannot change order from ${order.status} to ${toStatus}`, { code: 'INVALID_TRANSITION' });
+  }
+
+  if (!allowedTransitions(order.status, actor.role).includes(toStatus)) {
+    throw new ApiError(403, `You are not allowed to mark this order as ${toStatus}`, { code: 'TRANSITION_NOT_ALLOWED' });
+  }
+
+  const isCancellation = toStatus === 'cancelled';
+
+  // Only update if the status hasn't changed since we read it
+  const { count } = await tx.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data: {
+      status: toStatus,
+      ...(isCancellation ? { cancelledAt: new Date(), cancellationReason: note || null } : {})
+    }
+  });
+
+  if (count === 0) {
+    throw new ApiError(409, 'Order was updated by someone else, please try again', { code: 'CONFLICT' });
+  }
+
+  // Cancelled orders are kept as records, but their stock and rewards are reversed
+  if (isCancellation) {
+    await reverseOrder(tx, order, actor);
+  } else if (order.status === 'awaiting_payment') {
+    await creditOrderPoints(tx, order);
+  }
+
+  await recordStatusChange(tx, {
+    orderId: order.id,
+    fromStatus: order.status,
+    toStatus,
+    actor,
+    note
+  });
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  COUNTED_STATUSES,
+  TRANSITIONS,
+  NEXT_STATUS,
+  allowedTransitions,
+  recordStatusChange,
+  transitionOrder
+};
@@ -0,0 +1,268 @@
+// Payment processing with pluggable providers
+// A provider implements:
+//   authorize({ amount, currency, orderId, paymentMethod }) -> { providerRef, status: 'authorized' | 'failed', failureReason? }
+//   capture(payment)                                       -> { status: 'captured' | 'pending' | 'failed', failureReason? }
+//   refund(payment)                                        -> { status: 'refunded' | 'pending' }
+//   parseWebhook(req)                                      -> { type, providerRef, reason? }
+// Select one with PAYMENT_PROVIDER; register others with registerProvider(). Every result,
+// synchronous or from a webhook, goes through applyPaymentEvent(), which updates the Payment
+// and moves the order: captured confirms it, failed or refunded cancels it.
+// The mock provider is for development: it only exists outside production unless
+// PAYMENT_ALLOW_MOCK=true, and then needs its own MOCK_WEBHOOK_SECRET. checkPaymentConfig()
+// stops the server starting without a usable provider.
+// Orders still awaiting payment after PAYMENT_TIMEOUT_MINUTES are cancelled, which returns
+// their stock (cancelUnpaidOrders).
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { allowedTransitions, transitionOrder } = require('./orderLifecycle');
+
+const prisma = new PrismaClient();
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'usd';
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || (IS_PRODUCTION ? null : 'mock');
+const MOCK_ENABLED = !IS_PRODUCTION || process.env.PAYMENT_ALLOW_MOCK === 'true';
+const MOCK_WEBHOOK_SECRET = process.env.MOCK_WEBHOOK_SECRET || (IS_PRODUCTION ? null : 'mock_webhook_secret');
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES, 10) || 30;
+
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+// Event type -> the payment status it sets and the statuses it may come from
+const PAYMENT_EVENTS = {
+  'payment.authorized': { status: 'authorized', from: ['pending'] },
+  'payment.captured': { status: 'captured', from: ['pending', 'authorized'] },
+  'payment.failed': { status: 'failed', from: ['pending', 'authorized'] },
+  'payment.refunded': { status: 'refunded', from: ['authorized', 'captured'] }
+};
+
+// Order status each payment event moves the order to, if that move is still valid
+const ORDER_STATUS_FOR_EVENT = {
+  'payment.captured': 'pending',
+  'payment.failed': 'cancelled',
+  'payment.refunded': 'cancelled'
+};
+
+// Test cards for local development:
+//   mock_card_ok        authorizes and captures immediately
+//   mock_card_declined  is declined at authorization
+//   mock_card_async     authorizes, then waits for a payment.captured webhook
+const asyncMockPayments = new Set();
+
+const mockProvider = {
+  async authorize({ paymentMethod }) {
+    const providerRef = `mock_${crypto.randomBytes(12).toString('hex')}`;
+    if (paymentMethod.token === 'mock_card_declined') {
+      return { providerRef, status: 'failed', failureReason: 'Card was declined' };
+    }
+    if (paymentMethod.token === 'mock_card_async') {
+      asyncMockPayments.add(providerRef);
+    }
+    return { providerRef, status: 'authorized' };
+  },
+
+  async capture(payment) {
+    return { status: asyncMockPayments.delete(payment.providerRef) ? 'pending' : 'captured' };
+  },
+
+  async refund() {
+    return { status: 'refunded' };
+  },
+
+  // Accepts { type, providerRef, reason? } signed with the shared secret header
+  parseWebhook(req) {
+    if (req.get('x-mock-signature') !== MOCK_WEBHOOK_SECRET) {
+      throw new ApiError(401, 'Invalid webhook signature', { code: 'INVALID_SIGNATURE' });
+    }
+    const { type, providerRef, reason } = req.body || {};
+    return { type, providerRef, reason };
+  }
+};
+
+const providers = MOCK_ENABLED ? { mock: mockProvider } : {};
+
+const PROVIDER_METHODS = ['authorize', 'capture', 'refund', 'parseWebhook'];
+
+const registerProvider = (name, provider) => {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment provider "${name}" must implement ${missing.join(', ')}`);
+  }
+  providers[name] = provider;
+};
+
+const getProvider = (name = PAYMENT_PROVIDER) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new ApiError(404, `Unknown payment provider "${name}"`);
+  }
+  return { name, provider };
+};
+
+// Throws if checkout couldn't take payments: call at startup, after registerProvider()
+const checkPaymentConfig = () => {
+  if (!PAYMENT_PROVIDER) {
+    throw new Error('PAYMENT_PROVIDER must be set in production');
+  }
+  if (!providers[PAYMENT_PROVIDER]) {
+    throw new Error(PAYMENT_PROVIDER === 'mock'
+      ? 'The mock payment provider is disabled in production (set PAYMENT_ALLOW_MOCK=true to allow it)'
+      : `Unknown payment provider "${PAYMENT_PROVIDER}"`);
+  }
+  if (providers.mock && !MOCK_WEBHOOK_SECRET) {
+    throw new Error('MOCK_WEBHOOK_SECRET must be set to use the mock payment provider in production');
+  }
+};
+
+// Apply a payment event to a payment and its order. Repeated or out-of-order events
+// (e.g. webhook retries) are ignored. Returns the updated payment, or null if nothing changed.
+const applyPaymentEvent = (paymentId, type, reason) => prisma.$transaction(async (tx) => {
+  const event = PAYMENT_EVENTS[type];
+  const payment = await tx.payment.findUnique({
+    where: { id: paymentId },
+    include: { order: true }
+  });
+
+  const { count } = await tx.payment.updateMany({
+    where: { id: payment.id, status: { in: event.from } },
+    data: {
+      status: event.status,
+      ...(event.status === 'failed' ? { failureReason: reason || 'Payment failed' } : {})
+    }
+  });
+  if (count === 0) {
+    return null;
+  }
+
+  const toStatus = ORDER_STATUS_FOR_EVENT[type];
+  if (toStatus && allowedTransitions(payment.order.status, SYSTEM_ACTOR.role).includes(toStatus)) {
+    const note = type === 'payment.captured' ? 'Payment received' : (reason || `Payment ${event.status}`);
+    await transitionOrder(tx, payment.order, toStatus, SYSTEM_ACTOR, note);
+  }
+
+  return tx.payment.findUnique({ where: { id: payment.id } });
+});
+
+// Apply an event reported by a provider (webhooks)
+const handlePaymentEvent = async (providerName, { type, providerRef, reason }) => {
+  if (!PAYMENT_EVENTS[type]) {
+    throw new ApiError(400, `Unsupported payment event "${type}"`, { code: 'UNSUPPORTED_EVENT' });
+  }
+  if (!providerRef) {
+    throw new ApiError(400, 'providerRef is required');
+  }
+
+  const payment = await prisma.payment.findUnique({
+    where: { provider_providerRef: { provider: providerName, providerRef: String(providerRef) } }
+  });
+  if (!payment) {
+    throw new ApiError(404, 'Payment not found');
+  }
+
+  return applyPaymentEvent(payment.id, type, reason);
+};
+
+// Authorize and capture an order's total. Returns the Payment: 'captured' when paid,
+// 'authorized' if capture is still pending at the provider, or 'failed' if it was declined
+// (the order has been cancelled by then).
+const chargeOrder = async (order, paymentMethod) => {
+  const { name, provider } = getProvider();
+
+  const payment = await prisma.payment.create({
+    data: {
+      orderId: order.id,
+      provider: name,
+      amount: order.total,
+      currency: PAYMENT_CURRENCY,
+      status: 'pending'
+    }
+  });
+
+  try {
+    const authorization = await provider.authorize({
+      amount: order.total,
+      currency: PAYMENT_CURRENCY,
+      orderId: order.id,
+      paymentMethod
+    });
+
+    const authorized = await prisma.payment.update({
+      where: { id: payment.id },
+      data: { providerRef: authorization.providerRef }
+    });
+
+    if (authorization.status === 'failed') {
+      await applyPaymentEvent(payment.id, 'payment.failed', authorization.failureReason);
+    } else {
+      await applyPaymentEvent(payment.id, 'payment.authorized');
+
+      const capture = await provider.capture(authorized);
+      if (capture.status !== 'pending') {
+        const type = capture.status === 'captured' ? 'payment.captured' : 'payment.failed';
+        await applyPaymentEvent(payment.id, type, capture.failureReason);
+      }
+    }
+  } catch (error) {
+    // Don't leave stock tied up in an order that can't be paid for
+    console.error(`Payment ${payment.id} failed at provider "${name}":`, error);
+    await applyPaymentEvent(payment.id, 'payment.failed', 'Payment could not be processed');
+  }
+
+  return prisma.payment.findUnique({ where: { id: payment.id } });
+};
+
+// Refund (or void) every open payment on an order, e.g. after it was cancelled.
+// Errors are logged rather than thrown so the cancellation itself still stands.
+const refundOrderPayments = async (orderId) => {
+  const payments = await prisma.payment.findMany({
+    where: { orderId, status: { in: ['authorized', 'captured'] } }
+  });
+
+  for (const payment of payments) {
+    try {
+      const { provider } = getProvider(payment.provider);
+      const result = await provider.refund(payment);
+      if (result.status === 'refunded') {
+        await applyPaymentEvent(payment.id, 'payment.refunded');
+      }
+    } catch (error) {
+      console.error(`Refund failed for payment ${payment.id}:`, error);
+    }
+  }
+};
+
+// Cancel orders that have been awaiting payment for longer than PAYMENT_TIMEOUT_MINUTES,
+// returning their stock and voiding any authorization. Returns how many were cancelled.
+const cancelUnpaidOrders = async () => {
+  const orders = await prisma.order.findMany({
+    where: {
+      status: 'awaiting_payment',
+      createdAt: { lt: new Date(Date.now() - PAYMENT_TIMEOUT_MINUTES * 60 * 1000) }
+    }
+  });
+
+  let cancelled = 0;
+  for (const order of orders) {
+    try {
+      await prisma.$transaction(tx => transitionOrder(tx, order, 'cancelled', SYSTEM_ACTOR, 'Payment not received in time'));
+      await refundOrderPayments(order.id);
+      cancelled++;
+    } catch (error) {
+      // Paid or cancelled since we read it
+      if (error.code !== 'CONFLICT') throw error;
+    }
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  PAYMENT_CURRENCY,
+  registerProvider,
+  getProvider,
+  checkPaymentConfig,
+  cancelUnpaidOrders,
+  handlePaymentEvent,
+  chargeOrder,
+  refundOrderPayments
+};
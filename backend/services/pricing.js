@@ -0,0 +1,54 @@
+// Price breakdown for a cart or order: subtotal, discounts, shipping, tax and total.
+// Used for the cart summary and at checkout so both show the same numbers.
+const { quoteShipping } = require('./shipping');
+const { taxRateFor } = require('./tax');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// items: cart items with product ({ category }), variant ({ price }) and quantity
+// address: shipping address (for tax), or null to leave tax out
+// discountTotal: order-level discount, spread over the lines in proportion to their value
+const priceCart = ({ items, shippingMethod = 'standard', address = null, discountTotal = 0 }) => {
+  const lines = items.map(item => {
+    const unitPrice = parseFloat(item.variant.price);
+    return {
+      productId: item.productId,
+      variantId: item.variantId,
+      category: item.product.category,
+      quantity: item.quantity,
+      unitPrice,
+      lineTotal: roundMoney(unitPrice * item.quantity)
+    };
+  });
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const discount = roundMoney(Math.min(discountTotal, subtotal));
+  const shipping = quoteShipping(shippingMethod, items, subtotal);
+
+  // Tax is charged on what the customer actually pays for each line
+  let taxTotal = 0;
+  for (const line of lines) {
+    const discountShare = subtotal > 0 ? (line.lineTotal / subtotal) * discount : 0;
+    line.taxRate = address ? taxRateFor(line.category, address) : 0;
+    line.tax = roundMoney((line.lineTotal - discountShare) * line.taxRate);
+    taxTotal += line.tax;
+  }
+  taxTotal = roundMoney(taxTotal);
+
+  return {
+    subtotal,
+    discountTotal: discount,
+    shippingMethod: shipping.method,
+    shippingCost: shipping.cost,
+    shippingCO2: shipping.co2,
+    taxTotal,
+    taxIncluded: Boolean(address),
+    total: roundMoney(subtotal - discount + shipping.cost + taxTotal),
+    lines
+  };
+};
+
+module.exports = {
+  roundMoney,
+  priceCart
+};
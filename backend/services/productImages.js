@@ -0,0 +1,198 @@
+// Product images
+// Uploads are checked by decoding them (the declared content type alone isn't trusted),
+// re-encoded without metadata, and stored with a thumbnail through services/storage.js.
+// Images are ordered by position; the first one is the product's cover and is mirrored in
+// Product.imageUrl so carts, orders and listings keep using that field.
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { saveFile, removeFile } = require('./storage');
+
+const prisma = new PrismaClient();
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+const MAX_IMAGE_SIZE = (parseFloat(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_PRODUCT_IMAGES = parseInt(process.env.MAX_PRODUCT_IMAGES, 10) || 10;
+const THUMBNAIL_SIZE = 300;
+
+// Images in display order; use wherever a product is returned with its images
+const imageOrder = [{ position: 'asc' }, { id: 'asc' }];
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif' };
+
+const invalidImage = (file, message) => new ApiError(415, message, {
+  code: 'INVALID_IMAGE',
+  details: [{ field: 'images', location: 'body', message: `${file.originalname}: ${message}` }]
+});
+
+// Decode an upload and produce the stored image and its thumbnail
+const processImage = async (file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw invalidImage(file, 'File is not a readable image');
+  }
+
+  const format = metadata.format;
+  if (!Object.values(IMAGE_TYPES).includes(format)) {
+    throw invalidImage(file, 'Images must be JPEG, PNG, WebP or GIF');
+  }
+
+  // rotate() applies the EXIF orientation; re-encoding drops the rest of the metadata
+  const animated = format === 'gif' || format === 'webp';
+  const { data, info } = await sharp(file.buffer, { animated })
+    .rotate()
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  return {
+    format,
+    data,
+    thumbnail,
+    width: info.width,
+    height: info.pageHeight || info.height
+  };
+};
+
+// Set Product.imageUrl to the first image's url (left alone when there are no images)
+const syncCoverImage = async (tx, productId) => {
+  const cover = await tx.productImage.findFirst({ where: { productId }, orderBy: imageOrder });
+  if (cover) {
+    await tx.product.update({ where: { id: productId }, data: { imageUrl: cover.url } });
+  }
+  return cover;
+};
+
+// Remove an image's files; failures are logged, the database rows are already gone
+const removeImageFiles = async (images) => {
+  for (const image of images) {
+    for (const key of [image.key, image.thumbnailKey]) {
+      await removeFile(key).catch(error => console.error(`Remove image file ${key} error:`, error));
+    }
+  }
+};
+
+// Store uploaded files as the product's next images. Returns all its images in order.
+const addProductImages = async (productId, files) => {
+  const existing = await prisma.productImage.count({ where: { productId } });
+  if (existing + files.length > MAX_PRODUCT_IMAGES) {
+    throw new ApiError(400, `A product can have at most ${MAX_PRODUCT_IMAGES} images`, {
+      code: 'TOO_MANY_IMAGES',
+      details: [{ field: 'images', location: 'body', message: `${MAX_PRODUCT_IMAGES - existing} more allowed` }]
+    });
+  }
+
+  // Decode everything first so one bad file stores nothing
+  const processed = [];
+  for (const file of files) {
+    processed.push(await processImage(file));
+  }
+
+  const stored = [];
+  try {
+    for (const image of processed) {
+      const name = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+      const original = await saveFile({
+        key: `${name}.${EXTENSIONS[image.format]}`,
+        buffer: image.data,
+        contentType: `image/${image.format}`
+      });
+      const thumbnail = await saveFile({
+        key: `${name}-thumb.webp`,
+        buffer: image.thumbnail,
+        contentType: 'image/webp'
+      });
+      stored.push({
+        key: original.key,
+        url: original.url,
+        thumbnailKey: thumbnail.key,
+        thumbnailUrl: thumbnail.url,
+        contentType: `image/${image.format}`,
+        size: image.data.length,
+        width: image.width,
+        height: image.height
+      });
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const last = await tx.productImage.findFirst({ where: { productId }, orderBy: { position: 'desc' } });
+      let position = last ? last.position + 1 : 0;
+
+      for (const image of stored) {
+        await tx.productImage.create({ data: { ...image, productId, position: position++ } });
+      }
+      await syncCoverImage(tx, productId);
+
+      return tx.productImage.findMany({ where: { productId }, orderBy: imageOrder });
+    });
+  } catch (error) {
+    await removeImageFiles(stored);
+    throw error;
+  }
+};
+
+// Put a product's images in the given order; imageIds must list each of its images once
+const reorderProductImages = (productId, imageIds) => prisma.$transaction(async (tx) => {
+  const images = await tx.productImage.findMany({ where: { productId }, select: { id: true } });
+  const known = images.map(image => image.id).sort((a, b) => a - b);
+  const given = [...imageIds].sort((a, b) => a - b);
+
+  if (known.length !== given.length || known.some((id, i) => id !== given[i])) {
+    throw new ApiError(400, 'imageIds must list each of the product\'s images once', {
+      details: [{ field: 'imageIds', location: 'body', message: `Expected ids: ${known.join(', ') || 'none'}` }]
+    });
+  }
+
+  for (const [position, id] of imageIds.entries()) {
+    await tx.productImage.update({ where: { id }, data: { position } });
+  }
+  await syncCoverImage(tx, productId);
+
+  return tx.productImage.findMany({ where: { productId }, orderBy: imageOrder });
+});
+
+// Delete one image and its files. Returns the product's remaining images.
+const deleteProductImage = async (productId, imageId) => {
+  const image = await prisma.productImage.findFirst({ where: { id: imageId, productId } });
+  if (!image) {
+    throw new ApiError(404, 'Image not found');
+  }
+
+  const images = await prisma.$transaction(async (tx) => {
+    await tx.productImage.delete({ where: { id: image.id } });
+    const cover = await syncCoverImage(tx, productId);
+    // The last image is gone: don't leave the product pointing at a deleted file
+    if (!cover) {
+      await tx.product.update({ where: { id: productId }, data: { imageUrl: null } });
+    }
+    return tx.productImage.findMany({ where: { productId }, orderBy: imageOrder });
+  });
+
+  await removeImageFiles([image]);
+  return images;
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  MAX_PRODUCT_IMAGES,
+  imageOrder,
+  syncCoverImage,
+  removeImageFiles,
+  addProductImages,
+  reorderProductImages,
+  deleteProductImage
+};
@@ -0,0 +1,184 @@
+// Promotion engine
+// A cart gets every active autoApply promotion it qualifies for plus at most one coupon code.
+// Rules: active window (startsAt/expiresAt), minimum spend, total and per-user usage limits,
+// and the green-deal rule minEcoPercentage, checked against the cart's ecoPercentage
+// (the same figure /sustainability/cart-impact reports).
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { summarizeCartImpact } = require('./cartImpact');
+const { roundMoney } = require('./pricing');
+
+const prisma = new PrismaClient();
+
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+// Why a promotion doesn't apply, or null if it does
+const ineligibilityReason = (promotion, { subtotal, ecoPercentage, userRedemptions, now }) => {
+  if (!promotion.isActive) return 'This promotion is no longer active';
+  if (promotion.startsAt && promotion.startsAt > now) return 'This promotion has not started yet';
+  if (promotion.expiresAt && promotion.expiresAt <= now) return 'This promotion has expired';
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    return 'This promotion has been fully redeemed';
+  }
+  if (promotion.perUserLimit !== null && userRedemptions >= promotion.perUserLimit) {
+    return 'You have already used this promotion';
+  }
+  if (promotion.minSpend !== null && subtotal < parseFloat(promotion.minSpend)) {
+    return `Spend at least $${parseFloat(promotion.minSpend).toFixed(2)} to use this promotion`;
+  }
+  if (promotion.minEcoPercentage !== null && ecoPercentage <= promotion.minEcoPercentage) {
+    return `More than ${promotion.minEcoPercentage}% of your cart must be eco-friendly products`;
+  }
+  return null;
+};
+
+const discountFor = (promotion, subtotal) => {
+  const value = parseFloat(promotion.value);
+  const amount = promotion.type === 'percentage' ? subtotal * (value / 100) : value;
+  return roundMoney(Math.min(amount, subtotal));
+};
+
+// Work out which promotions apply to a cart.
+// cartItems need product { isEcoFriendly } and variant { price, carbonFootprint, plasticContent }.
+// Returns { promotions: [{ promotionId, code, name, amount }], discountTotal, couponError }.
+const resolvePromotions = async ({ userId, cartItems, couponCode, client = prisma }) => {
+  const subtotal = roundMoney(cartItems.reduce((sum, item) => sum + parseFloat(item.variant.price) * item.quantity, 0));
+  const { ecoPercentage } = summarizeCartImpact(cartItems);
+  const now = new Date();
+
+  const code = couponCode ? normalizeCode(couponCode) : null;
+  const candidates = await client.promotion.findMany({
+    where: {
+      OR: [
+        { autoApply: true, isActive: true },
+        ...(code ? [{ code }] : [])
+      ]
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  const redemptionCounts = await client.promotionRedemption.groupBy({
+    by: ['promotionId'],
+    where: { userId, reversedAt: null, promotionId: { in: candidates.map(promotion => promotion.id) } },
+    _count: { _all: true }
+  });
+  const usedByUser = new Map(redemptionCounts.map(row => [row.promotionId, row._count._all]));
+
+  const promotions = [];
+  let couponError = code ? 'Coupon code not found' : null;
+  let remaining = subtotal;
+
+  for (const promotion of candidates) {
+    const isCoupon = code !== null && promotion.code === code;
+    const reason = ineligibilityReason(promotion, {
+      subtotal,
+      ecoPercentage,
+      userRedemptions: usedByUser.get(promotion.id) || 0,
+      now
+    });
+
+    if (isCoupon) {
+      couponError = reason;
+    }
+    if (reason || (!isCoupon && !promotion.autoApply)) {
+      continue;
+    }
+
+    // Promotions stack, but never past the subtotal
+    const amount = Math.min(discountFor(promotion, subtotal), remaining);
+    if (amount <= 0) continue;
+    remaining = roundMoney(remaining - amount);
+
+    promotions.push({
+      promotionId: promotion.id,
+      code: promotion.code,
+      name: promotion.name,
+      amount
+    });
+  }
+
+  return {
+    promotions,
+    discountTotal: roundMoney(subtotal - remaining),
+    couponError
+  };
+};
+
+// Record applied promotions on a new order inside the checkout transaction. Usage is
+// counted with a conditional update so a limited promotion can't be over-redeemed. The
+// per-user limit is checked again here: writing the user row first holds its lock until the
+// transaction ends, so the user's concurrent checkouts count each other's redemptions.
+const redeemPromotions = async (tx, { orderId, userId, promotions }) => {
+  if (promotions.length > 0) {
+    await tx.user.update({ where: { id: userId }, data: { updatedAt: new Date() } });
+  }
+
+  for (const promotion of promotions) {
+    const current = await tx.promotion.findUnique({
+      where: { id: promotion.promotionId },
+      select: { perUserLimit: true }
+    });
+    if (current && current.perUserLimit !== null) {
+      const used = await tx.promotionRedemption.count({
+        where: { promotionId: promotion.promotionId, userId, reversedAt: null }
+      });
+      if (used >= current.perUserLimit) {
+        throw new ApiError(409, `You have already used "${promotion.name}"`, { code: 'PROMOTION_UNAVAILABLE' });
+      }
+    }
+
+    const { count } = await tx.promotion.updateMany({
+      where: {
+        id: promotion.promotionId,
+        OR: [
+          { usageLimit: null },
+          { usageCount: { lt: prisma.promotion.fields.usageLimit } }
+        ]
+      },
+      data: { usageCount: { increment: 1 } }
+    });
+
+    if (count === 0) {
+      throw new ApiError(409, `"${promotion.name}" has just been fully redeemed`, { code: 'PROMOTION_UNAVAILABLE' });
+    }
+
+    await tx.promotionRedemption.create({
+      data: {
+        promotionId: promotion.promotionId,
+        orderId,
+        userId,
+        code: promotion.code,
+        name: promotion.name,
+        amount: promotion.amount
+      }
+    });
+  }
+};
+
+// Give usage back when an order is cancelled (called from the order state machine)
+const reversePromotions = async (tx, orderId) => {
+  const redemptions = await tx.promotionRedemption.findMany({ where: { orderId, reversedAt: null } });
+
+  for (const redemption of redemptions) {
+    await tx.promotionRedemption.update({
+      where: { id: redemption.id },
+      data: { reversedAt: new Date() }
+    });
+    if (redemption.promotionId) {
+      await tx.promotion.updateMany({
+        where: { id: redemption.promotionId, usageCount: { gt: 0 } },
+        data: { usageCount: { decrement: 1 } }
+      });
+    }
+  }
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  normalizeCode,
+  resolvePromotions,
+  redeemPromotions,
+  reversePromotions
+};
@@ -0,0 +1,159 @@
+// Product reviews
+// Customers can review a product once an order containing it has been delivered (verified
+// purchase), one review per product. Reviews start pending and are shown once an admin
+// approves them. Product.ratingAverage/ratingCount and ecoClaimRating/ecoClaimRatingCount
+// are kept in step with the approved reviews so products can be sorted by rating.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+
+const prisma = new PrismaClient();
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Fields shown with a review (never the author's email)
+const reviewAuthor = { select: { id: true, name: true } };
+
+// Products whose eco claims (recyclable, plastic-free) customers can rate
+const hasEcoClaims = (product) => product.recyclable || product.ecoTags.includes('plastic-free');
+
+// The user's latest delivered order containing the product, or null
+const findVerifiedOrder = (userId, productId, client = prisma) => client.order.findFirst({
+  where: { userId, status: 'delivered', orderItems: { some: { productId } } },
+  orderBy: { createdAt: 'desc' }
+});
+
+// Recompute a product's rating fields from its approved reviews
+const refreshProductRating = async (tx, productId) => {
+  const [all, eco] = await Promise.all([
+    tx.review.aggregate({
+      where: { productId, status: 'approved' },
+      _avg: { rating: true },
+      _count: { _all: true }
+    }),
+    tx.review.aggregate({
+      where: { productId, status: 'approved', ecoClaimRating: { not: null } },
+      _avg: { ecoClaimRating: true },
+      _count: { _all: true }
+    })
+  ]);
+
+  const round = (value) => Math.round(value * 100) / 100;
+  await tx.product.update({
+    where: { id: productId },
+    data: {
+      ratingAverage: all._count._all > 0 ? round(all._avg.rating) : 0,
+      ratingCount: all._count._all,
+      ecoClaimRating: eco._count._all > 0 ? round(eco._avg.ecoClaimRating) : null,
+      ecoClaimRatingCount: eco._count._all
+    }
+  });
+};
+
+// Create or replace the user's review of a product. Any change goes back to pending.
+// Returns { review, created }.
+const saveReview = async (userId, product, { rating, ecoClaimRating, title, body }) => {
+  const order = await findVerifiedOrder(userId, product.id);
+  if (!order) {
+    throw new ApiError(403, 'You can review a product once an order containing it has been delivered', {
+      code: 'NOT_VERIFIED_PURCHASE'
+    });
+  }
+
+  if (ecoClaimRating && !hasEcoClaims(product)) {
+    throw new ApiError(400, 'This product makes no recyclable or plastic-free claims to rate', {
+      details: [{ field: 'ecoClaimRating', location: 'body', message: 'Leave empty for this product' }]
+    });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.review.findUnique({ where: { userId_productId: { userId, productId: product.id } } });
+    const data = {
+      rating,
+      ecoClaimRating: ecoClaimRating ?? null,
+      title: title || null,
+      body: body || null,
+      orderId: order.id,
+      status: 'pending',
+      moderatorId: null,
+      moderationNote: null,
+      moderatedAt: null
+    };
+
+    const review = existing
+      ? await tx.review.update({ where: { id: existing.id }, data })
+      : await tx.review.create({ data: { ...data, userId, productId: product.id } });
+
+    // An edited approved review stops counting until it is approved again
+    if (existing && existing.status === 'approved') {
+      await refreshProductRating(tx, product.id);
+    }
+
+    return { review, created: !existing };
+  });
+};
+
+// Approve or reject a review (admin)
+const moderateReview = (reviewId, { status, note }, moderatorId) => prisma.$transaction(async (tx) => {
+  const review = await tx.review.update({
+    where: { id: reviewId },
+    data: { status, moderationNote: note || null, moderatorId, moderatedAt: new Date() },
+    include: { user: reviewAuthor, product: { select: { id: true, name: true } } }
+  });
+  await refreshProductRating(tx, review.productId);
+  return review;
+});
+
+const deleteReview = (review) => prisma.$transaction(async (tx) => {
+  await tx.review.delete({ where: { id: review.id } });
+  await refreshProductRating(tx, review.productId);
+});
+
+// A page of a product's approved reviews with its rating summary and star distribution
+const getProductReviews = async (product, { page, limit }) => {
+  const where = { productId: product.id, status: 'approved' };
+  const [reviews, total, counts] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      include: { user: reviewAuthor },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.review.count({ where }),
+    prisma.review.groupBy({ by: ['rating'], where, _count: { _all: true } })
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const row of counts) {
+    distribution[row.rating] = row._count._all;
+  }
+
+  return {
+    summary: {
+      ratingAverage: product.ratingAverage,
+      ratingCount: product.ratingCount,
+      ecoClaimRating: product.ecoClaimRating,
+      ecoClaimRatingCount: product.ecoClaimRatingCount,
+      hasEcoClaims: hasEcoClaims(product),
+      distribution
+    },
+    reviews,
+    pagination: {
+      total,
+      limit,
+      page,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  REVIEW_STATUSES,
+  reviewAuthor,
+  hasEcoClaims,
+  findVerifiedOrder,
+  saveReview,
+  moderateReview,
+  deleteReview,
+  getProductReviews
+};
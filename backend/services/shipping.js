@@ -0,0 +1,74 @@
+// Shipping methods, delivery cost and delivery emissions
+// Cost is a flat rate plus a per-item charge, free above a subtotal threshold where offered.
+// CO2 (kg) is estimated the same way: a per-shipment base for the route plus a per-item share.
+// Consolidated shipping waits to batch deliveries into fuller vans, so it's slower but greener.
+
+const SHIPPING_METHODS = {
+  standard: {
+    label: 'Standard',
+    estimatedDays: '3-5',
+    baseCost: 4.99,
+    perItemCost: 0.5,
+    freeOver: 50,
+    baseCO2: 0.6,
+    perItemCO2: 0.1
+  },
+  express: {
+    label: 'Express',
+    estimatedDays: '1-2',
+    baseCost: 14.99,
+    perItemCost: 1,
+    freeOver: null,
+    baseCO2: 2.5,
+    perItemCO2: 0.4
+  },
+  consolidated: {
+    label: 'Consolidated (low-carbon)',
+    estimatedDays: '5-8',
+    baseCost: 2.99,
+    perItemCost: 0.25,
+    freeOver: 35,
+    baseCO2: 0.2,
+    perItemCO2: 0.05
+  }
+};
+
+const SHIPPING_METHOD_IDS = Object.keys(SHIPPING_METHODS);
+
+const round = (value, places) => Number(value.toFixed(places));
+
+// Quote one method for a cart. items: [{ quantity }], subtotal in dollars.
+const quoteShipping = (methodId, items, subtotal) => {
+  const method = SHIPPING_METHODS[methodId];
+  const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  const isFree = method.freeOver !== null && subtotal >= method.freeOver;
+  const cost = isFree ? 0 : method.baseCost + method.perItemCost * itemCount;
+  const co2 = method.baseCO2 + method.perItemCO2 * itemCount;
+
+  return {
+    method: methodId,
+    label: method.label,
+    estimatedDays: method.estimatedDays,
+    cost: round(cost, 2),
+    co2: round(co2, 2),
+    freeOver: method.freeOver
+  };
+};
+
+const quoteAllShipping = (items, subtotal) => SHIPPING_METHOD_IDS.map(methodId => quoteShipping(methodId, items, subtotal));
+
+// Fields copied onto the order so later edits to a saved address don't change past orders
+const ADDRESS_SNAPSHOT_FIELDS = ['recipientName', 'line1', 'line2', 'city', 'region', 'postalCode', 'country', 'phone'];
+
+const snapshotAddress = (address) => Object.fromEntries(
+  ADDRESS_SNAPSHOT_FIELDS.map(field => [field, address[field] ?? null])
+);
+
+module.exports = {
+  SHIPPING_METHODS,
+  SHIPPING_METHOD_IDS,
+  quoteShipping,
+  quoteAllShipping,
+  snapshotAddress
+};
@@ -0,0 +1,36 @@
+// Stock ledger
+// Every committed change to a variant's stock is recorded as a StockMovement: restock (stock
+// received), sale (checkout), cancellation (stock returned by a cancelled order) or
+// adjustment (corrections, stocktakes, catalog imports). Record the movement in the same
+// transaction as the change, after it, so stockAfter is the new level.
+// Checkout holds are not movements: reserved stock is off the shelf but not sold until the
+// order is placed, and goes back without an entry if the hold expires.
+
+const STOCK_MOVEMENT_TYPES = ['restock', 'sale', 'cancellation', 'adjustment'];
+
+// quantity is the signed change. Returns the entry.
+const recordStockMovement = async (tx, { variantId, type, quantity, orderId = null, note = null, actorId = null }) => {
+  const variant = await tx.productVariant.findUnique({
+    where: { id: variantId },
+    select: { productId: true, sku: true, stock: true }
+  });
+
+  return tx.stockMovement.create({
+    data: {
+      variantId,
+      productId: variant.productId,
+      sku: variant.sku,
+      type,
+      quantity,
+      stockAfter: variant.stock,
+      orderId,
+      note,
+      actorId
+    }
+  });
+};
+
+module.exports = {
+  STOCK_MOVEMENT_TYPES,
+  recordStockMovement
+};
@@ -0,0 +1,198 @@
+// Stock reservation for checkout
+// Stock is only ever taken with a conditional decrement (stock >= quantity), so two checkouts
+// racing for the last units can't oversell. A reservation takes the stock up front and holds
+// it while the user is on the checkout step; holds that expire are put back on the shelf.
+// Stock lives on product variants; Product.stock moves with it so listings stay accurate.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { moveProductStock, lineName } = require('./variants');
+
+const prisma = new PrismaClient();
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES, 10) || 10;
+
+// Decrement a variant's stock only if enough is left. Returns false when there isn't.
+const takeStock = async (tx, { productId, variantId }, quantity) => {
+  const { count } = await tx.productVariant.updateMany({
+    where: { id: variantId, stock: { gte: quantity } },
+    data: { stock: { decrement: quantity } }
+  });
+  if (count === 1) {
+    await moveProductStock(tx, productId, -quantity);
+  }
+  return count === 1;
+};
+
+const returnStock = async (tx, { productId, variantId }, quantity) => {
+  await tx.productVariant.update({
+    where: { id: variantId },
+    data: { stock: { increment: quantity } }
+  });
+  await moveProductStock(tx, productId, quantity);
+};
+
+// Take stock for each item ({ productId, variantId, name, quantity, held? }) and throw a 409
+// listing every item that couldn't be covered. Run inside a transaction so a failure undoes the rest.
+const takeStockForItems = async (tx, items) => {
+  const failed = [];
+
+  for (const item of items) {
+    if (item.quantity > 0 && !(await takeStock(tx, item, item.quantity))) {
+      failed.push(item);
+    }
+  }
+
+  if (failed.length === 0) return;
+
+  const variants = await tx.productVariant.findMany({
+    where: { id: { in: failed.map(item => item.variantId) } },
+    select: { id: true, stock: true }
+  });
+  const stockById = new Map(variants.map(variant => [variant.id, variant.stock]));
+
+  throw new ApiError(409, 'Some items in your cart are no longer available in the requested quantity', {
+    code: 'INSUFFICIENT_STOCK',
+    details: failed.map(item => {
+      const held = item.held || 0;
+      const available = (stockById.get(item.variantId) || 0) + held;
+      return {
+        productId: item.productId,
+        variantId: item.variantId,
+        name: item.name,
+        requested: item.quantity + held,
+        available,
+        message: available > 0 ? `Only ${available} left` : 'Out of stock'
+      };
+    })
+  });
+};
+
+// Delete reservations and put their stock back. Each row is deleted with a count check so a
+// hold that is being released or claimed concurrently is only returned once.
+const releaseReservations = async (tx, where) => {
+  const reservations = await tx.stockReservation.findMany({ where });
+
+  for (const reservation of reservations) {
+    const { count } = await tx.stockReservation.deleteMany({ where: { id: reservation.id } });
+    if (count === 1) {
+      await returnStock(tx, reservation, reservation.quantity);
+    }
+  }
+
+  return reservations.length;
+};
+
+// Hold stock for everything in the user's cart. Replaces any earlier hold.
+const reserveCart = (userId) => prisma.$transaction(async (tx) => {
+  await releaseReservations(tx, { userId });
+
+  const cartItems = await tx.cartItem.findMany({
+    where: { userId },
+    include: { product: { select: { name: true } }, variant: { select: { name: true } } }
+  });
+
+  if (cartItems.length === 0) {
+    throw new ApiError(400, 'Cart is empty');
+  }
+
+  await takeStockForItems(tx, cartItems.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    name: lineName(item.product, item.variant),
+    quantity: item.quantity
+  })));
+
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+  await tx.stockReservation.createMany({
+    data: cartItems.map(item => ({
+      userId,
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      expiresAt
+    }))
+  });
+
+  return getReservation(userId, tx);
+});
+
+// The user's active hold as { expiresAt, items }, or null if there isn't one
+const getReservation = async (userId, client = prisma) => {
+  const reservations = await client.stockReservation.findMany({
+    where: { userId, expiresAt: { gt: new Date() } },
+    include: {
+      product: { select: { id: true, name: true } },
+      variant: { select: { id: true, name: true } }
+    },
+    orderBy: { expiresAt: 'asc' }
+  });
+
+  if (reservations.length === 0) return null;
+
+  return {
+    expiresAt: reservations[0].expiresAt,
+    items: reservations.map(reservation => ({
+      productId: reservation.productId,
+      variantId: reservation.variantId,
+      name: lineName(reservation.product, reservation.variant),
+      quantity: reservation.quantity
+    }))
+  };
+};
+
+const releaseUserReservations = (userId) => prisma.$transaction(tx => releaseReservations(tx, { userId }));
+
+const releaseExpiredReservations = () => prisma.$transaction(tx => releaseReservations(tx, {
+  expiresAt: { lte: new Date() }
+}));
+
+// Take stock for checkout inside the order transaction. Units the user already holds are
+// used first; anything beyond that is taken now, and unneeded holds go back to stock.
+const commitCartStock = async (tx, userId, cartItems) => {
+  const reservations = await tx.stockReservation.findMany({
+    where: { userId, expiresAt: { gt: new Date() } }
+  });
+
+  // Held quantity per variant, with the productId needed to return any surplus
+  const held = new Map();
+  for (const reservation of reservations) {
+    const { count } = await tx.stockReservation.deleteMany({ where: { id: reservation.id } });
+    if (count === 1) {
+      const entry = held.get(reservation.variantId) || { productId: reservation.productId, variantId: reservation.variantId, quantity: 0 };
+      entry.quantity += reservation.quantity;
+      held.set(reservation.variantId, entry);
+    }
+  }
+
+  const items = cartItems.map(item => {
+    const heldQuantity = Math.min(held.get(item.variantId)?.quantity || 0, item.quantity);
+    return {
+      productId: item.productId,
+      variantId: item.variantId,
+      name: lineName(item.product, item.variant),
+      quantity: item.quantity - heldQuantity,
+      held: heldQuantity
+    };
+  });
+
+  // The cart may have shrunk since the hold was made
+  for (const entry of held.values()) {
+    const needed = cartItems.find(item => item.variantId === entry.variantId)?.quantity || 0;
+    if (entry.quantity > needed) {
+      await returnStock(tx, entry, entry.quantity - needed);
+    }
+  }
+
+  await takeStockForItems(tx, items);
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  returnStock,
+  reserveCart,
+  getReservation,
+  releaseReservations,
+  releaseUserReservations,
+  releaseExpiredReservations,
+  commitCartStock
+};
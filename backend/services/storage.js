@@ -0,0 +1,67 @@
+// File storage with pluggable backends
+// A backend is an object with async save({ key, buffer, contentType }) -> { key, url } and
+// async remove(key) methods. Select one with STORAGE_BACKEND; register others (S3, a CDN)
+// with registerStorage().
+const fs = require('fs/promises');
+const path = require('path');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const UPLOAD_URL = (process.env.UPLOAD_URL || `http://localhost:${process.env.PORT || 3000}/uploads`).replace(/\/+$/, '');
+
+// Keys are generated by us, but never let one point outside the upload directory
+const localPath = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+// Writes files under UPLOAD_DIR; server.js serves them at /uploads
+const localStorage = {
+  async save({ key, buffer }) {
+    const filePath = localPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: `${UPLOAD_URL}/${key}` };
+  },
+
+  async remove(key) {
+    await fs.rm(localPath(key), { force: true });
+  }
+};
+
+const backends = {
+  local: localStorage
+};
+
+const registerStorage = (name, backend) => {
+  if (!backend || typeof backend.save !== 'function' || typeof backend.remove !== 'function') {
+    throw new Error(`Storage backend "${name}" must implement save() and remove()`);
+  }
+  backends[name] = backend;
+};
+
+const getStorage = () => {
+  const name = process.env.STORAGE_BACKEND || 'local';
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown storage backend "${name}"`);
+  }
+  return backend;
+};
+
+const saveFile = ({ key, buffer, contentType }) => getStorage().save({ key, buffer, contentType });
+
+const removeFile = (key) => getStorage().remove(key);
+
+// Whether uploads are on local disk (and so need serving by this app)
+const isLocalStorage = () => getStorage() === localStorage;
+
+module.exports = {
+  UPLOAD_DIR,
+  saveFile,
+  removeFile,
+  registerStorage,
+  isLocalStorage
+};
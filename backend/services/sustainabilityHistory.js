@@ -0,0 +1,128 @@
+// Sustainability history and monthly goals
+// Per-month CO2, plastic, savings, green points and eco product share from the user's paid,
+// non-cancelled orders (COUNTED_STATUSES, the same orders as the admin analytics), and
+// progress against the user's monthly goals. Months are calendar months in UTC.
+// A goal is a standing target for one metric that applies to every month: "max" metrics
+// (footprint) should stay at or under it, "min" metrics should reach it.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { COUNTED_STATUSES } = require('./orderLifecycle');
+
+const prisma = new PrismaClient();
+
+const GOAL_METRICS = {
+  co2: { label: 'CO₂ footprint', unit: 'kg', direction: 'max' },
+  plastic: { label: 'Plastic', unit: 'g', direction: 'max' },
+  co2Saved: { label: 'CO₂ saved', unit: 'kg', direction: 'min' },
+  greenPoints: { label: 'Green points earned', unit: 'points', direction: 'min' },
+  ecoShare: { label: 'Eco product share', unit: '%', direction: 'min' }
+};
+const GOAL_METRIC_IDS = Object.keys(GOAL_METRICS);
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+// The last `months` calendar months up to and including the current one, oldest first, each
+// with its totals
+const getMonthlyHistory = async (userId, months, now = new Date()) => {
+  const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+
+  const orders = await prisma.order.findMany({
+    where: { userId, status: { in: COUNTED_STATUSES }, createdAt: { gte: from, lte: now } },
+    select: {
+      createdAt: true,
+      totalCO2: true,
+      totalPlastic: true,
+      co2Saved: true,
+      plasticSaved: true,
+      greenPointsEarned: true,
+      orderItems: { select: { quantity: true, product: { select: { isEcoFriendly: true } } } }
+    }
+  });
+
+  const rows = new Map();
+  for (let i = 0; i < months; i++) {
+    const month = monthKey(new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + i, 1)));
+    rows.set(month, { month, orders: 0, co2: 0, plastic: 0, co2Saved: 0, plasticSaved: 0, greenPoints: 0, unitsSold: 0, ecoUnits: 0 });
+  }
+
+  for (const order of orders) {
+    const row = rows.get(monthKey(order.createdAt));
+    row.orders++;
+    row.co2 += order.totalCO2;
+    row.plastic += order.totalPlastic;
+    row.co2Saved += order.co2Saved;
+    row.plasticSaved += order.plasticSaved;
+    row.greenPoints += order.greenPointsEarned;
+    for (const item of order.orderItems) {
+      row.unitsSold += item.quantity;
+      if (item.product.isEcoFriendly) row.ecoUnits += item.quantity;
+    }
+  }
+
+  return [...rows.values()].map(({ ecoUnits, ...row }) => ({
+    ...row,
+    co2: round(row.co2, 1),
+    plastic: round(row.plastic, 0),
+    co2Saved: round(row.co2Saved, 1),
+    plasticSaved: round(row.plasticSaved, 0),
+    // Share of units bought that are eco-friendly products
+    ecoShare: row.unitsSold > 0 ? Math.round((ecoUnits / row.unitsSold) * 100) : 0
+  }));
+};
+
+// A goal with its metric's details and progress in month (a history row). progress is the
+// percentage of the target reached (for max goals: used up).
+const goalProgress = (goal, month) => {
+  const metric = GOAL_METRICS[goal.metric];
+  const current = month[goal.metric];
+
+  return {
+    metric: goal.metric,
+    target: goal.target,
+    ...metric,
+    current,
+    progress: Math.round((current / goal.target) * 100),
+    met: metric.direction === 'max' ? current <= goal.target : current >= goal.target
+  };
+};
+
+// The user's goals with progress this month
+const getGoals = async (userId, now = new Date()) => {
+  const [goals, [month]] = await Promise.all([
+    prisma.sustainabilityGoal.findMany({ where: { userId }, orderBy: { id: 'asc' } }),
+    getMonthlyHistory(userId, 1, now)
+  ]);
+
+  return goals
+    .filter(goal => GOAL_METRICS[goal.metric])
+    .map(goal => goalProgress(goal, month));
+};
+
+// Set (or replace) the user's goal for a metric. Returns it with progress this month.
+const setGoal = async (userId, metric, target) => {
+  if (GOAL_METRICS[metric].unit === '%' && target > 100) {
+    throw new ApiError(400, 'Target cannot be more than 100%', {
+      details: [{ field: 'target', location: 'body', message: 'Must be at most 100' }]
+    });
+  }
+
+  const goal = await prisma.sustainabilityGoal.upsert({
+    where: { userId_metric: { userId, metric } },
+    create: { userId, metric, target },
+    update: { target }
+  });
+
+  const [month] = await getMonthlyHistory(userId, 1);
+  return goalProgress(goal, month);
+};
+
+module.exports = {
+  GOAL_METRICS,
+  GOAL_METRIC_IDS,
+  getMonthlyHistory,
+  goalProgress,
+  getGoals,
+  setGoal
+};
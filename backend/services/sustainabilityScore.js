@@ -0,0 +1,128 @@
+// Sustainability scoring for products
+// Derives a 0-100 score and a set of eco tags from a product's sustainability fields.
+// Footprints default to 0, so a footprint of 0 means nobody entered one: a factor without data
+// earns nothing and gives no tags, rather than scoring as a perfect product. Each factor counts
+// on its own data, except that 0 g of plastic on a product whose carbon footprint is set
+// really is plastic-free.
+
+// Points available per factor (sums to 100)
+const WEIGHTS = {
+  carbon: 35,
+  plastic: 25,
+  recyclable: 15,
+  locallySourced: 15,
+  ecoFriendly: 10
+};
+
+// Footprints at or above these values earn no points for that factor
+const MAX_CARBON_KG = 20;
+const MAX_PLASTIC_G = 200;
+
+// Tag thresholds
+const LOW_CARBON_KG = 2;
+const LOW_PLASTIC_G = 20;
+
+const hasFootprintData = (product) => Number(product.carbonFootprint) > 0;
+
+const hasPlasticData = (product) => Number(product.plasticContent) > 0 || hasFootprintData(product);
+
+// Linear scale: 0 -> full points, max or more -> 0 points
+const scaleInverse = (value, max, points) => {
+  const clamped = Math.min(Math.max(value || 0, 0), max);
+  return Math.round((1 - clamped / max) * points * 10) / 10;
+};
+
+// Break the score down per factor so shoppers can see why a product scored as it did
+const explainScore = (product) => {
+  const carbonFootprint = Number(product.carbonFootprint) || 0;
+  const plasticContent = Number(product.plasticContent) || 0;
+  const carbonKnown = hasFootprintData(product);
+  const plasticKnown = hasPlasticData(product);
+
+  return [
+    {
+      factor: 'carbon',
+      label: 'Carbon footprint',
+      value: carbonKnown ? carbonFootprint : null,
+      points: carbonKnown ? scaleInverse(carbonFootprint, MAX_CARBON_KG, WEIGHTS.carbon) : 0,
+      maxPoints: WEIGHTS.carbon,
+      reason: carbonKnown
+        ? `${carbonFootprint} kg CO₂ per unit (less earns more points, ${MAX_CARBON_KG} kg or more earns none)`
+        : 'No carbon footprint recorded'
+    },
+    {
+      factor: 'plastic',
+      label: 'Plastic content',
+      value: plasticKnown ? plasticContent : null,
+      points: plasticKnown ? scaleInverse(plasticContent, MAX_PLASTIC_G, WEIGHTS.plastic) : 0,
+      maxPoints: WEIGHTS.plastic,
+      reason: plasticKnown
+        ? `${plasticContent} g plastic per unit (0 g earns full points, ${MAX_PLASTIC_G} g or more earns none)`
+        : 'No plastic content recorded (0 g counts once the carbon footprint is set)'
+    },
+    {
+      factor: 'recyclable',
+      label: 'Recyclable packaging',
+      value: Boolean(product.recyclable),
+      points: product.recyclable ? WEIGHTS.recyclable : 0,
+      maxPoints: WEIGHTS.recyclable,
+      reason: product.recyclable ? 'Packaging is 100% recyclable' : 'Packaging is not fully recyclable'
+    },
+    {
+      factor: 'locallySourced',
+      label: 'Locally sourced',
+      value: Boolean(product.locallySourced),
+      points: product.locallySourced ? WEIGHTS.locallySourced : 0,
+      maxPoints: WEIGHTS.locallySourced,
+      reason: product.locallySourced ? 'Sourced locally' : 'Not locally sourced'
+    },
+    {
+      factor: 'ecoFriendly',
+      label: 'Eco-friendly product',
+      value: Boolean(product.isEcoFriendly),
+      points: product.isEcoFriendly ? WEIGHTS.ecoFriendly : 0,
+      maxPoints: WEIGHTS.ecoFriendly,
+      reason: product.isEcoFriendly ? 'Marked as an eco-friendly product' : 'Not marked as eco-friendly'
+    }
+  ];
+};
+
+// Tags are lowercase so they can be matched by product search
+const deriveEcoTags = (product) => {
+  const carbonFootprint = Number(product.carbonFootprint) || 0;
+  const plasticContent = Number(product.plasticContent) || 0;
+  const tags = [];
+
+  if (product.isEcoFriendly) tags.push('eco-friendly');
+  if (hasFootprintData(product) && carbonFootprint <= LOW_CARBON_KG) tags.push('low-carbon');
+  if (hasPlasticData(product)) {
+    if (plasticContent === 0) {
+      tags.push('plastic-free');
+    } else if (plasticContent <= LOW_PLASTIC_G) {
+      tags.push('low-plastic');
+    }
+  }
+  if (product.recyclable) tags.push('recyclable');
+  if (product.locallySourced) tags.push('local');
+
+  return tags;
+};
+
+// Returns { sustainabilityScore, ecoTags } ready to be written to a Product
+const scoreProduct = (product) => {
+  const breakdown = explainScore(product);
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    sustainabilityScore: Math.min(Math.round(total), 100),
+    ecoTags: deriveEcoTags(product)
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  hasFootprintData,
+  scoreProduct,
+  explainScore,
+  deriveEcoTags
+};
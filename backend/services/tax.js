@@ -0,0 +1,67 @@
+// Tax rules by region and product category
+// Regions are keyed by country code, optionally narrowed to a state/region ("US-CA").
+// The most specific matching region wins; within a region a category rate beats the base
+// rate. Shipping is not taxed. Override the defaults with a JSON TAX_RULES env variable
+// of the same shape.
+
+const DEFAULT_TAX_RULES = {
+  defaultRate: 0,
+  regions: {
+    US: { rate: 0.07, categories: { Food: 0.02 } },
+    'US-CA': { rate: 0.0725, categories: { Food: 0 } },
+    'US-NY': { rate: 0.04, categories: { Food: 0 } },
+    GB: { rate: 0.2, categories: { Food: 0, Books: 0 } },
+    DE: { rate: 0.19, categories: { Food: 0.07, Books: 0.07 } },
+    IN: { rate: 0.18, categories: { Food: 0.05 } }
+  }
+};
+
+const loadTaxRules = () => {
+  if (!process.env.TAX_RULES) {
+    return DEFAULT_TAX_RULES;
+  }
+
+  try {
+    return JSON.parse(process.env.TAX_RULES);
+  } catch (error) {
+    console.error('Invalid TAX_RULES, using defaults:', error.message);
+    return DEFAULT_TAX_RULES;
+  }
+};
+
+const taxRules = loadTaxRules();
+
+// Region keys to try for an address, most specific first
+const regionKeys = (address) => {
+  if (!address?.country) return [];
+
+  const country = address.country.toUpperCase();
+  const keys = [];
+  if (address.region) {
+    keys.push(`${country}-${address.region.trim().toUpperCase()}`);
+  }
+  keys.push(country);
+  return keys;
+};
+
+// Tax rate (0-1) for a product category shipped to an address
+const taxRateFor = (category, address, rules = taxRules) => {
+  for (const key of regionKeys(address)) {
+    const region = rules.regions?.[key];
+    if (!region) continue;
+
+    if (region.categories && region.categories[category] !== undefined) {
+      return region.categories[category];
+    }
+    if (region.rate !== undefined) {
+      return region.rate;
+    }
+  }
+
+  return rules.defaultRate || 0;
+};
+
+module.exports = {
+  DEFAULT_TAX_RULES,
+  taxRateFor
+};
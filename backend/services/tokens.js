@@ -0,0 +1,96 @@
+// Access and refresh token handling
+// Access tokens are short-lived JWTs tied to a Session row; refresh tokens are
+// random strings stored only as a hash and replaced on every use.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, role: user.role, sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a new session for a user (login/register) and return both tokens
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.ip || null,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair. Returns null if the token is unknown,
+// revoked, expired, or was already rotated by a concurrent request.
+const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await prisma.session.findUnique({
+    where: { tokenHash },
+    include: { user: { select: { id: true, role: true, isDisabled: true } } }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date() || session.user.isDisabled) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Conditional update so the same refresh token can only be used once
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, tokenHash, revokedAt: null },
+    data: {
+      tokenHash: hashToken(newRefreshToken),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return {
+    token: signAccessToken(session.user, session.id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Revoke every active session for a user, optionally keeping one
+const revokeUserSessions = (userId, exceptSessionId) => prisma.session.updateMany({
+  where: {
+    userId,
+    revokedAt: null,
+    ...(exceptSessionId ? { id: { not: exceptSessionId } } : {})
+  },
+  data: { revokedAt: new Date() }
+});
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeUserSessions
+};
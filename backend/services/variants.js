@@ -0,0 +1,199 @@
+// Product variants
+// Every product has at least one variant, and the variant is what goes in carts and orders:
+// it owns the SKU, price, stock and footprint. The Product row keeps a summary so listing,
+// filtering, sorting and scoring keep working on one row: the lowest variant price, the total
+// stock, and the first variant's carbon footprint, plastic content and conventional baselines.
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { recordStockMovement } = require('./stockLedger');
+
+const prisma = new PrismaClient();
+
+// Variants in display order; use wherever a product is returned with its variants
+const variantOrder = [{ position: 'asc' }, { id: 'asc' }];
+
+// Cart item include with everything pricing, impact and checkout need
+const cartItemInclude = {
+  product: true,
+  variant: true
+};
+
+// Add quantity of variant to the user's cart, merging with the line already there, if the
+// variant has stock for the combined quantity (400 INSUFFICIENT_STOCK otherwise). Run inside
+// a transaction. Returns the cart item with cartItemInclude.
+const addToCartLine = async (tx, userId, variant, quantity) => {
+  const existing = await tx.cartItem.findUnique({
+    where: { userId_variantId: { userId, variantId: variant.id } }
+  });
+  const total = (existing ? existing.quantity : 0) + quantity;
+
+  if (variant.stock < total) {
+    throw new ApiError(400, variant.stock > 0 ? `Only ${variant.stock} in stock` : 'Out of stock', {
+      code: 'INSUFFICIENT_STOCK'
+    });
+  }
+
+  return existing
+    ? tx.cartItem.update({ where: { id: existing.id }, data: { quantity: total }, include: cartItemInclude })
+    : tx.cartItem.create({
+      data: { userId, productId: variant.productId, variantId: variant.id, quantity: total },
+      include: cartItemInclude
+    });
+};
+
+// The Product summary fields for a list of variants (in display order)
+const summarizeVariants = (variants) => ({
+  price: Math.min(...variants.map(variant => parseFloat(variant.price))),
+  stock: variants.reduce((sum, variant) => sum + variant.stock, 0),
+  carbonFootprint: variants[0].carbonFootprint,
+  plasticContent: variants[0].plasticContent,
+  baselineCarbonFootprint: variants[0].baselineCarbonFootprint,
+  baselinePlasticContent: variants[0].baselinePlasticContent
+});
+
+// Variants from a validated product body. Without a variants list the product-level
+// price, stock and footprint describe a single variant.
+const variantsFromBody = (body) => {
+  if (body.variants && body.variants.length > 0) {
+    return body.variants;
+  }
+
+  return [{
+    sku: body.sku,
+    name: 'Standard',
+    price: body.price,
+    stock: body.stock,
+    carbonFootprint: body.carbonFootprint,
+    plasticContent: body.plasticContent,
+    baselineCarbonFootprint: body.baselineCarbonFootprint,
+    baselinePlasticContent: body.baselinePlasticContent
+  }];
+};
+
+// Generated when a new variant is saved without a SKU
+const generateSku = (productId) => `SC-${productId}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// Replace a product's variants inside a transaction: variants with an id are updated,
+// new ones are created and any not in the list are deleted (carts holding them lose the
+// line; orders keep their SKU and name). Returns the saved variants in order.
+// stock only sets a new variant's opening stock (recorded as a restock by actorId); existing
+// variants keep theirs, which moves through services/inventory.js and orders.
+const saveVariants = async (tx, productId, variants, actorId = null) => {
+  const existing = await tx.productVariant.findMany({ where: { productId }, select: { id: true } });
+  const keepIds = variants.filter(variant => variant.id).map(variant => variant.id);
+
+  const unknown = keepIds.filter(id => !existing.some(row => row.id === id));
+  if (unknown.length > 0) {
+    throw new ApiError(400, 'Variant does not belong to this product', {
+      details: unknown.map(id => ({ field: 'variants', location: 'body', message: `Unknown variant id ${id}` }))
+    });
+  }
+
+  await tx.productVariant.deleteMany({ where: { productId, id: { notIn: keepIds } } });
+
+  const saved = [];
+  for (const [position, { id, sku, stock, ...fields }] of variants.entries()) {
+    if (id) {
+      saved.push(await tx.productVariant.update({ where: { id }, data: { ...fields, position, ...(sku ? { sku } : {}) } }));
+      continue;
+    }
+
+    const variant = await tx.productVariant.create({
+      data: { ...fields, stock, position, sku: sku || generateSku(productId), productId }
+    });
+    if (stock > 0) {
+      await recordStockMovement(tx, { variantId: variant.id, type: 'restock', quantity: stock, note: 'Opening stock', actorId });
+    }
+    saved.push(variant);
+  }
+
+  return saved;
+};
+
+// Keep Product.stock equal to the sum of its variants when stock moves
+const moveProductStock = (tx, productId, change) => tx.product.update({
+  where: { id: productId },
+  data: { stock: { increment: change } }
+});
+
+// A product's default variant: its first in display order (null if the product has none)
+const defaultVariant = (tx, productId) => tx.productVariant.findFirst({
+  where: { productId },
+  orderBy: variantOrder
+});
+
+// Link cart lines, reservations and order items from before variants existed to their
+// product's default variant. Order items whose variant was deleted later (they have a SKU)
+// are left as they are.
+const linkLegacyRows = async () => {
+  const [cartItems, reservations, orderItems] = await Promise.all([
+    prisma.cartItem.findMany({ where: { variantId: null }, select: { productId: true } }),
+    prisma.stockReservation.findMany({ where: { variantId: null }, select: { productId: true } }),
+    prisma.orderItem.findMany({ where: { variantId: null, sku: null }, select: { productId: true } })
+  ]);
+
+  const productIds = new Set([...cartItems, ...reservations, ...orderItems].map(row => row.productId));
+  for (const productId of productIds) {
+    const variant = await defaultVariant(prisma, productId);
+    if (!variant) continue;
+
+    await prisma.$transaction([
+      prisma.cartItem.updateMany({ where: { productId, variantId: null }, data: { variantId: variant.id } }),
+      prisma.stockReservation.updateMany({ where: { productId, variantId: null }, data: { variantId: variant.id } }),
+      prisma.orderItem.updateMany({
+        where: { productId, variantId: null, sku: null },
+        data: { variantId: variant.id, sku: variant.sku, variantName: variant.name }
+      })
+    ]);
+  }
+
+  return productIds.size;
+};
+
+// Give products created before variants existed a single variant from their own fields, then
+// link the rows from then to it. Runs at startup; a no-op once every product has a variant
+// and every cart line, reservation and order item has one.
+const ensureDefaultVariants = async () => {
+  const products = await prisma.product.findMany({ where: { variants: { none: {} } } });
+
+  for (const product of products) {
+    const variant = await prisma.productVariant.create({
+      data: {
+        productId: product.id,
+        sku: generateSku(product.id),
+        name: 'Standard',
+        price: product.price,
+        stock: product.stock,
+        carbonFootprint: product.carbonFootprint,
+        plasticContent: product.plasticContent,
+        baselineCarbonFootprint: product.baselineCarbonFootprint,
+        baselinePlasticContent: product.baselinePlasticContent
+      }
+    });
+    if (variant.stock > 0) {
+      await recordStockMovement(prisma, { variantId: variant.id, type: 'adjustment', quantity: variant.stock, note: 'Opening balance' });
+    }
+  }
+
+  await linkLegacyRows();
+  return products.length;
+};
+
+// Display name for a cart or order line, e.g. "Bamboo Toothbrush (4 pack)"
+const lineName = (product, variant) => (variant && variant.name !== 'Standard'
+  ? `${product.name} (${variant.name})`
+  : product.name);
+
+module.exports = {
+  variantOrder,
+  cartItemInclude,
+  addToCartLine,
+  summarizeVariants,
+  variantsFromBody,
+  saveVariants,
+  moveProductStock,
+  defaultVariant,
+  ensureDefaultVariants,
+  lineName
+};
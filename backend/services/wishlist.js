@@ -0,0 +1,158 @@
+// Wishlist ("saved for later")
+// Items move between the cart and the wishlist without losing their variant or quantity.
+// Users can ask to be emailed when a saved variant comes back in stock or drops in price;
+// checkWishlistAlerts() runs on a timer and compares each variant with what it looked like
+// at the previous check (lastInStock, lastPrice), so each change is reported once. Alerts only
+// go to verified email addresses; until a user verifies, their changes wait.
+const { PrismaClient } = require('@prisma/client');
+const { ApiError } = require('../utils/errors');
+const { sendMail } = require('./mailer');
+const { addToCartLine, lineName } = require('./variants');
+
+const prisma = new PrismaClient();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Wishlist item include with what the wishlist page shows
+const wishlistItemInclude = {
+  product: true,
+  variant: true
+};
+
+// The variant's state as the alerts see it
+const variantSnapshot = (variant) => ({
+  lastInStock: variant.stock > 0,
+  lastPrice: variant.price
+});
+
+// Add a variant to the user's wishlist, or update it if it is already there. Notification
+// settings that aren't given keep their current value. Alerts count changes from now on.
+const saveToWishlist = (userId, variant, { quantity = 1, notifyRestock, notifyPriceDrop } = {}, client = prisma) =>
+  client.wishlistItem.upsert({
+    where: { userId_variantId: { userId, variantId: variant.id } },
+    create: {
+      userId,
+      productId: variant.productId,
+      variantId: variant.id,
+      quantity,
+      notifyRestock: Boolean(notifyRestock),
+      notifyPriceDrop: Boolean(notifyPriceDrop),
+      ...variantSnapshot(variant)
+    },
+    update: { quantity, notifyRestock, notifyPriceDrop, ...variantSnapshot(variant) },
+    include: wishlistItemInclude
+  });
+
+// Change an item's quantity or notification settings. Alerts count changes from now on.
+const updateWishlistItem = async (userId, wishlistItemId, data) => {
+  const item = await prisma.wishlistItem.findFirst({
+    where: { id: wishlistItemId, userId },
+    include: { variant: true }
+  });
+  if (!item) {
+    throw new ApiError(404, 'Wishlist item not found');
+  }
+
+  return prisma.wishlistItem.update({
+    where: { id: item.id },
+    data: { ...data, ...variantSnapshot(item.variant) },
+    include: wishlistItemInclude
+  });
+};
+
+// Move a cart line to the wishlist
+const saveForLater = (userId, cartItemId) => prisma.$transaction(async (tx) => {
+  const cartItem = await tx.cartItem.findFirst({
+    where: { id: cartItemId, userId },
+    include: { variant: true }
+  });
+  if (!cartItem) {
+    throw new ApiError(404, 'Cart item not found');
+  }
+
+  const item = await saveToWishlist(userId, cartItem.variant, { quantity: cartItem.quantity }, tx);
+  await tx.cartItem.delete({ where: { id: cartItem.id } });
+  return item;
+});
+
+// Move a wishlist item to the cart, adding to any quantity already there
+const moveToCart = (userId, wishlistItemId) => prisma.$transaction(async (tx) => {
+  const item = await tx.wishlistItem.findFirst({
+    where: { id: wishlistItemId, userId },
+    include: { variant: true }
+  });
+  if (!item) {
+    throw new ApiError(404, 'Wishlist item not found');
+  }
+
+  const cartItem = await addToCartLine(tx, userId, item.variant, item.quantity);
+  await tx.wishlistItem.delete({ where: { id: item.id } });
+  return cartItem;
+});
+
+const sendRestockEmail = (item) => sendMail({
+  to: item.user.email,
+  subject: `${lineName(item.product, item.variant)} is back in stock`,
+  text: `Hi ${item.user.name},\n\n${lineName(item.product, item.variant)} from your wishlist is back in stock at $${parseFloat(item.variant.price).toFixed(2)}.\n\nYour saved items are on the cart page: ${FRONTEND_URL}\n\nYou can turn these emails off on the item.`
+});
+
+const sendPriceDropEmail = (item) => sendMail({
+  to: item.user.email,
+  subject: `Price drop: ${lineName(item.product, item.variant)}`,
+  text: `Hi ${item.user.name},\n\n${lineName(item.product, item.variant)} from your wishlist is now $${parseFloat(item.variant.price).toFixed(2)} (was $${parseFloat(item.lastPrice).toFixed(2)}).\n\nYour saved items are on the cart page: ${FRONTEND_URL}\n\nYou can turn these emails off on the item.`
+});
+
+// Email users whose wishlisted variants came back in stock or got cheaper since the last
+// check, then record the variants' current state. Returns the number of emails sent.
+const checkWishlistAlerts = async () => {
+  const items = await prisma.wishlistItem.findMany({
+    where: {
+      OR: [{ notifyRestock: true }, { notifyPriceDrop: true }],
+      user: { isDisabled: false, emailVerifiedAt: { not: null } }
+    },
+    include: {
+      ...wishlistItemInclude,
+      user: { select: { email: true, name: true } }
+    }
+  });
+
+  let sent = 0;
+  for (const item of items) {
+    const price = parseFloat(item.variant.price);
+    const lastPrice = parseFloat(item.lastPrice);
+    const inStock = item.variant.stock > 0;
+    if (inStock === item.lastInStock && price === lastPrice) continue;
+
+    // One email per change; a restock email already shows the new price. While the variant
+    // is out of stock lastPrice is kept, so a drop is reported when it is back. A failed
+    // email is retried at the next check.
+    try {
+      if (inStock && !item.lastInStock && item.notifyRestock) {
+        await sendRestockEmail(item);
+        sent++;
+      } else if (inStock && price < lastPrice && item.notifyPriceDrop) {
+        await sendPriceDropEmail(item);
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Wishlist alert for item ${item.id} error:`, error);
+      continue;
+    }
+
+    await prisma.wishlistItem.update({
+      where: { id: item.id },
+      data: { lastInStock: inStock, lastPrice: inStock ? item.variant.price : item.lastPrice }
+    });
+  }
+
+  return sent;
+};
+
+module.exports = {
+  wishlistItemInclude,
+  saveToWishlist,
+  updateWishlistItem,
+  saveForLater,
+  moveToCart,
+  checkWishlistAlerts
+};
@@ -0,0 +1,50 @@
+// API errors
+// Routes pass an ApiError to next() and the error handler in server.js turns it into
+// { error: { code, message, details } } so every endpoint fails the same way.
+
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  500: 'INTERNAL_ERROR'
+};
+
+class ApiError extends Error {
+  // details: optional array of { field, message } for field-level errors
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || 'ERROR';
+    this.details = details;
+  }
+}
+
+// Normalize anything caught in a route into an ApiError. Known Prisma errors map to
+// client errors; everything else becomes a 500 with the route's fallback message.
+const toApiError = (error, fallbackMessage) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error && error.code === 'P2025') {
+    return new ApiError(404, 'Record not found');
+  }
+
+  if (error && error.code === 'P2002') {
+    const fields = error.meta?.target || [];
+    return new ApiError(409, 'A record with that value already exists', {
+      code: 'DUPLICATE',
+      details: [].concat(fields).map(field => ({ field, message: 'Must be unique' }))
+    });
+  }
+
+  return new ApiError(500, fallbackMessage || 'Something went wrong!');
+};
+
+module.exports = {
+  ApiError,
+  toApiError
+};
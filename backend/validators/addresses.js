@@ -0,0 +1,35 @@
+const { z } = require('./common');
+
+const required = (label, max) => z
+  .string({ required_error: `${label} is required` })
+  .trim()
+  .min(1, `${label} is required`)
+  .max(max);
+
+const optional = (max) => z.string().trim().max(max).nullish().transform(value => value || null);
+
+const addressFields = {
+  label: optional(50),
+  recipientName: required('Recipient name', 100),
+  line1: required('Address line 1', 200),
+  line2: optional(200),
+  city: required('City', 100),
+  region: optional(100),
+  postalCode: required('Postal code', 20),
+  country: z
+    .string({ required_error: 'Country is required' })
+    .trim()
+    .length(2, 'Country must be a 2-letter code')
+    .transform(value => value.toUpperCase()),
+  phone: optional(30),
+  isDefault: z.boolean().optional()
+};
+
+const addressBody = z.object(addressFields);
+
+const updateAddressBody = z.object(addressFields).partial();
+
+module.exports = {
+  addressBody,
+  updateAddressBody
+};
@@ -0,0 +1,169 @@
+const { z, queryBoolean, number, integer, pagination } = require('./common');
+const { sku } = require('./products');
+const { REVIEW_STATUSES } = require('../services/reviews');
+const { STOCK_MOVEMENT_TYPES } = require('../services/stockLedger');
+const { ANALYTICS_INTERVALS } = require('../services/analytics');
+
+const ROLES = ['user', 'admin'];
+
+const listUsersQuery = z.object({
+  search: z.string().trim().max(200).optional(),
+  role: z.enum(ROLES).optional(),
+  status: z.enum(['active', 'disabled']).optional(),
+  ...pagination(20, 100)
+});
+
+const updateRoleBody = z.object({
+  role: z.enum(ROLES, { errorMap: () => ({ message: `Role must be one of: ${ROLES.join(', ')}` }) })
+});
+
+const updateStatusBody = z.object({
+  disabled: z.boolean({ required_error: 'disabled is required', invalid_type_error: 'disabled must be true or false' })
+});
+
+// Manual green points correction: positive adds, negative removes
+const adjustPointsBody = z.object({
+  points: integer('points').refine(value => value !== 0, 'points cannot be zero'),
+  note: z.string({ required_error: 'A note explaining the adjustment is required' }).trim().min(1, 'A note explaining the adjustment is required').max(500)
+});
+
+const listReviewsQuery = z.object({
+  status: z.enum(REVIEW_STATUSES).default('pending'),
+  productId: integer('productId').positive().optional(),
+  ...pagination(20, 100)
+});
+
+const moderateReviewBody = z.object({
+  status: z.enum(['approved', 'rejected'], { errorMap: () => ({ message: 'Status must be approved or rejected' }) }),
+  note: z.string().trim().max(500).optional()
+});
+
+const CATALOG_FORMATS = ['csv', 'json'];
+
+const catalogImportQuery = z.object({
+  dryRun: queryBoolean.default(false)
+});
+
+const catalogExportQuery = z.object({
+  format: z.enum(CATALOG_FORMATS).default('csv')
+});
+
+// CSV cells arrive as strings; an empty cell means "not given"
+const cell = (schema) => z.preprocess(
+  value => (value === null || (typeof value === 'string' && value.trim() === '') ? undefined : value),
+  schema
+);
+
+const FLAG_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+const flag = (label) => z.preprocess(
+  value => (typeof value === 'string' ? FLAG_VALUES[value.trim().toLowerCase()] ?? value : value),
+  z.boolean({ invalid_type_error: `${label} must be true or false` })
+);
+
+// One row of a catalog import: a variant, keyed by SKU. Rows without parentSku carry the
+// product fields; rows with parentSku are further variants of that row's product and only
+// need the variant fields. Missing optional fields keep their current value on update.
+const catalogRow = z.object({
+  sku: cell(sku.optional()),
+  parentSku: cell(sku.optional()),
+  name: cell(z.string().trim().max(200).optional()),
+  description: cell(z.string().trim().optional()),
+  category: cell(z.string().trim().optional()),
+  variantName: cell(z.string().trim().max(100).optional()),
+  price: cell(number('Price').min(0, 'Price cannot be negative').optional()),
+  stock: cell(integer('Stock').min(0, 'Stock cannot be negative').optional()),
+  exportedStock: cell(integer('exportedStock').min(0, 'exportedStock cannot be negative').optional()),
+  carbonFootprint: cell(number('Carbon footprint').min(0, 'Carbon footprint cannot be negative').optional()),
+  plasticContent: cell(number('Plastic content').min(0, 'Plastic content cannot be negative').optional()),
+  baselineCarbonFootprint: cell(number('Conventional carbon footprint').min(0, 'Conventional carbon footprint cannot be negative').optional()),
+  baselinePlasticContent: cell(number('Conventional plastic content').min(0, 'Conventional plastic content cannot be negative').optional()),
+  isEcoFriendly: cell(flag('isEcoFriendly').optional()),
+  recyclable: cell(flag('recyclable').optional()),
+  locallySourced: cell(flag('locallySourced').optional()),
+  imageUrl: cell(z.string().trim().url('Image URL must be a valid URL').optional())
+}).superRefine((row, ctx) => {
+  // stock is only required for new SKUs (services/catalog.js checks)
+  const required = row.parentSku
+    ? ['sku', 'price']
+    : ['sku', 'name', 'description', 'category', 'price'];
+  for (const field of required) {
+    if (row[field] === undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message: `${field} is required` });
+    }
+  }
+  if (row.sku && row.parentSku === row.sku) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['parentSku'], message: 'parentSku cannot be the row\'s own SKU' });
+  }
+});
+
+// A variant picked by id or by SKU
+const variantRef = {
+  variantId: integer('variantId').positive().optional(),
+  sku: sku.optional()
+};
+const oneVariantRef = (item, ctx) => {
+  if ((item.variantId === undefined) === (item.sku === undefined)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['variantId'], message: 'Give either variantId or sku' });
+  }
+};
+
+// POST /api/admin/inventory/receive
+const receiveStockBody = z.object({
+  items: z.array(
+    z.object({
+      ...variantRef,
+      quantity: integer('Quantity').min(1, 'Quantity must be at least 1').max(100000)
+    }).superRefine(oneVariantRef),
+    { required_error: 'items is required' }
+  ).min(1, 'items is required').max(100),
+  note: z.string().trim().max(500).optional()
+});
+
+// POST /api/admin/inventory/adjust: positive adds, negative removes
+const adjustStockBody = z.object({
+  ...variantRef,
+  quantity: integer('quantity').refine(value => value !== 0, 'quantity cannot be zero'),
+  note: z.string({ required_error: 'A reason for the adjustment is required' }).trim().min(1, 'A reason for the adjustment is required').max(500)
+}).superRefine(oneVariantRef);
+
+const listStockMovementsQuery = z.object({
+  variantId: integer('variantId').positive().optional(),
+  productId: integer('productId').positive().optional(),
+  type: z.enum(STOCK_MOVEMENT_TYPES).optional(),
+  ...pagination(50, 200)
+});
+
+const lowStockThresholdBody = z.object({
+  lowStockThreshold: integer('lowStockThreshold').min(0, 'lowStockThreshold cannot be negative').max(100000)
+});
+
+// GET /api/admin/analytics/*: from/to default to the last 30 days
+const analyticsQuery = z.object({
+  from: z.coerce.date({ invalid_type_error: 'from must be a date' }).optional(),
+  to: z.coerce.date({ invalid_type_error: 'to must be a date' }).optional(),
+  interval: z.enum(ANALYTICS_INTERVALS).default('day'),
+  limit: integer('limit').min(1).max(50).default(10)
+}).refine(
+  ({ from, to }) => !from || !to || from <= to,
+  { message: 'from cannot be after to', path: ['from'] }
+);
+
+module.exports = {
+  ROLES,
+  listUsersQuery,
+  updateRoleBody,
+  updateStatusBody,
+  adjustPointsBody,
+  listReviewsQuery,
+  moderateReviewBody,
+  CATALOG_FORMATS,
+  catalogImportQuery,
+  catalogExportQuery,
+  catalogRow,
+  receiveStockBody,
+  adjustStockBody,
+  listStockMovementsQuery,
+  lowStockThresholdBody,
+  analyticsQuery
+};
@@ -0,0 +1,38 @@
+const { z, email, password } = require('./common');
+
+const registerBody = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required').max(100),
+  email,
+  password
+});
+
+const loginBody = z.object({
+  email,
+  password: z.string({ required_error: 'Password is required' }).min(1, 'Password is required')
+});
+
+const refreshBody = z.object({
+  refreshToken: z.string({ required_error: 'Refresh token required' }).min(1, 'Refresh token required')
+});
+
+const tokenBody = z.object({
+  token: z.string({ required_error: 'Token is required' }).min(1, 'Token is required')
+});
+
+const forgotPasswordBody = z.object({
+  email
+});
+
+const resetPasswordBody = z.object({
+  token: z.string({ required_error: 'Reset token required' }).min(1, 'Reset token required'),
+  password
+});
+
+module.exports = {
+  registerBody,
+  loginBody,
+  refreshBody,
+  tokenBody,
+  forgotPasswordBody,
+  resetPasswordBody
+};
@@ -0,0 +1,37 @@
+const { z, integer } = require('./common');
+const { SHIPPING_METHOD_IDS } = require('../services/shipping');
+
+const quantity = integer('Quantity').min(1, 'Quantity must be at least 1').max(99, 'Quantity cannot exceed 99');
+
+// Without variantId the product's first variant is added
+const addToCartBody = z.object({
+  productId: integer('productId').positive(),
+  variantId: integer('variantId').positive().optional(),
+  quantity
+});
+
+const updateCartBody = z.object({
+  quantity
+});
+
+// POST /api/cart/:id/swap. Without variantId the product's first variant is used.
+const swapCartItemBody = z.object({
+  productId: integer('productId').positive(),
+  variantId: integer('variantId').positive().optional()
+});
+
+// GET /api/cart/summary. Without addressId the default address (if any) is used for tax.
+const cartSummaryQuery = z.object({
+  addressId: integer('addressId').positive().optional(),
+  shippingMethod: z.enum(SHIPPING_METHOD_IDS).default('standard'),
+  couponCode: z.string().trim().max(32).optional(),
+  redeemPoints: integer('redeemPoints').min(0, 'redeemPoints cannot be negative').default(0)
+});
+
+module.exports = {
+  quantity,
+  addToCartBody,
+  updateCartBody,
+  swapCartItemBody,
+  cartSummaryQuery
+};
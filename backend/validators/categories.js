@@ -0,0 +1,24 @@
+const { z, integer } = require('./common');
+
+const slug = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and single dashes')
+  .max(80);
+
+// POST /api/categories. Without a slug one is made from the name.
+const categoryBody = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required').max(100),
+  slug: slug.optional(),
+  description: z.string().trim().max(1000).nullish(),
+  parentId: integer('parentId').positive().nullish()
+});
+
+// PUT /api/categories/:id
+const updateCategoryBody = categoryBody.partial();
+
+module.exports = {
+  categoryBody,
+  updateCategoryBody
+};
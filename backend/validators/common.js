@@ -0,0 +1,44 @@
+// Shared building blocks for request schemas
+const { z } = require('zod');
+
+// Numeric ids from the URL, e.g. /api/products/:id
+const idParams = z.object({
+  id: z.coerce.number({ invalid_type_error: 'id must be a number' }).int().positive()
+});
+
+// Query-string booleans: "true"/"1" and "false"/"0"
+const queryBoolean = z
+  .enum(['true', 'false', '1', '0'], { errorMap: () => ({ message: 'Must be true or false' }) })
+  .transform(value => value === 'true' || value === '1');
+
+// Numbers that may arrive as strings (form fields, query strings)
+const number = (label) => z.coerce.number({ invalid_type_error: `${label} must be a number` });
+
+const integer = (label) => number(label).int(`${label} must be a whole number`);
+
+// Optional query values sent empty (?minPrice=) count as not given, rather than coercing to 0
+const optionalQuery = (schema) => z.preprocess(value => (value === '' ? undefined : value), schema.optional());
+
+// Page-based pagination shared by list endpoints
+const pagination = (defaultLimit = 20, maxLimit = 100) => ({
+  page: integer('page').min(1).default(1),
+  limit: integer('limit').min(1).max(maxLimit).default(defaultLimit)
+});
+
+const email = z.string({ required_error: 'Email is required' }).trim().email('Must be a valid email address');
+
+const password = z
+  .string({ required_error: 'Password is required' })
+  .min(6, 'Password must be at least 6 characters');
+
+module.exports = {
+  z,
+  idParams,
+  queryBoolean,
+  number,
+  integer,
+  optionalQuery,
+  pagination,
+  email,
+  password
+};
@@ -0,0 +1,48 @@
+const { z, integer, pagination } = require('./common');
+const { ORDER_STATUSES } = require('../services/orderLifecycle');
+const { SHIPPING_METHOD_IDS } = require('../services/shipping');
+const { paymentMethod } = require('./payments');
+
+const status = z.enum(ORDER_STATUSES, { errorMap: () => ({ message: `Status must be one of: ${ORDER_STATUSES.join(', ')}` }) });
+
+// POST /api/orders (checkout). Without addressId the user's default address is used.
+const createOrderBody = z.object({
+  paymentMethod,
+  couponCode: z.string().trim().max(32).optional(),
+  redeemPoints: integer('redeemPoints').min(0, 'redeemPoints cannot be negative').default(0),
+  addressId: integer('addressId').positive().optional(),
+  shippingMethod: z
+    .enum(SHIPPING_METHOD_IDS, { errorMap: () => ({ message: `Shipping method must be one of: ${SHIPPING_METHOD_IDS.join(', ')}` }) })
+    .default('standard')
+});
+
+const updateOrderBody = z.object({
+  status,
+  note: z.string().trim().max(500).optional()
+});
+
+// GET /api/admin/orders
+const adminListOrdersQuery = z.object({
+  status: status.optional(),
+  userId: integer('userId').positive().optional(),
+  search: z.string().trim().max(200).optional(),
+  from: z.coerce.date({ invalid_type_error: 'from must be a date' }).optional(),
+  to: z.coerce.date({ invalid_type_error: 'to must be a date' }).optional(),
+  ...pagination(20, 100)
+});
+
+const cancelOrderBody = z.object({
+  reason: z.string().trim().max(500).optional()
+});
+
+const advanceOrderBody = z.object({
+  note: z.string().trim().max(500).optional()
+});
+
+module.exports = {
+  createOrderBody,
+  updateOrderBody,
+  cancelOrderBody,
+  adminListOrdersQuery,
+  advanceOrderBody
+};
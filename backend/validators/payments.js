@@ -0,0 +1,14 @@
+const { z } = require('./common');
+
+const paymentMethod = z.object({
+  token: z.string({ required_error: 'Payment token is required' }).trim().min(1, 'Payment token is required')
+}, { required_error: 'Payment method is required' });
+
+const webhookParams = z.object({
+  provider: z.string().trim().min(1)
+});
+
+module.exports = {
+  paymentMethod,
+  webhookParams
+};
@@ -0,0 +1,119 @@
+const { z, queryBoolean, number, integer, optionalQuery, pagination } = require('./common');
+
+const SORT_VALUES = ['newest', 'price_asc', 'price_desc', 'sustainability', 'carbon', 'rating'];
+
+// GET /api/products. category is a slug or name and includes subcategories.
+const listProductsQuery = z.object({
+  search: z.string().trim().max(200).optional(),
+  category: z.string().trim().optional(),
+  minPrice: optionalQuery(number('minPrice').min(0)),
+  maxPrice: optionalQuery(number('maxPrice').min(0)),
+  inStock: queryBoolean.optional(),
+  isEcoFriendly: queryBoolean.optional(),
+  recyclable: queryBoolean.optional(),
+  locallySourced: queryBoolean.optional(),
+  sort: z.enum(SORT_VALUES).default('newest'),
+  cursor: integer('cursor').positive().optional(),
+  ...pagination(12, 100)
+}).refine(
+  query => query.minPrice === undefined || query.maxPrice === undefined || query.minPrice <= query.maxPrice,
+  { message: 'minPrice cannot be greater than maxPrice', path: ['minPrice'] }
+);
+
+const sku = z.string().trim().min(1).max(64).regex(/^[A-Za-z0-9._-]+$/, 'SKU may only contain letters, numbers, dots, dashes and underscores');
+
+// Per-unit footprint of a conventional equivalent (see services/footprint.js); null when
+// there is none
+const baseline = (label) => number(label).min(0, `${label} cannot be negative`).nullable().default(null);
+
+const variantBody = z.object({
+  id: integer('Variant id').positive().optional(),
+  sku: sku.optional(),
+  name: z.string({ required_error: 'Variant name is required' }).trim().min(1, 'Variant name is required').max(100),
+  price: number('Price').min(0, 'Price cannot be negative'),
+  stock: integer('Stock').min(0, 'Stock cannot be negative'),
+  carbonFootprint: number('Carbon footprint').min(0, 'Carbon footprint cannot be negative').default(0),
+  plasticContent: number('Plastic content').min(0, 'Plastic content cannot be negative').default(0),
+  baselineCarbonFootprint: baseline('Conventional carbon footprint'),
+  baselinePlasticContent: baseline('Conventional plastic content'),
+  lowStockThreshold: integer('Low-stock threshold').min(0, 'Low-stock threshold cannot be negative').max(100000).optional()
+});
+
+// POST /api/products and PUT /api/products/:id
+// Either a variants list, or price and stock (plus optional sku) for a single variant. On
+// update, stock is only used for new variants (see /api/admin/inventory).
+// The category is given by categoryId, or by name or slug in category.
+const productBody = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required').max(200),
+  description: z.string({ required_error: 'Description is required' }).trim().min(1, 'Description is required'),
+  price: number('Price').min(0, 'Price cannot be negative').optional(),
+  imageUrl: z.string().trim().url('Image URL must be a valid URL').nullish().or(z.literal('')),
+  stock: integer('Stock').min(0, 'Stock cannot be negative').optional(),
+  sku: sku.optional(),
+  category: z.string().trim().min(1, 'Category is required').optional(),
+  categoryId: integer('categoryId').positive().optional(),
+  isEcoFriendly: z.boolean().default(false),
+  carbonFootprint: number('Carbon footprint').min(0, 'Carbon footprint cannot be negative').default(0),
+  plasticContent: number('Plastic content').min(0, 'Plastic content cannot be negative').default(0),
+  baselineCarbonFootprint: baseline('Conventional carbon footprint'),
+  baselinePlasticContent: baseline('Conventional plastic content'),
+  recyclable: z.boolean().default(false),
+  locallySourced: z.boolean().default(false),
+  variants: z.array(variantBody).min(1, 'At least one variant is required').max(50).optional()
+}).superRefine((body, ctx) => {
+  if (body.categoryId === undefined && body.category === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['category'], message: 'Category is required' });
+  }
+  if (body.variants) {
+    const skus = body.variants.map(variant => variant.sku).filter(Boolean);
+    if (new Set(skus).size !== skus.length) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['variants'], message: 'Variant SKUs must be unique' });
+    }
+    return;
+  }
+  if (body.price === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['price'], message: 'Price is required' });
+  }
+  if (body.stock === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['stock'], message: 'Stock is required' });
+  }
+});
+
+// /api/products/:id/images/:imageId
+const imageParams = z.object({
+  id: integer('id').positive(),
+  imageId: integer('imageId').positive()
+});
+
+// PUT /api/products/:id/images/order: every image id of the product, in the new order
+const imageOrderBody = z.object({
+  imageIds: z.array(integer('Image id').positive(), { required_error: 'imageIds is required' })
+    .min(1, 'imageIds is required')
+    .refine(ids => new Set(ids).size === ids.length, 'Image ids must be unique')
+});
+
+const stars = (label) => integer(label).min(1, `${label} must be between 1 and 5`).max(5, `${label} must be between 1 and 5`);
+
+// GET /api/products/:id/reviews
+const listReviewsQuery = z.object({
+  ...pagination(10, 50)
+});
+
+// POST /api/products/:id/reviews (creates or replaces the user's review)
+const reviewBody = z.object({
+  rating: stars('Rating'),
+  ecoClaimRating: stars('Eco claim rating').nullish(),
+  title: z.string().trim().max(120).optional(),
+  body: z.string().trim().max(5000).optional()
+});
+
+module.exports = {
+  SORT_VALUES,
+  sku,
+  listProductsQuery,
+  productBody,
+  imageParams,
+  imageOrderBody,
+  listReviewsQuery,
+  reviewBody
+};
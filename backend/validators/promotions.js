@@ -0,0 +1,54 @@
+const { z, number, integer, queryBoolean, pagination } = require('./common');
+const { PROMOTION_TYPES } = require('../services/promotions');
+
+const optionalDate = (label) => z.coerce.date({ invalid_type_error: `${label} must be a date` }).nullish();
+
+const promotionFields = {
+  code: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z0-9_-]{3,32}$/, 'Code must be 3-32 letters, numbers, dashes or underscores')
+    .transform(value => value.toUpperCase())
+    .nullish(),
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required').max(100),
+  description: z.string().trim().max(500).nullish(),
+  type: z.enum(PROMOTION_TYPES, { errorMap: () => ({ message: `Type must be one of: ${PROMOTION_TYPES.join(', ')}` }) }),
+  value: number('Value').positive('Value must be greater than 0'),
+  minSpend: number('Minimum spend').min(0).nullish(),
+  minEcoPercentage: integer('Minimum eco percentage').min(0).max(99).nullish(),
+  usageLimit: integer('Usage limit').positive().nullish(),
+  perUserLimit: integer('Per-user limit').positive().nullish(),
+  autoApply: z.boolean().default(false),
+  isActive: z.boolean().default(true),
+  startsAt: optionalDate('startsAt'),
+  expiresAt: optionalDate('expiresAt')
+};
+
+// Rules that involve more than one field; checked on the merged record for updates
+const checkPromotion = (promotion, ctx) => {
+  if (promotion.type === 'percentage' && promotion.value > 100) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['value'], message: 'A percentage discount cannot exceed 100' });
+  }
+  if (!promotion.code && !promotion.autoApply) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['code'], message: 'A code is required unless the promotion applies automatically' });
+  }
+  if (promotion.startsAt && promotion.expiresAt && promotion.expiresAt <= promotion.startsAt) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['expiresAt'], message: 'expiresAt must be after startsAt' });
+  }
+};
+
+const promotionBody = z.object(promotionFields).superRefine(checkPromotion);
+
+const updatePromotionBody = z.object(promotionFields).partial();
+
+const listPromotionsQuery = z.object({
+  active: queryBoolean.optional(),
+  ...pagination(20, 100)
+});
+
+module.exports = {
+  promotionBody,
+  updatePromotionBody,
+  listPromotionsQuery,
+  checkPromotion
+};
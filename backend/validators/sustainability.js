@@ -0,0 +1,38 @@
+const { z, number, integer, pagination } = require('./common');
+const { GOAL_METRIC_IDS } = require('../services/sustainabilityHistory');
+
+const PACKAGING_OPTIONS = ['standard', 'minimal', 'recyclable'];
+
+const preferencesBody = z.object({
+  packagingPreference: z.enum(PACKAGING_OPTIONS).optional(),
+  notifyGreenDeals: z.boolean().optional(),
+  showCarbonFootprint: z.boolean().optional()
+});
+
+// GET /api/sustainability/points
+const pointsHistoryQuery = z.object({
+  ...pagination(20, 100)
+});
+
+// GET /api/sustainability/history: the last `months` months, this one included
+const historyQuery = z.object({
+  months: integer('months').min(1, 'months must be at least 1').max(36, 'months cannot exceed 36').default(12)
+});
+
+// /api/sustainability/goals/:metric
+const goalParams = z.object({
+  metric: z.enum(GOAL_METRIC_IDS, { errorMap: () => ({ message: `Metric must be one of: ${GOAL_METRIC_IDS.join(', ')}` }) })
+});
+
+const goalBody = z.object({
+  target: number('Target').positive('Target must be greater than zero').max(1000000)
+});
+
+module.exports = {
+  PACKAGING_OPTIONS,
+  preferencesBody,
+  pointsHistoryQuery,
+  historyQuery,
+  goalParams,
+  goalBody
+};
@@ -0,0 +1,25 @@
+const { z, integer } = require('./common');
+const { quantity } = require('./cart');
+
+const notifyFields = {
+  notifyRestock: z.boolean({ invalid_type_error: 'notifyRestock must be true or false' }).optional(),
+  notifyPriceDrop: z.boolean({ invalid_type_error: 'notifyPriceDrop must be true or false' }).optional()
+};
+
+// Without variantId the product's first variant is saved
+const addToWishlistBody = z.object({
+  productId: integer('productId').positive(),
+  variantId: integer('variantId').positive().optional(),
+  quantity: quantity.default(1),
+  ...notifyFields
+});
+
+const updateWishlistBody = z.object({
+  quantity: quantity.optional(),
+  ...notifyFields
+});
+
+module.exports = {
+  addToWishlistBody,
+  updateWishlistBody
+};
@@ -5,21 +5,73 @@ const API_URL = 'https://smartcart-backend-6q86.onrender.com/api';
 const state = {
   user: null,
   token: localStorage.getItem('token'),
+  refreshToken: localStorage.getItem('refreshToken'),
   products: [],
+  categories: [],
+  productPage: 1,
+  productPagination: null,
+  adminProductPage: 1,
+  adminUserPage: 1,
+  adminOrderPage: 1,
+  adminPromotionPage: 1,
+  adminReviewPage: 1,
+  stockMovementPage: 1,
+  stockMovementVariant: null,
+  pointsPage: 1,
+  couponCode: '',
   cart: [],
+  wishlist: [],
+  reservation: null,
+  reservationTimer: null,
   orders: [],
   currentPage: 'products',
+  resetToken: null,
   sustainabilityData: null,
+  sustainabilityHistory: null,
   cartImpact: null
 };
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
-  checkAuth();
   initEventListeners();
+  handleEmailLinks();
+  checkAuth();
+  loadCategories();
   loadProducts();
 });
 
+// Handle ?verifyToken= and ?resetToken= links from emails
+async function handleEmailLinks() {
+  const params = new URLSearchParams(window.location.search);
+  const verifyToken = params.get('verifyToken');
+  const resetToken = params.get('resetToken');
+  
+  if (!verifyToken && !resetToken) return;
+  
+  // Drop the token from the address bar so it isn't bookmarked or shared
+  window.history.replaceState({}, '', window.location.pathname);
+  
+  if (resetToken) {
+    state.resetToken = resetToken;
+    navigateTo('resetPassword');
+    return;
+  }
+  
+  try {
+    const data = await apiCall('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token: verifyToken })
+    });
+    showToast(data.message);
+    if (state.user) {
+      state.user.emailVerified = true;
+      updateVerifyBanner();
+    }
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 // Check authentication
 async function checkAuth() {
   if (state.token) {
@@ -47,7 +99,9 @@ function updateAuthUI(isAuthenticated) {
   const navCart = document.getElementById('navCart');
   const navOrders = document.getElementById('navOrders');
   const navAdmin = document.getElementById('navAdmin');
+  const navAnalytics = document.getElementById('navAnalytics');
   const navSustainability = document.getElementById('navSustainability');
+  const navAccount = document.getElementById('navAccount');
   
   if (isAuthenticated) {
     authButtons.style.display = 'none';
@@ -55,10 +109,12 @@ function updateAuthUI(isAuthenticated) {
     navCart.style.display = 'block';
     navOrders.style.display = 'block';
     navSustainability.style.display = 'block';
+    navAccount.style.display = 'block';
     
-    // Show admin link only for admin users
+    // Show admin links only for admin users
     if (state.user && state.user.role === 'admin') {
       navAdmin.style.display = 'block';
+      navAnalytics.style.display = 'block';
     }
     
     // Display user's name
@@ -72,13 +128,22 @@ function updateAuthUI(isAuthenticated) {
     navCart.style.display = 'none';
     navOrders.style.display = 'none';
     navAdmin.style.display = 'none';
+    navAnalytics.style.display = 'none';
     navSustainability.style.display = 'none';
+    navAccount.style.display = 'none';
   }
   
+  updateVerifyBanner();
+  
   // Update active page indicator
   updateActiveNav(state.currentPage);
 }
 
+function updateVerifyBanner() {
+  const banner = document.getElementById('verifyBanner');
+  banner.style.display = state.user && state.user.emailVerified === false ? 'block' : 'none';
+}
+
 // Update active navigation indicator
 function updateActiveNav(page) {
   // Remove active class from all nav links
@@ -108,33 +173,75 @@ function initEventListeners() {
   document.getElementById('loginForm').addEventListener('submit', handleLogin);
   document.getElementById('registerForm').addEventListener('submit', handleRegister);
   document.getElementById('logoutBtn').addEventListener('click', logout);
+  document.getElementById('forgotPasswordForm').addEventListener('submit', handleForgotPassword);
+  document.getElementById('resetPasswordForm').addEventListener('submit', handleResetPassword);
+  document.getElementById('resendVerificationBtn').addEventListener('click', resendVerification);
+  document.getElementById('revokeOtherSessionsBtn').addEventListener('click', revokeOtherSessions);
+  document.getElementById('addressForm').addEventListener('submit', handleAddressSubmit);
   
   // Product controls
-  document.getElementById('searchInput').addEventListener('input', filterProducts);
-  document.getElementById('categoryFilter').addEventListener('change', filterProducts);
+  document.getElementById('searchInput').addEventListener('input', debounce(filterProducts, 300));
+  document.getElementById('minPriceFilter').addEventListener('input', debounce(filterProducts, 300));
+  document.getElementById('maxPriceFilter').addEventListener('input', debounce(filterProducts, 300));
+  ['categoryFilter', 'sortSelect', 'inStockFilter', 'ecoFriendlyFilter', 'recyclableFilter', 'localFilter'].forEach(id => {
+    document.getElementById(id).addEventListener('change', filterProducts);
+  });
   
   // Checkout
   document.getElementById('checkoutBtn').addEventListener('click', handleCheckout);
+  document.getElementById('applyCouponBtn').addEventListener('click', applyCoupon);
+  document.getElementById('placeOrderBtn').addEventListener('click', placeOrder);
+  document.getElementById('leaveCheckoutBtn').addEventListener('click', leaveCheckout);
+  document.getElementById('checkoutAddressSelect').addEventListener('change', loadCartSummary);
+  document.getElementById('shippingMethodsList').addEventListener('change', loadCartSummary);
+  document.getElementById('redeemPointsInput').addEventListener('input', debounce(loadCartSummary, 300));
   
   // Admin panel
   document.getElementById('adminProductForm').addEventListener('submit', handleAdminProductSubmit);
+  document.getElementById('adminAddVariantBtn').addEventListener('click', handleAddVariant);
   document.getElementById('adminCancelBtn').addEventListener('click', resetAdminForm);
   document.getElementById('adminProductImage').addEventListener('input', previewImage);
+  document.getElementById('adminProductFiles').addEventListener('change', previewSelectedImages);
+  document.getElementById('adminRescoreBtn').addEventListener('click', rescoreCatalog);
+  document.getElementById('adminRecalculateSavingsBtn').addEventListener('click', recalculateSavings);
+  document.getElementById('adminUserSearch').addEventListener('input', debounce(filterAdminUsers, 300));
+  document.getElementById('adminUserRoleFilter').addEventListener('change', filterAdminUsers);
+  document.getElementById('adminOrderSearch').addEventListener('input', debounce(filterAdminOrders, 300));
+  document.getElementById('adminOrderStatusFilter').addEventListener('change', filterAdminOrders);
+  document.getElementById('adminPromotionForm').addEventListener('submit', handleAdminPromotionSubmit);
+  document.getElementById('adminReviewStatusFilter').addEventListener('change', filterAdminReviews);
+  document.getElementById('adminCategoryForm').addEventListener('submit', handleAdminCategorySubmit);
+  document.getElementById('catalogImportForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    importCatalog(false);
+  });
+  document.getElementById('catalogDryRunBtn').addEventListener('click', () => importCatalog(true));
+  document.getElementById('adminCategoryCancelBtn').addEventListener('click', resetCategoryForm);
+  document.getElementById('inventoryForm').addEventListener('submit', handleInventorySubmit);
+  document.getElementById('analyticsForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadAnalytics();
+  });
+  document.getElementById('stockMovementTypeFilter').addEventListener('change', () => filterStockMovements(state.stockMovementVariant));
   
   // Sustainability preferences
   document.getElementById('sustainabilityPreferencesForm').addEventListener('submit', handleSustainabilityPreferences);
+  
+  // Sustainability history and goals
+  document.getElementById('historyMetric').addEventListener('change', renderSustainabilityHistory);
+  document.getElementById('goalForm').addEventListener('submit', handleGoalSubmit);
 }
 
 // Navigation
 function navigateTo(page) {
-  // Check if trying to access admin page
-  if (page === 'admin' && (!state.user || state.user.role !== 'admin')) {
+  // Check if trying to access admin pages
+  if (['admin', 'analytics'].includes(page) && (!state.user || state.user.role !== 'admin')) {
     showToast('Admin access required', 'error');
     return;
   }
   
   // Check if trying to access protected pages
-  if (['cart', 'orders', 'sustainability'].includes(page) && !state.token) {
+  if (['cart', 'orders', 'sustainability', 'account'].includes(page) && !state.token) {
     showToast('Please login first', 'error');
     navigateTo('login');
     return;
@@ -157,17 +264,69 @@ function navigateTo(page) {
   // Load page data
   if (page === 'cart') {
     loadCart();
+    loadWishlist();
   } else if (page === 'orders') {
     loadOrders();
   } else if (page === 'admin') {
     loadAdminProducts();
+    loadAdminOrders();
+    loadCategories();
+    loadAdminPromotions();
+    loadAdminReviews();
+    loadInventory();
+    loadAdminUsers();
+  } else if (page === 'analytics') {
+    loadAnalytics();
   } else if (page === 'sustainability') {
     loadSustainabilityDashboard();
+  } else if (page === 'account') {
+    loadSessions();
+    loadAddresses();
+  }
+}
+
+// Store tokens from login/register/refresh responses
+function saveTokens(data) {
+  state.token = data.token;
+  state.refreshToken = data.refreshToken;
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+}
+
+function clearTokens() {
+  state.token = null;
+  state.refreshToken = null;
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+}
+
+// Exchange the refresh token for a new pair; concurrent callers share one request
+let refreshPromise = null;
+function refreshSession() {
+  if (!state.refreshToken) return Promise.resolve(false);
+  
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: state.refreshToken })
+    })
+      .then(async response => {
+        if (!response.ok) return false;
+        saveTokens(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => { refreshPromise = null; });
   }
+  
+  return refreshPromise;
 }
 
 // API Helper
-async function apiCall(endpoint, options = {}) {
+// options.raw: return the fetch Response instead of parsed JSON (for file downloads)
+async function apiCall(endpoint, options = {}, retry = true) {
+  const { raw, ...fetchOptions } = options;
   const defaultOptions = {
     headers: {
       'Content-Type': 'application/json'
@@ -178,18 +337,128 @@ async function apiCall(endpoint, options = {}) {
     defaultOptions.headers['Authorization'] = `Bearer ${state.token}`;
   }
   
+  // Let the browser set the multipart boundary for uploads
+  if (fetchOptions.body instanceof FormData) {
+    delete defaultOptions.headers['Content-Type'];
+  }
+  
   const response = await fetch(`${API_URL}${endpoint}`, {
     ...defaultOptions,
-    ...options,
-    headers: { ...defaultOptions.headers, ...options.headers }
+    ...fetchOptions,
+    headers: { ...defaultOptions.headers, ...fetchOptions.headers }
   });
   
+  // Access tokens are short-lived: refresh once and retry before giving up
+  if (response.status === 401 && retry && state.refreshToken) {
+    if (await refreshSession()) {
+      return apiCall(endpoint, options, false);
+    }
+  }
+  
+  // Errors come back as { error: { code, message, details: [{ field, message }] } }
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || 'Request failed');
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error?.message || 'Request failed');
+    error.code = body.error?.code;
+    error.details = body.error?.details || [];
+    throw error;
   }
   
-  return response.json();
+  return raw ? response : response.json();
+}
+
+// Form field ids keyed by the API field name, used to show field-level errors
+const FORM_FIELDS = {
+  loginForm: { email: 'loginEmail', password: 'loginPassword' },
+  registerForm: { name: 'registerName', email: 'registerEmail', password: 'registerPassword' },
+  forgotPasswordForm: { email: 'forgotPasswordEmail' },
+  resetPasswordForm: { password: 'resetPassword' },
+  addressForm: {
+    label: 'addressLabel',
+    recipientName: 'addressRecipient',
+    line1: 'addressLine1',
+    line2: 'addressLine2',
+    city: 'addressCity',
+    region: 'addressRegion',
+    postalCode: 'addressPostalCode',
+    country: 'addressCountry',
+    phone: 'addressPhone'
+  },
+  adminPromotionForm: {
+    name: 'promotionName',
+    code: 'promotionCode',
+    type: 'promotionType',
+    value: 'promotionValue',
+    minSpend: 'promotionMinSpend',
+    minEcoPercentage: 'promotionMinEco',
+    usageLimit: 'promotionUsageLimit',
+    perUserLimit: 'promotionPerUserLimit',
+    expiresAt: 'promotionExpiresAt'
+  },
+  adminCategoryForm: {
+    name: 'categoryName',
+    slug: 'categorySlug',
+    parentId: 'categoryParent',
+    description: 'categoryDescription'
+  },
+  inventoryForm: {
+    sku: 'inventorySku',
+    variantId: 'inventorySku',
+    'items.0.sku': 'inventorySku',
+    'items.0.variantId': 'inventorySku',
+    'items.0.quantity': 'inventoryQuantity',
+    items: 'inventorySku',
+    quantity: 'inventoryQuantity',
+    note: 'inventoryNote'
+  },
+  goalForm: {
+    metric: 'goalMetric',
+    target: 'goalTarget'
+  },
+  analyticsForm: {
+    from: 'analyticsFrom',
+    to: 'analyticsTo',
+    interval: 'analyticsInterval'
+  },
+  adminProductForm: {
+    name: 'adminProductName',
+    description: 'adminProductDescription',
+    price: 'adminProductPrice',
+    stock: 'adminProductStock',
+    category: 'adminProductCategory',
+    categoryId: 'adminProductCategory',
+    imageUrl: 'adminProductImage',
+    carbonFootprint: 'adminProductCarbon',
+    plasticContent: 'adminProductPlastic',
+    baselineCarbonFootprint: 'adminProductBaselineCarbon',
+    baselinePlasticContent: 'adminProductBaselinePlastic',
+    variants: 'adminVariantsList',
+    images: 'adminProductFiles'
+  }
+};
+
+function clearFieldErrors(formId) {
+  const form = document.getElementById(formId);
+  form.querySelectorAll('.field-error').forEach(el => el.remove());
+  form.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+}
+
+// Show an API error on a form: a toast plus a message under each invalid field
+function showFormError(formId, error) {
+  clearFieldErrors(formId);
+  showToast(error.message, 'error');
+  
+  const fields = FORM_FIELDS[formId] || {};
+  (error.details || []).forEach(detail => {
+    const input = document.getElementById(fields[detail.field]);
+    if (!input) return;
+    
+    input.classList.add('input-error');
+    const message = document.createElement('small');
+    message.className = 'field-error';
+    message.textContent = detail.message;
+    input.insertAdjacentElement('afterend', message);
+  });
 }
 
 // Toast Notification
@@ -210,15 +479,15 @@ async function handleLogin(e) {
   const email = document.getElementById('loginEmail').value;
   const password = document.getElementById('loginPassword').value;
   
+  clearFieldErrors('loginForm');
   try {
     const data = await apiCall('/auth/login', {
       method: 'POST',
       body: JSON.stringify({ email, password })
     });
     
-    state.token = data.token;
+    saveTokens(data);
     state.user = data.user;
-    localStorage.setItem('token', data.token);
     
     updateAuthUI(true);
     showToast(`Welcome back, ${data.user.name}!`);
@@ -232,7 +501,7 @@ async function handleLogin(e) {
     
     loadCart();
   } catch (error) {
-    showToast(error.message, 'error');
+    showFormError('loginForm', error);
   }
 }
 
@@ -242,44 +511,103 @@ async function handleRegister(e) {
   const name = document.getElementById('registerName').value;
   const email = document.getElementById('registerEmail').value;
   const password = document.getElementById('registerPassword').value;
-  const isAdmin = document.getElementById('registerAsAdmin').checked;
   
+  clearFieldErrors('registerForm');
   try {
     const data = await apiCall('/auth/register', {
       method: 'POST',
-      body: JSON.stringify({ 
-        name, 
-        email, 
-        password,
-        role: isAdmin ? 'admin' : 'user'
-      })
+      body: JSON.stringify({ name, email, password })
     });
     
-    state.token = data.token;
+    saveTokens(data);
     state.user = data.user;
-    localStorage.setItem('token', data.token);
     
     updateAuthUI(true);
-    showToast('Registration successful!');
-    
-    // Redirect to admin panel if admin user
-    if (data.user.role === 'admin') {
-      navigateTo('admin');
-    } else {
-      navigateTo('products');
-    }
+    showToast('Registration successful! Check your email to verify your account.');
+    navigateTo('products');
     
     loadCart();
+  } catch (error) {
+    showFormError('registerForm', error);
+  }
+}
+
+async function handleForgotPassword(e) {
+  e.preventDefault();
+  
+  const email = document.getElementById('forgotPasswordEmail').value;
+  
+  clearFieldErrors('forgotPasswordForm');
+  try {
+    const data = await apiCall('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+    
+    document.getElementById('forgotPasswordForm').reset();
+    showToast(data.message);
+    navigateTo('login');
+  } catch (error) {
+    showFormError('forgotPasswordForm', error);
+  }
+}
+
+async function handleResetPassword(e) {
+  e.preventDefault();
+  
+  const password = document.getElementById('resetPassword').value;
+  const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+  
+  if (password !== confirmPassword) {
+    showToast('Passwords do not match', 'error');
+    return;
+  }
+  
+  if (!state.resetToken) {
+    showToast('Reset link is missing or invalid', 'error');
+    return;
+  }
+  
+  clearFieldErrors('resetPasswordForm');
+  try {
+    const data = await apiCall('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token: state.resetToken, password })
+    });
+    
+    state.resetToken = null;
+    document.getElementById('resetPasswordForm').reset();
+    showToast(data.message);
+    navigateTo('login');
+  } catch (error) {
+    showFormError('resetPasswordForm', error);
+  }
+}
+
+async function resendVerification() {
+  try {
+    const data = await apiCall('/auth/resend-verification', { method: 'POST' });
+    showToast(data.message);
   } catch (error) {
     showToast(error.message, 'error');
   }
 }
 
-function logout() {
-  state.token = null;
+async function logout() {
+  // Revoke the session server-side; clear locally even if that fails
+  if (state.token) {
+    try {
+      await apiCall('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+  }
+  
+  clearTokens();
+  hideCheckoutStep();
   state.user = null;
   state.cart = [];
-  localStorage.removeItem('token');
+  state.wishlist = [];
   
   updateAuthUI(false);
   updateCartBadge();
@@ -287,17 +615,84 @@ function logout() {
   navigateTo('products');
 }
 
+// Escape user-written text (reviews, names) before putting it in HTML
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
+// Delay a handler until input has settled (used for search-as-you-type)
+function debounce(fn, wait) {
+  let timer;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}
+
 // Product Functions
+function getProductQuery() {
+  const params = new URLSearchParams();
+  const search = document.getElementById('searchInput').value.trim();
+  const category = document.getElementById('categoryFilter').value;
+  const sort = document.getElementById('sortSelect').value;
+  const minPrice = document.getElementById('minPriceFilter').value;
+  const maxPrice = document.getElementById('maxPriceFilter').value;
+  
+  if (search) params.set('search', search);
+  if (category) params.set('category', category);
+  if (sort) params.set('sort', sort);
+  if (minPrice) params.set('minPrice', minPrice);
+  if (maxPrice) params.set('maxPrice', maxPrice);
+  if (document.getElementById('inStockFilter').checked) params.set('inStock', 'true');
+  if (document.getElementById('ecoFriendlyFilter').checked) params.set('isEcoFriendly', 'true');
+  if (document.getElementById('recyclableFilter').checked) params.set('recyclable', 'true');
+  if (document.getElementById('localFilter').checked) params.set('locallySourced', 'true');
+  params.set('page', state.productPage);
+  
+  return params.toString();
+}
+
 async function loadProducts() {
   try {
-    const products = await apiCall('/products');
-    state.products = products;
-    renderProducts(products);
+    const data = await apiCall(`/products?${getProductQuery()}`);
+    state.products = data.products;
+    state.productPagination = data.pagination;
+    renderProducts(data.products);
+    renderPagination('productsPagination', data.pagination, 'goToProductPage');
   } catch (error) {
     showToast('Failed to load products', 'error');
   }
 }
 
+function goToProductPage(page) {
+  state.productPage = page;
+  loadProducts();
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// Render previous/next controls for a paginated list
+function renderPagination(containerId, pagination, handlerName) {
+  const container = document.getElementById(containerId);
+  
+  if (!pagination || pagination.totalPages <= 1) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const { page, totalPages, total } = pagination;
+  container.innerHTML = `
+    <button class="btn btn-secondary btn-small" onclick="${handlerName}(${page - 1})" ${page <= 1 ? 'disabled' : ''}>← Previous</button>
+    <span>Page ${page} of ${totalPages} (${total} total)</span>
+    <button class="btn btn-secondary btn-small" onclick="${handlerName}(${page + 1})" ${page >= totalPages ? 'disabled' : ''}>Next →</button>
+  `;
+}
+
 function renderProducts(products) {
   const container = document.getElementById('productsList');
   
@@ -307,10 +702,14 @@ function renderProducts(products) {
   }
   
   container.innerHTML = products.map(product => {
+    // The first variant is preselected; the picker swaps in the others' details
+    const variants = product.variants || [];
+    const variant = variants[0] || product;
+    
     // Determine carbon level
     let carbonClass = 'low';
     let carbonEmoji = '🌱';
-    const carbonValue = product.carbonFootprint || 0;
+    const carbonValue = variant.carbonFootprint || 0;
     
     if (carbonValue > 10) {
       carbonClass = 'high';
@@ -340,27 +739,51 @@ function renderProducts(products) {
         <span class="product-category">${product.category}</span>
         <h3 class="product-name">${product.name}</h3>
         <p class="product-description">${product.description}</p>
-        <div class="product-price">$${parseFloat(product.price).toFixed(2)}</div>
+        <div class="product-price" id="productPrice-${product.id}">$${parseFloat(variant.price).toFixed(2)}</div>
+        ${variants.length > 1 ? `
+          <select class="form-select variant-select" id="variantSelect-${product.id}" onchange="selectVariant(${product.id})">
+            ${variants.map(option => `
+              <option value="${option.id}" data-price="${option.price}" data-stock="${option.stock}"
+                      data-carbon="${option.carbonFootprint}" data-plastic="${option.plasticContent}"
+                      data-baseline-carbon="${option.baselineCarbonFootprint ?? ''}">
+                ${option.name}${option.stock === 0 ? ' (out of stock)' : ''}
+              </option>
+            `).join('')}
+          </select>
+        ` : ''}
         <div class="sustainability-info">
           <div class="metric-item">
             <span class="metric-icon">🌱</span>
-            <span class="metric-value">${carbonValue.toFixed(1)} kg CO₂</span>
+            <span class="metric-value" id="productCarbon-${product.id}">${carbonValue.toFixed(1)} kg CO₂</span>
           </div>
-          ${(product.plasticContent || 0) > 0 ? `
           <div class="metric-divider"></div>
           <div class="metric-item">
             <span class="metric-icon">🧴</span>
-            <span class="metric-value">${(product.plasticContent || 0).toFixed(0)}g plastic</span>
+            <span class="metric-value" id="productPlastic-${product.id}">${(variant.plasticContent || 0).toFixed(0)}g plastic</span>
           </div>
-          ` : ''}
         </div>
-        <div class="product-stock">Stock: ${product.stock}</div>
+        <div class="product-saving" id="productSaving-${product.id}">${carbonSavingText(variant.carbonFootprint, variant.baselineCarbonFootprint)}</div>
+        <div class="sustainability-score">
+          <span>🌍 Sustainability Score: <strong>${product.sustainabilityScore || 0}/100</strong></span>
+          <button class="link-btn" onclick="toggleScoreBreakdown(${product.id})">Why?</button>
+        </div>
+        <div class="score-breakdown" id="scoreBreakdown-${product.id}" style="display:none;"></div>
+        <div class="product-rating">
+          ${product.ratingCount > 0
+            ? `<span><span class="rating-stars">${renderStars(product.ratingAverage)}</span> ${product.ratingAverage.toFixed(1)} (${product.ratingCount})</span>`
+            : '<span>No reviews yet</span>'}
+          ${product.ecoClaimRatingCount > 0 ? `<span title="Did the eco claims hold up?">♻️ Claims ${product.ecoClaimRating.toFixed(1)}/5</span>` : ''}
+          <button class="link-btn" onclick="toggleReviews(${product.id})">Reviews</button>
+        </div>
+        <div class="product-reviews" id="productReviews-${product.id}" style="display:none;"></div>
+        <div class="product-stock" id="productStock-${product.id}">Stock: ${variant.stock}</div>
         <div class="product-actions">
           ${state.token ? `
-            <button class="btn btn-primary" onclick="addToCart(${product.id})" 
-                    ${product.stock === 0 ? 'disabled' : ''}>
-              ${product.stock === 0 ? 'Out of Stock' : 'Add to Cart'}
+            <button class="btn btn-primary" id="addToCartBtn-${product.id}" onclick="addToCart(${product.id})" 
+                    ${variant.stock === 0 ? 'disabled' : ''}>
+              ${variant.stock === 0 ? 'Out of Stock' : 'Add to Cart'}
             </button>
+            <button class="btn btn-secondary" onclick="addToWishlist(${product.id})" title="Save to your wishlist">♡ Save</button>
           ` : `
             <button class="btn btn-secondary" onclick="navigateTo('login')">
               Login to Buy
@@ -375,24 +798,181 @@ function renderProducts(products) {
   }).join('');
 }
 
+// Show the chosen variant's price, footprint and stock on its product card
+function selectVariant(productId) {
+  const option = document.getElementById(`variantSelect-${productId}`).selectedOptions[0];
+  const stock = parseInt(option.dataset.stock);
+  
+  document.getElementById(`productPrice-${productId}`).textContent = `$${parseFloat(option.dataset.price).toFixed(2)}`;
+  document.getElementById(`productCarbon-${productId}`).textContent = `${parseFloat(option.dataset.carbon).toFixed(1)} kg CO₂`;
+  document.getElementById(`productPlastic-${productId}`).textContent = `${parseFloat(option.dataset.plastic).toFixed(0)}g plastic`;
+  document.getElementById(`productSaving-${productId}`).textContent = carbonSavingText(
+    parseFloat(option.dataset.carbon),
+    option.dataset.baselineCarbon === '' ? null : parseFloat(option.dataset.baselineCarbon)
+  );
+  document.getElementById(`productStock-${productId}`).textContent = `Stock: ${stock}`;
+  
+  const button = document.getElementById(`addToCartBtn-${productId}`);
+  if (button) {
+    button.disabled = stock === 0;
+    button.textContent = stock === 0 ? 'Out of Stock' : 'Add to Cart';
+  }
+}
+
+// CO2 saved per unit against the conventional equivalent; empty without a baseline or saving
+function carbonSavingText(carbonFootprint, baselineCarbonFootprint) {
+  if (baselineCarbonFootprint === null || baselineCarbonFootprint === undefined) return '';
+  const saving = baselineCarbonFootprint - (carbonFootprint || 0);
+  return saving > 0 ? `♻️ Saves ${saving.toFixed(1)} kg CO₂ vs conventional` : '';
+}
+
+// Any filter change starts again from the first page
 function filterProducts() {
-  const search = document.getElementById('searchInput').value.toLowerCase();
-  const category = document.getElementById('categoryFilter').value;
+  state.productPage = 1;
+  loadProducts();
+}
+
+// Show or hide the per-factor explanation of a product's sustainability score
+async function toggleScoreBreakdown(productId) {
+  const container = document.getElementById(`scoreBreakdown-${productId}`);
+  
+  if (container.style.display === 'block') {
+    container.style.display = 'none';
+    return;
+  }
+  
+  try {
+    const data = await apiCall(`/products/${productId}/sustainability`);
+    container.innerHTML = data.breakdown.map(item => `
+      <div class="score-breakdown-item" title="${item.reason}">
+        <span>${item.label}</span>
+        <span>${item.points}/${item.maxPoints}</span>
+      </div>
+    `).join('');
+    container.style.display = 'block';
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Reviews
+function renderStars(rating) {
+  const full = Math.round(rating);
+  return '★'.repeat(full) + '☆'.repeat(5 - full);
+}
+
+async function toggleReviews(productId) {
+  const container = document.getElementById(`productReviews-${productId}`);
+  
+  if (container.style.display === 'block') {
+    container.style.display = 'none';
+    return;
+  }
   
-  let filtered = state.products;
+  await loadReviews(productId);
+  container.style.display = 'block';
+}
+
+async function loadReviews(productId) {
+  const container = document.getElementById(`productReviews-${productId}`);
   
-  if (search) {
-    filtered = filtered.filter(p => 
-      p.name.toLowerCase().includes(search) || 
-      p.description.toLowerCase().includes(search)
-    );
+  try {
+    const [data, mine] = await Promise.all([
+      apiCall(`/products/${productId}/reviews?limit=5`),
+      state.token ? apiCall(`/products/${productId}/reviews/mine`) : null
+    ]);
+    container.innerHTML = renderReviews(productId, data, mine);
+  } catch (error) {
+    showToast(error.message, 'error');
   }
+}
+
+function renderReviews(productId, { summary, reviews, pagination }, mine) {
+  const list = reviews.length === 0
+    ? '<p class="review-meta">No reviews yet.</p>'
+    : reviews.map(review => `
+      <div class="review-item">
+        <div>
+          <span class="rating-stars">${renderStars(review.rating)}</span>
+          ${review.title ? `<strong>${escapeHtml(review.title)}</strong>` : ''}
+        </div>
+        ${review.body ? `<div>${escapeHtml(review.body)}</div>` : ''}
+        ${review.ecoClaimRating ? `<div class="review-meta">♻️ Eco claims: ${review.ecoClaimRating}/5</div>` : ''}
+        <div class="review-meta">
+          ${escapeHtml(review.user.name)} • ✔ Verified purchase • ${new Date(review.createdAt).toLocaleDateString()}
+        </div>
+      </div>
+    `).join('');
+  
+  const more = pagination.total > reviews.length ? `<p class="review-meta">Showing ${reviews.length} of ${pagination.total} reviews</p>` : '';
+  
+  return `
+    ${summary.ratingCount > 0 ? `
+      <div class="review-meta">
+        ${[5, 4, 3, 2, 1].map(stars => `${stars}★ ${summary.distribution[stars]}`).join(' • ')}
+      </div>
+    ` : ''}
+    ${list}
+    ${more}
+    ${renderReviewForm(productId, mine)}
+  `;
+}
+
+// The signed-in user's review form, or why they can't review yet
+function renderReviewForm(productId, mine) {
+  if (!mine) return '';
   
-  if (category) {
-    filtered = filtered.filter(p => p.category === category);
+  const { review, canReview, hasEcoClaims } = mine;
+  const statusNote = review
+    ? `<p class="review-meta">Your review is ${review.status === 'pending' ? 'waiting for approval' : review.status}.</p>`
+    : '';
+  
+  if (!canReview) {
+    return statusNote || '<p class="review-meta">You can review this product once an order with it has been delivered.</p>';
   }
   
-  renderProducts(filtered);
+  const options = (selected) => [5, 4, 3, 2, 1]
+    .map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value} ★</option>`)
+    .join('');
+  
+  return `
+    ${statusNote}
+    <form class="review-form" onsubmit="submitReview(event, ${productId})">
+      <select id="reviewRating-${productId}" class="form-select">${options(review?.rating ?? 5)}</select>
+      ${hasEcoClaims ? `
+        <select id="reviewEcoRating-${productId}" class="form-select" title="Did the recyclable/plastic-free claims hold up?">
+          <option value="">Eco claims held up? (optional)</option>
+          ${options(review?.ecoClaimRating)}
+        </select>
+      ` : ''}
+      <input type="text" id="reviewTitle-${productId}" placeholder="Title (optional)" maxlength="120" value="${escapeHtml(review?.title)}">
+      <textarea id="reviewBody-${productId}" rows="3" placeholder="What did you think?" maxlength="5000">${escapeHtml(review?.body)}</textarea>
+      <button type="submit" class="btn btn-primary btn-small">${review ? 'Update Review' : 'Post Review'}</button>
+    </form>
+  `;
+}
+
+async function submitReview(e, productId) {
+  e.preventDefault();
+  
+  const ecoRating = document.getElementById(`reviewEcoRating-${productId}`)?.value;
+  const review = {
+    rating: parseInt(document.getElementById(`reviewRating-${productId}`).value),
+    ecoClaimRating: ecoRating ? parseInt(ecoRating) : null,
+    title: document.getElementById(`reviewTitle-${productId}`).value.trim() || undefined,
+    body: document.getElementById(`reviewBody-${productId}`).value.trim() || undefined
+  };
+  
+  try {
+    await apiCall(`/products/${productId}/reviews`, {
+      method: 'POST',
+      body: JSON.stringify(review)
+    });
+    showToast('Thanks! Your review will appear once it has been approved.');
+    loadReviews(productId);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
 }
 
 // Cart Functions
@@ -430,10 +1010,14 @@ async function addToCart(productId) {
     return;
   }
   
+  // Products with a single variant have no picker; the backend uses their first variant
+  const picker = document.getElementById(`variantSelect-${productId}`);
+  const variantId = picker ? parseInt(picker.value) : undefined;
+  
   try {
     await apiCall('/cart', {
       method: 'POST',
-      body: JSON.stringify({ productId, quantity: 1 })
+      body: JSON.stringify({ productId, variantId, quantity: 1 })
     });
     showToast('Added to cart!');
     loadCart();
@@ -452,11 +1036,12 @@ function renderCart() {
     totalContainer.innerHTML = '';
     totalContainer.style.display = 'none';
     checkoutBtn.style.display = 'none';
+    document.getElementById('couponBox').style.display = 'none';
     return;
   }
   
   const total = state.cart.reduce((sum, item) => 
-    sum + (parseFloat(item.product.price) * item.quantity), 0
+    sum + (parseFloat(item.variant.price) * item.quantity), 0
   );
   
   container.innerHTML = state.cart.map(item => `
@@ -465,7 +1050,8 @@ function renderCart() {
            alt="${item.product.name}" class="cart-item-image">
       <div class="cart-item-details">
         <div class="cart-item-name">${item.product.name}</div>
-        <div class="cart-item-price">$${parseFloat(item.product.price).toFixed(2)} each</div>
+        ${item.variant.name !== 'Standard' ? `<div class="cart-item-variant">${item.variant.name} · SKU ${item.variant.sku}</div>` : ''}
+        <div class="cart-item-price">$${parseFloat(item.variant.price).toFixed(2)} each</div>
       </div>
       <div class="cart-item-controls">
         <div class="quantity-controls">
@@ -473,7 +1059,8 @@ function renderCart() {
           <span class="quantity-display">${item.quantity}</span>
           <button class="quantity-btn" onclick="updateCartQuantity(${item.id}, ${item.quantity + 1})">+</button>
         </div>
-        <div class="cart-item-price">$${(parseFloat(item.product.price) * item.quantity).toFixed(2)}</div>
+        <div class="cart-item-price">$${(parseFloat(item.variant.price) * item.quantity).toFixed(2)}</div>
+        <button class="btn btn-secondary btn-small" onclick="saveForLater(${item.id})">Save for later</button>
         <button class="btn btn-danger btn-small" onclick="removeFromCart(${item.id})">Remove</button>
       </div>
     </div>
@@ -481,7 +1068,106 @@ function renderCart() {
   
   totalContainer.innerHTML = `<h3>Total: $${total.toFixed(2)}</h3>`;
   totalContainer.style.display = 'block';
-  checkoutBtn.style.display = 'block';
+  checkoutBtn.style.display = state.reservation ? 'none' : 'block';
+  document.getElementById('couponBox').style.display = 'flex';
+  
+  loadCartSummary();
+}
+
+function applyCoupon() {
+  state.couponCode = document.getElementById('couponInput').value.trim();
+  loadCartSummary();
+}
+
+// Full price breakdown for the cart, using the checkout selections when on that step
+async function loadCartSummary() {
+  const params = new URLSearchParams();
+  if (state.couponCode) params.set('couponCode', state.couponCode);
+  if (state.reservation) {
+    const addressId = document.getElementById('checkoutAddressSelect').value;
+    const shippingMethod = document.querySelector('input[name="shippingMethod"]:checked')?.value;
+    const redeemPoints = parseInt(document.getElementById('redeemPointsInput').value) || 0;
+    if (addressId) params.set('addressId', addressId);
+    if (shippingMethod) params.set('shippingMethod', shippingMethod);
+    if (redeemPoints > 0) params.set('redeemPoints', redeemPoints);
+  }
+  
+  try {
+    const summary = await apiCall(`/cart/summary?${params}`);
+    renderCouponStatus(summary);
+    renderPointsHint(summary.points);
+    document.getElementById('cartTotal').innerHTML = `
+      ${renderPriceBreakdown(summary)}
+      <h3>Total: $${summary.total.toFixed(2)}</h3>
+    `;
+  } catch (error) {
+    console.error('Failed to load cart summary:', error);
+  }
+}
+
+function renderCouponStatus(summary) {
+  const status = document.getElementById('couponStatus');
+  
+  if (!state.couponCode) {
+    status.textContent = '';
+    status.className = 'coupon-status';
+  } else if (summary.couponError) {
+    status.textContent = summary.couponError;
+    status.className = 'coupon-status error';
+  } else {
+    status.textContent = `Coupon ${state.couponCode.toUpperCase()} applied`;
+    status.className = 'coupon-status success';
+  }
+}
+
+// Balance and what the entered points are worth, under the checkout points input
+function renderPointsHint(points) {
+  const hint = document.getElementById('pointsBalanceHint');
+  if (!points) {
+    hint.textContent = '';
+    return;
+  }
+  
+  const input = document.getElementById('redeemPointsInput');
+  input.max = points.balance;
+  const requested = parseInt(input.value) || 0;
+  
+  hint.textContent = `You have ${points.balance} points (${points.pointsPerDollar} points = $1).`
+    + (points.redeemed > 0 ? ` Using ${points.redeemed} for $${points.discount.toFixed(2)} off.` : '')
+    + (requested > points.redeemed ? ' Only what covers your order after other discounts can be used.' : '');
+}
+
+// Subtotal / discounts / shipping / tax rows shared by the cart and orders.
+// Carts list applied promotions in `promotions`, orders in `promotionRedemptions`;
+// green points are `points.discount` on a cart and `pointsDiscount` on an order.
+function renderPriceBreakdown(breakdown) {
+  const money = value => `$${parseFloat(value).toFixed(2)}`;
+  const pointsDiscount = parseFloat(breakdown.points ? breakdown.points.discount : breakdown.pointsDiscount || 0);
+  const discount = parseFloat(breakdown.discountTotal) - pointsDiscount;
+  const shipping = parseFloat(breakdown.shippingCost);
+  const promotions = breakdown.promotions || breakdown.promotionRedemptions || [];
+  
+  return `
+    <div class="price-breakdown">
+      <div class="price-row"><span>Subtotal</span><span>${money(breakdown.subtotal)}</span></div>
+      ${promotions.length > 0 ? promotions.map(promotion => `
+        <div class="price-row price-discount">
+          <span>${promotion.name}${promotion.code ? ` (${promotion.code})` : ''}</span>
+          <span>-${money(promotion.amount)}</span>
+        </div>
+      `).join('') : discount > 0 ? `
+        <div class="price-row price-discount"><span>Discounts</span><span>-${money(discount)}</span></div>
+      ` : ''}
+      ${pointsDiscount > 0 ? `
+        <div class="price-row price-discount"><span>⭐ Green Points</span><span>-${money(pointsDiscount)}</span></div>
+      ` : ''}
+      <div class="price-row"><span>Shipping</span><span>${shipping === 0 ? 'Free' : money(shipping)}</span></div>
+      <div class="price-row">
+        <span>Tax</span>
+        <span>${breakdown.taxIncluded === false ? 'Calculated at checkout' : money(breakdown.taxTotal)}</span>
+      </div>
+    </div>
+  `;
 }
 
 async function updateCartQuantity(cartItemId, newQuantity) {
@@ -508,75 +1194,374 @@ async function removeFromCart(cartItemId) {
   }
 }
 
-async function handleCheckout() {
-  if (!confirm('Place this order?')) return;
-  
-  try {
-    await apiCall('/orders', { method: 'POST' });
-    showToast('Order placed successfully! 🌱');
-    loadCart();
-    navigateTo('orders');
-  } catch (error) {
-    showToast(error.message, 'error');
-  }
-}
-
-// Order Functions
-async function loadOrders() {
+// Wishlist ("saved for later"), shown under the cart
+async function loadWishlist() {
   if (!state.token) return;
   
   try {
-    const orders = await apiCall('/orders');
-    state.orders = orders;
-    renderOrders();
+    state.wishlist = await apiCall('/wishlist');
+    renderWishlist();
   } catch (error) {
-    showToast('Failed to load orders', 'error');
+    console.error('Failed to load wishlist:', error);
   }
 }
 
-function renderOrders() {
-  const container = document.getElementById('ordersList');
+function renderWishlist() {
+  const section = document.getElementById('wishlistSection');
+  const container = document.getElementById('wishlistItems');
   
-  if (state.orders.length === 0) {
-    container.innerHTML = '<div class="empty-state"><h3>No orders yet</h3><p>Start shopping to see your orders here!</p></div>';
+  if (state.wishlist.length === 0) {
+    section.style.display = 'none';
+    container.innerHTML = '';
     return;
   }
   
-  container.innerHTML = state.orders.map(order => `
-    <div class="order-card">
-      <div class="order-header">
-        <div>
-          <div class="order-id">Order #${order.id}</div>
-          <div class="order-date">${new Date(order.createdAt).toLocaleDateString()}</div>
+  section.style.display = 'block';
+  container.innerHTML = state.wishlist.map(item => `
+    <div class="cart-item wishlist-item">
+      <img src="${item.product.imageUrl || 'https://via.placeholder.com/80'}" 
+           alt="${escapeHtml(item.product.name)}" class="cart-item-image">
+      <div class="cart-item-details">
+        <div class="cart-item-name">${escapeHtml(item.product.name)}</div>
+        ${item.variant.name !== 'Standard' ? `<div class="cart-item-variant">${escapeHtml(item.variant.name)} · SKU ${escapeHtml(item.variant.sku)}</div>` : ''}
+        <div class="cart-item-price">$${parseFloat(item.variant.price).toFixed(2)} each · Qty ${item.quantity}</div>
+        <div class="wishlist-stock">${item.variant.stock > 0 ? `${item.variant.stock} in stock` : 'Out of stock'}</div>
+        <div class="wishlist-alerts">
+          <label>
+            <input type="checkbox" ${item.notifyRestock ? 'checked' : ''}
+                   onchange="setWishlistAlert(${item.id}, 'notifyRestock', this.checked)">
+            Email me when back in stock
+          </label>
+          <label>
+            <input type="checkbox" ${item.notifyPriceDrop ? 'checked' : ''}
+                   onchange="setWishlistAlert(${item.id}, 'notifyPriceDrop', this.checked)">
+            Email me if the price drops
+          </label>
+          ${state.user && state.user.emailVerified === false ? '<small>Verify your email to get these alerts</small>' : ''}
         </div>
-        <span class="order-status ${order.status}">${order.status.toUpperCase()}</span>
       </div>
-      ${order.greenPointsEarned && order.greenPointsEarned > 0 ? `
-        <div class="order-green-points">
-          🌱 Earned ${order.greenPointsEarned} Green Points
-        </div>
-      ` : ''}
-      <div class="order-items">
-        ${order.orderItems.map(item => `
-          <div class="order-item">
-            <span>${item.product.name} x ${item.quantity}</span>
-            <span>$${(parseFloat(item.price) * item.quantity).toFixed(2)}</span>
-          </div>
-        `).join('')}
+      <div class="cart-item-controls">
+        <button class="btn btn-primary btn-small" onclick="moveToCart(${item.id})" ${item.variant.stock === 0 ? 'disabled' : ''}>Move to cart</button>
+        <button class="btn btn-danger btn-small" onclick="removeFromWishlist(${item.id})">Remove</button>
       </div>
-      <div class="order-total">Total: $${parseFloat(order.total).toFixed(2)}</div>
-      ${order.status === 'pending' ? `
-        <button class="btn btn-danger" onclick="cancelOrder(${order.id})">Cancel Order</button>
-      ` : ''}
     </div>
   `).join('');
 }
 
+async function addToWishlist(productId) {
+  const picker = document.getElementById(`variantSelect-${productId}`);
+  const variantId = picker ? parseInt(picker.value) : undefined;
+  
+  try {
+    await apiCall('/wishlist', {
+      method: 'POST',
+      body: JSON.stringify({ productId, variantId })
+    });
+    showToast('Saved to your wishlist');
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function saveForLater(cartItemId) {
+  try {
+    await apiCall(`/cart/${cartItemId}/save-for-later`, { method: 'POST' });
+    showToast('Saved for later');
+    loadCart();
+    loadWishlist();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function moveToCart(wishlistItemId) {
+  try {
+    await apiCall(`/wishlist/${wishlistItemId}/move-to-cart`, { method: 'POST' });
+    showToast('Moved to cart');
+    loadCart();
+    loadWishlist();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function setWishlistAlert(wishlistItemId, field, enabled) {
+  try {
+    await apiCall(`/wishlist/${wishlistItemId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ [field]: enabled })
+    });
+    showToast(enabled ? "We'll email you about this item" : 'Email alert turned off');
+  } catch (error) {
+    showToast(error.message, 'error');
+    loadWishlist();
+  }
+}
+
+async function removeFromWishlist(wishlistItemId) {
+  try {
+    await apiCall(`/wishlist/${wishlistItemId}`, { method: 'DELETE' });
+    showToast('Item removed from wishlist');
+    loadWishlist();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Checkout step 1: hold the cart's stock while the user confirms
+async function handleCheckout() {
+  try {
+    const data = await apiCall('/orders/reservation', { method: 'POST' });
+    showCheckoutStep(data.reservation);
+  } catch (error) {
+    showStockError(error);
+  }
+}
+
+// Checkout step 2: pay and place the order using the held stock
+async function placeOrder() {
+  const token = document.getElementById('paymentMethodSelect').value;
+  const addressId = parseInt(document.getElementById('checkoutAddressSelect').value);
+  const shippingMethod = document.querySelector('input[name="shippingMethod"]:checked')?.value;
+  const redeemPoints = parseInt(document.getElementById('redeemPointsInput').value) || 0;
+  
+  if (!addressId) {
+    showToast('Add a shipping address in your account first', 'error');
+    return;
+  }
+  
+  try {
+    const order = await apiCall('/orders', {
+      method: 'POST',
+      body: JSON.stringify({
+        paymentMethod: { token },
+        addressId,
+        shippingMethod,
+        couponCode: state.couponCode || undefined,
+        redeemPoints
+      })
+    });
+    hideCheckoutStep();
+    state.couponCode = '';
+    document.getElementById('couponInput').value = '';
+    document.getElementById('redeemPointsInput').value = 0;
+    showToast(order.status === 'awaiting_payment'
+      ? 'Order placed, waiting for payment confirmation'
+      : 'Order placed successfully! 🌱');
+    loadCart();
+    navigateTo('orders');
+  } catch (error) {
+    // A declined payment cancels the order and puts the items back in the cart
+    if (error.code === 'PAYMENT_DECLINED') {
+      hideCheckoutStep();
+      loadCart();
+      showToast(`Payment declined: ${error.message}`, 'error');
+      return;
+    }
+    showStockError(error);
+  }
+}
+
+async function leaveCheckout() {
+  hideCheckoutStep();
+  renderCart();
+  
+  try {
+    await apiCall('/orders/reservation', { method: 'DELETE' });
+  } catch (error) {
+    console.error('Failed to release reservation:', error);
+  }
+}
+
+function showCheckoutStep(reservation) {
+  hideCheckoutStep();
+  state.reservation = reservation;
+  
+  document.getElementById('checkoutBtn').style.display = 'none';
+  document.getElementById('checkoutPanel').style.display = 'block';
+  loadCheckoutOptions();
+  
+  const timer = document.getElementById('reservationTimer');
+  const tick = () => {
+    const remaining = new Date(reservation.expiresAt).getTime() - Date.now();
+    if (remaining <= 0) {
+      hideCheckoutStep();
+      renderCart();
+      showToast('Your reservation expired, please check out again', 'error');
+      return;
+    }
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = Math.floor((remaining % 60000) / 1000);
+    timer.textContent = `${minutes}:${String(seconds).padStart(2, '0')}`;
+  };
+  
+  tick();
+  state.reservationTimer = setInterval(tick, 1000);
+}
+
+// Saved addresses and shipping quotes for the checkout step
+async function loadCheckoutOptions() {
+  try {
+    const [addresses, methods] = await Promise.all([
+      apiCall('/addresses'),
+      apiCall('/cart/shipping-methods')
+    ]);
+    
+    const select = document.getElementById('checkoutAddressSelect');
+    select.innerHTML = addresses.length > 0
+      ? addresses.map(address => `
+          <option value="${address.id}" ${address.isDefault ? 'selected' : ''}>${formatAddress(address)}</option>
+        `).join('')
+      : '<option value="">No saved addresses (add one in your account)</option>';
+    
+    document.getElementById('shippingMethodsList').innerHTML = methods.map((method, index) => `
+      <label class="shipping-method">
+        <input type="radio" name="shippingMethod" value="${method.method}" ${index === 0 ? 'checked' : ''}>
+        <span class="shipping-method-name">${method.label}</span>
+        <span>${method.estimatedDays} days</span>
+        <span>${method.cost === 0 ? 'Free' : `$${method.cost.toFixed(2)}`}</span>
+        <span class="shipping-method-co2">${method.co2} kg CO₂</span>
+      </label>
+    `).join('');
+    
+    loadCartSummary();
+  } catch (error) {
+    showToast('Failed to load checkout options', 'error');
+  }
+}
+
+function formatAddress(address) {
+  return [address.label ? `${address.label}:` : '', address.recipientName, address.line1, address.city, address.country]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(' ');
+}
+
+function hideCheckoutStep() {
+  clearInterval(state.reservationTimer);
+  state.reservationTimer = null;
+  state.reservation = null;
+  document.getElementById('checkoutPanel').style.display = 'none';
+}
+
+// INSUFFICIENT_STOCK errors list each item that couldn't be covered
+function showStockError(error) {
+  if (error.code === 'INSUFFICIENT_STOCK' && error.details) {
+    const items = error.details.map(item => `${item.name} (${item.message.toLowerCase()})`).join(', ');
+    showToast(`Not enough stock: ${items}`, 'error');
+    return;
+  }
+  showToast(error.message, 'error');
+}
+
+// Order Functions
+async function loadOrders() {
+  if (!state.token) return;
+  
+  try {
+    const orders = await apiCall('/orders');
+    state.orders = orders;
+    renderOrders();
+  } catch (error) {
+    showToast('Failed to load orders', 'error');
+  }
+}
+
+function renderOrders() {
+  const container = document.getElementById('ordersList');
+  
+  if (state.orders.length === 0) {
+    container.innerHTML = '<div class="empty-state"><h3>No orders yet</h3><p>Start shopping to see your orders here!</p></div>';
+    return;
+  }
+  
+  container.innerHTML = state.orders.map(order => `
+    <div class="order-card">
+      <div class="order-header">
+        <div>
+          <div class="order-id">Order #${order.id}</div>
+          <div class="order-date">${new Date(order.createdAt).toLocaleDateString()}</div>
+        </div>
+        <span class="order-status ${order.status}">${formatOrderStatus(order.status).toUpperCase()}</span>
+      </div>
+      ${order.status === 'cancelled' ? `
+        <div class="order-cancellation">
+          Cancelled ${order.cancelledAt ? `on ${new Date(order.cancelledAt).toLocaleDateString()}` : ''}
+          ${order.cancellationReason ? `— ${escapeHtml(order.cancellationReason)}` : ''}
+          ${order.greenPointsEarned > 0 ? `<br><small>${order.greenPointsEarned} Green Points were returned</small>` : ''}
+          ${order.pointsRedeemed > 0 ? `<br><small>${order.pointsRedeemed} redeemed Green Points were refunded</small>` : ''}
+        </div>
+      ` : order.greenPointsEarned && order.greenPointsEarned > 0 ? `
+        <div class="order-green-points">
+          🌱 ${order.status === 'awaiting_payment' ? 'Earns' : 'Earned'} ${order.greenPointsEarned} Green Points${order.status === 'awaiting_payment' ? ' once payment is received' : ''}
+        </div>
+      ` : ''}
+      <div class="order-items">
+        ${order.orderItems.map(item => `
+          <div class="order-item">
+            <span>${item.product.name}${item.variantName && item.variantName !== 'Standard' ? ` (${item.variantName})` : ''} x ${item.quantity}</span>
+            <span>$${(parseFloat(item.price) * item.quantity).toFixed(2)}</span>
+          </div>
+        `).join('')}
+      </div>
+      ${order.shippingAddress ? `
+        <div class="order-shipping">
+          🚚 ${order.shippingMethod} shipping (${order.shippingCO2} kg CO₂)
+          to ${escapeHtml(order.shippingAddress.recipientName)}, ${escapeHtml(order.shippingAddress.line1)}, ${escapeHtml(order.shippingAddress.city)} ${escapeHtml(order.shippingAddress.postalCode)}, ${escapeHtml(order.shippingAddress.country)}
+        </div>
+      ` : ''}
+      ${parseFloat(order.subtotal) > 0 ? renderPriceBreakdown(order) : ''}
+      <div class="order-total">Total: $${parseFloat(order.total).toFixed(2)}</div>
+      ${renderOrderPayment(order.payments)}
+      ${renderOrderHistory(order.statusHistory)}
+      ${['awaiting_payment', 'pending'].includes(order.status) ? `
+        <button class="btn btn-danger" onclick="cancelOrder(${order.id})">Cancel Order</button>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
+function formatOrderStatus(status) {
+  return status.replace(/_/g, ' ');
+}
+
+// Latest payment attempt on an order
+function renderOrderPayment(payments) {
+  if (!payments || payments.length === 0) return '';
+  
+  const payment = payments[payments.length - 1];
+  return `
+    <div class="order-payment">
+      💳 Payment ${payment.status}${payment.failureReason ? `: ${escapeHtml(payment.failureReason)}` : ''}
+    </div>
+  `;
+}
+
+// Status timeline for an order (oldest first)
+function renderOrderHistory(history) {
+  if (!history || history.length === 0) return '';
+  
+  return `
+    <ul class="order-history">
+      ${history.map(entry => `
+        <li>
+          ${new Date(entry.createdAt).toLocaleString()} — ${entry.toStatus}
+          ${entry.actor ? ` by ${escapeHtml(entry.actor.name)}` : ''}${entry.note ? `: ${escapeHtml(entry.note)}` : ''}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
 async function cancelOrder(orderId) {
-  if (!confirm('Cancel this order?')) return;
+  const reason = prompt('Cancel this order? You can add a reason (optional):');
+  if (reason === null) return;
   
   try {
-    await apiCall(`/orders/${orderId}`, { method: 'DELETE' });
+    await apiCall(`/orders/${orderId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ reason: reason || undefined })
+    });
     showToast('Order cancelled successfully');
     loadOrders();
   } catch (error) {
@@ -587,14 +1572,20 @@ async function cancelOrder(orderId) {
 // Admin Panel Functions
 async function loadAdminProducts() {
   try {
-    const products = await apiCall('/products');
-    state.products = products;
-    renderAdminProducts(products);
+    const data = await apiCall(`/products?limit=50&page=${state.adminProductPage}`);
+    state.products = data.products;
+    renderAdminProducts(data.products);
+    renderPagination('adminProductsPagination', data.pagination, 'goToAdminProductPage');
   } catch (error) {
     showToast('Failed to load products', 'error');
   }
 }
 
+function goToAdminProductPage(page) {
+  state.adminProductPage = page;
+  loadAdminProducts();
+}
+
 function renderAdminProducts(products) {
   const container = document.getElementById('adminProductsList');
   
@@ -606,14 +1597,16 @@ function renderAdminProducts(products) {
   container.innerHTML = products.map(product => `
     <div class="admin-product-card">
       ${product.isEcoFriendly ? '<div class="eco-badge-small">🌿 Eco</div>' : ''}
-      <img src="${product.imageUrl || 'https://via.placeholder.com/80'}" 
+      <img src="${product.images?.[0]?.thumbnailUrl || product.imageUrl || 'https://via.placeholder.com/80'}" 
            alt="${product.name}" class="admin-product-image">
       <div class="admin-product-info">
         <div class="admin-product-name">${product.name}</div>
         <div class="admin-product-details">
           <span>${product.category}</span> • 
           <span>$${parseFloat(product.price).toFixed(2)}</span> • 
-          <span>Stock: ${product.stock}</span>
+          <span>Stock: ${product.stock}</span> • 
+          ${(product.variants || []).some(variant => variant.stock <= variant.lowStockThreshold) ? '<span class="low-stock-badge">⚠️ Low stock</span> • ' : ''}
+          <span>Score: ${product.sustainabilityScore || 0}/100</span>
           ${product.isEcoFriendly ? ` • <span style="color: #4caf50;">CO₂: ${(product.carbonFootprint || 0).toFixed(1)}kg</span>` : ''}
         </div>
       </div>
@@ -653,34 +1646,153 @@ async function handleAdminProductSubmit(e) {
     price: parseFloat(document.getElementById('adminProductPrice').value),
     imageUrl: document.getElementById('adminProductImage').value || 'https://via.placeholder.com/300x200?text=Product',
     stock: parseInt(document.getElementById('adminProductStock').value),
-    category: document.getElementById('adminProductCategory').value,
+    categoryId: parseInt(document.getElementById('adminProductCategory').value) || undefined,
     isEcoFriendly: document.getElementById('adminProductEcoFriendly')?.checked || false,
     carbonFootprint: parseFloat(document.getElementById('adminProductCarbon')?.value || 2.5),
     plasticContent: parseFloat(document.getElementById('adminProductPlastic')?.value || 50),
+    baselineCarbonFootprint: optionalNumber('adminProductBaselineCarbon'),
+    baselinePlasticContent: optionalNumber('adminProductBaselinePlastic'),
     recyclable: document.getElementById('adminProductRecyclable')?.checked || false,
     locallySourced: document.getElementById('adminProductLocal')?.checked || false
   };
   
+  const variants = readVariantRows();
+  if (variants.length > 0) {
+    productData.variants = variants;
+    delete productData.price;
+    delete productData.stock;
+  }
+  
   console.log('Submitting product data:', productData);
   
+  clearFieldErrors('adminProductForm');
+  let saved;
   try {
     if (productId) {
-      await apiCall(`/products/${productId}`, {
+      saved = await apiCall(`/products/${productId}`, {
         method: 'PUT',
         body: JSON.stringify(productData)
       });
       showToast('Product updated successfully!');
     } else {
-      await apiCall('/products', {
+      saved = await apiCall('/products', {
         method: 'POST',
         body: JSON.stringify(productData)
       });
       showToast('Product created successfully!');
     }
-    
-    resetAdminForm();
+  } catch (error) {
+    showFormError('adminProductForm', error);
+    return;
+  }
+  
+  try {
+    await uploadProductImages(saved.id);
+  } catch (error) {
+    // The product itself is saved: keep the form on it so the upload can be retried
+    document.getElementById('adminProductId').value = saved.id;
+    document.getElementById('adminFormTitle').textContent = 'Edit Product';
+    document.getElementById('adminFormBtnText').textContent = 'Update Product';
+    document.getElementById('adminCancelBtn').style.display = 'block';
+    showFormError('adminProductForm', error);
     loadAdminProducts();
     loadProducts();
+    loadCategories();
+    return;
+  }
+  
+  resetAdminForm();
+  loadAdminProducts();
+  loadProducts();
+  loadCategories();
+}
+
+// Upload the files chosen in the admin form, if any
+async function uploadProductImages(productId) {
+  const files = document.getElementById('adminProductFiles').files;
+  if (files.length === 0) return;
+  
+  const formData = new FormData();
+  for (const file of files) {
+    formData.append('images', file);
+  }
+  
+  await apiCall(`/products/${productId}/images`, {
+    method: 'POST',
+    body: formData
+  });
+  showToast(`${files.length} image(s) uploaded`);
+}
+
+function previewSelectedImages() {
+  const [file] = document.getElementById('adminProductFiles').files;
+  const preview = document.getElementById('imagePreview');
+  
+  if (!file) {
+    previewImage();
+    return;
+  }
+  
+  document.getElementById('previewImg').src = URL.createObjectURL(file);
+  preview.style.display = 'block';
+}
+
+// Uploaded images of the product being edited, with reorder and delete buttons
+function renderAdminProductImages(product) {
+  const container = document.getElementById('adminProductImages');
+  const images = product?.images || [];
+  
+  container.innerHTML = images.map((image, index) => `
+    <div class="product-image-item ${index === 0 ? 'is-cover' : ''}">
+      <img src="${image.thumbnailUrl}" alt="Image ${index + 1}" title="${index === 0 ? 'Main image' : `Image ${index + 1}`}">
+      <div class="product-image-actions">
+        <button type="button" class="btn btn-secondary btn-small" onclick="moveProductImage(${product.id}, ${image.id}, -1)" ${index === 0 ? 'disabled' : ''}>←</button>
+        <button type="button" class="btn btn-secondary btn-small" onclick="moveProductImage(${product.id}, ${image.id}, 1)" ${index === images.length - 1 ? 'disabled' : ''}>→</button>
+        <button type="button" class="btn btn-danger btn-small" onclick="deleteProductImage(${product.id}, ${image.id})">✕</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Keep the edited product's images in sync after a change, and refresh the lists
+function setProductImages(productId, images) {
+  const product = state.products.find(p => p.id === productId);
+  if (product) {
+    product.images = images;
+    renderAdminProductImages(product);
+  }
+  loadAdminProducts();
+  loadProducts();
+}
+
+async function moveProductImage(productId, imageId, direction) {
+  const product = state.products.find(p => p.id === productId);
+  if (!product) return;
+  
+  const imageIds = product.images.map(image => image.id);
+  const from = imageIds.indexOf(imageId);
+  const to = from + direction;
+  if (to < 0 || to >= imageIds.length) return;
+  [imageIds[from], imageIds[to]] = [imageIds[to], imageIds[from]];
+  
+  try {
+    const images = await apiCall(`/products/${productId}/images/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ imageIds })
+    });
+    setProductImages(productId, images);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function deleteProductImage(productId, imageId) {
+  if (!confirm('Delete this image?')) return;
+  
+  try {
+    const images = await apiCall(`/products/${productId}/images/${imageId}`, { method: 'DELETE' });
+    showToast('Image deleted');
+    setProductImages(productId, images);
   } catch (error) {
     showToast(error.message, 'error');
   }
@@ -697,20 +1809,34 @@ function editAdminProduct(productId) {
   document.getElementById('adminProductPrice').value = product.price;
   document.getElementById('adminProductImage').value = product.imageUrl || '';
   document.getElementById('adminProductStock').value = product.stock;
-  document.getElementById('adminProductCategory').value = product.category;
+  document.getElementById('adminProductCategory').value = product.categoryId || '';
   
   // Sustainability fields
   if (document.getElementById('adminProductEcoFriendly')) {
     document.getElementById('adminProductEcoFriendly').checked = product.isEcoFriendly || false;
     document.getElementById('adminProductCarbon').value = product.carbonFootprint || 2.5;
     document.getElementById('adminProductPlastic').value = product.plasticContent || 50;
+    document.getElementById('adminProductBaselineCarbon').value = product.baselineCarbonFootprint ?? '';
+    document.getElementById('adminProductBaselinePlastic').value = product.baselinePlasticContent ?? '';
     document.getElementById('adminProductRecyclable').checked = product.recyclable || false;
     document.getElementById('adminProductLocal').checked = product.locallySourced || false;
   }
   
+  // A single "Standard" variant is edited through the product fields
+  clearVariantRows();
+  const variants = product.variants || [];
+  const form = document.getElementById('adminProductForm');
+  form.dataset.singleVariantId = variants.length === 1 ? variants[0].id : '';
+  form.dataset.singleVariantSku = variants.length === 1 ? variants[0].sku : '';
+  updateVariantMode();
+  if (variants.length > 1 || (variants.length === 1 && variants[0].name !== 'Standard')) {
+    variants.forEach(variant => addVariantRow(variant));
+  }
+  
   document.getElementById('adminFormBtnText').textContent = 'Update Product';
   document.getElementById('adminCancelBtn').style.display = 'block';
   
+  renderAdminProductImages(product);
   if (product.imageUrl) {
     previewImage();
   }
@@ -718,6 +1844,29 @@ function editAdminProduct(productId) {
   document.getElementById('adminProductForm').scrollIntoView({ behavior: 'smooth' });
 }
 
+async function rescoreCatalog() {
+  try {
+    const result = await apiCall('/products/rescore', { method: 'POST' });
+    showToast(`Rescored ${result.total} products (${result.updated} changed)`);
+    loadAdminProducts();
+    loadProducts();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Recompute every order's and user's savings after baselines change
+async function recalculateSavings() {
+  if (!confirm('Recalculate CO₂ and plastic savings for every order and user from the footprints their items were bought with?')) return;
+  
+  try {
+    const result = await apiCall('/admin/sustainability/recalculate', { method: 'POST' });
+    showToast(`Recalculated savings for ${result.users} users (${result.usersUpdated} changed, ${result.ordersUpdated} orders updated)`);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 async function deleteAdminProduct(productId) {
   if (!confirm('Are you sure you want to delete this product?')) return;
   
@@ -726,6 +1875,7 @@ async function deleteAdminProduct(productId) {
     showToast('Product deleted successfully!');
     loadAdminProducts();
     loadProducts();
+    loadCategories();
   } catch (error) {
     showToast(error.message, 'error');
   }
@@ -733,44 +1883,1200 @@ async function deleteAdminProduct(productId) {
 
 function resetAdminForm() {
   document.getElementById('adminProductForm').reset();
+  clearFieldErrors('adminProductForm');
   document.getElementById('adminFormTitle').textContent = 'Add New Product';
   document.getElementById('adminProductId').value = '';
   document.getElementById('adminFormBtnText').textContent = 'Add Product';
   document.getElementById('adminCancelBtn').style.display = 'none';
   document.getElementById('imagePreview').style.display = 'none';
+  renderAdminProductImages(null);
   
   // Reset sustainability fields to defaults
   document.getElementById('adminProductCarbon').value = 2.5;
   document.getElementById('adminProductPlastic').value = 50;
+  document.getElementById('adminProductBaselineCarbon').value = '';
+  document.getElementById('adminProductBaselinePlastic').value = '';
+  
+  const form = document.getElementById('adminProductForm');
+  form.dataset.singleVariantId = '';
+  form.dataset.singleVariantSku = '';
+  clearVariantRows();
 }
 
-// Sustainability Functions
-async function loadSustainabilityDashboard() {
-  if (!state.token) return;
+// Variant rows in the admin product form
+function addVariantRow(variant = {}) {
+  const row = document.createElement('div');
+  row.className = 'variant-row';
+  row.dataset.variantId = variant.id || '';
+  row.innerHTML = `
+    <input type="text" class="variant-name" placeholder="Name (e.g. 500 ml)" value="${variant.name || ''}" required>
+    <input type="text" class="variant-sku" placeholder="SKU (optional)" value="${variant.sku || ''}">
+    <input type="number" class="variant-price" placeholder="Price" step="0.01" min="0" value="${variant.price ?? ''}" required>
+    <input type="number" class="variant-stock" placeholder="Stock" min="0" value="${variant.stock ?? ''}" required
+           ${variant.id ? 'disabled title="Change stock under Inventory"' : ''}>
+    <input type="number" class="variant-carbon" placeholder="kg CO₂" step="0.1" min="0" value="${variant.carbonFootprint ?? ''}">
+    <input type="number" class="variant-plastic" placeholder="g plastic" min="0" value="${variant.plasticContent ?? ''}">
+    <input type="number" class="variant-baseline-carbon" placeholder="Conv. kg CO₂" step="0.1" min="0" value="${variant.baselineCarbonFootprint ?? ''}">
+    <input type="number" class="variant-baseline-plastic" placeholder="Conv. g plastic" min="0" value="${variant.baselinePlasticContent ?? ''}">
+    <button type="button" class="btn btn-danger btn-small" title="Remove variant">✕</button>
+  `;
+  row.querySelector('button').addEventListener('click', () => {
+    row.remove();
+    updateVariantMode();
+  });
+  document.getElementById('adminVariantsList').appendChild(row);
+  updateVariantMode();
+}
+
+// The first added variant starts from the product fields (and keeps the existing variant's id)
+function handleAddVariant() {
+  if (readVariantRows().length === 0) {
+    const form = document.getElementById('adminProductForm');
+    addVariantRow({
+      id: form.dataset.singleVariantId ? parseInt(form.dataset.singleVariantId) : undefined,
+      sku: form.dataset.singleVariantSku,
+      name: 'Standard',
+      price: document.getElementById('adminProductPrice').value,
+      stock: document.getElementById('adminProductStock').value,
+      carbonFootprint: document.getElementById('adminProductCarbon').value,
+      plasticContent: document.getElementById('adminProductPlastic').value,
+      baselineCarbonFootprint: document.getElementById('adminProductBaselineCarbon').value,
+      baselinePlasticContent: document.getElementById('adminProductBaselinePlastic').value
+    });
+  }
+  addVariantRow();
+}
+
+function clearVariantRows() {
+  document.getElementById('adminVariantsList').innerHTML = '';
+  updateVariantMode();
+}
+
+// With variants, the product-level price and stock come from them. An existing variant's
+// stock is changed under Inventory, so it is read-only here.
+function updateVariantMode() {
+  const hasVariants = document.querySelectorAll('#adminVariantsList .variant-row').length > 0;
+  const hasStock = Boolean(document.getElementById('adminProductForm').dataset.singleVariantId);
+  ['adminProductPrice', 'adminProductStock'].forEach(id => {
+    const input = document.getElementById(id);
+    input.disabled = hasVariants || (id === 'adminProductStock' && hasStock);
+    input.required = !hasVariants;
+  });
+  document.getElementById('adminProductStockHint').style.display = hasStock && !hasVariants ? 'block' : 'none';
+}
+
+// A number input's value, or null when blank
+function optionalNumber(id) {
+  const value = document.getElementById(id).value.trim();
+  return value === '' ? null : parseFloat(value);
+}
+
+// Blank footprints and baselines fall back to the product-level values
+function readVariantRows() {
+  const carbon = parseFloat(document.getElementById('adminProductCarbon').value) || 0;
+  const plastic = parseFloat(document.getElementById('adminProductPlastic').value) || 0;
+  const baselineCarbon = optionalNumber('adminProductBaselineCarbon');
+  const baselinePlastic = optionalNumber('adminProductBaselinePlastic');
+  
+  return [...document.querySelectorAll('#adminVariantsList .variant-row')].map(row => {
+    const value = selector => row.querySelector(selector).value.trim();
+    return {
+      id: row.dataset.variantId ? parseInt(row.dataset.variantId) : undefined,
+      name: value('.variant-name'),
+      sku: value('.variant-sku') || undefined,
+      price: parseFloat(value('.variant-price')),
+      stock: parseInt(value('.variant-stock')),
+      carbonFootprint: value('.variant-carbon') === '' ? carbon : parseFloat(value('.variant-carbon')),
+      plasticContent: value('.variant-plastic') === '' ? plastic : parseFloat(value('.variant-plastic')),
+      baselineCarbonFootprint: value('.variant-baseline-carbon') === '' ? baselineCarbon : parseFloat(value('.variant-baseline-carbon')),
+      baselinePlasticContent: value('.variant-baseline-plastic') === '' ? baselinePlastic : parseFloat(value('.variant-baseline-plastic'))
+    };
+  });
+}
+
+// Admin Order Management
+async function loadAdminOrders() {
+  const params = new URLSearchParams({ page: state.adminOrderPage });
+  const search = document.getElementById('adminOrderSearch').value.trim();
+  const status = document.getElementById('adminOrderStatusFilter').value;
+  if (search) params.set('search', search);
+  if (status) params.set('status', status);
   
   try {
-    console.log('Loading sustainability dashboard...');
-    
-    const dashboard = await apiCall('/sustainability/dashboard');
-    console.log('Dashboard data:', dashboard);
-    state.sustainabilityData = dashboard;
-    
-    const preferences = await apiCall('/sustainability/preferences');
-    console.log('Preferences data:', preferences);
-    
-    const leaderboard = await apiCall('/sustainability/leaderboard');
-    console.log('Leaderboard data:', leaderboard);
-    
-    await loadCartImpact();
-    
-    renderSustainabilityDashboard(dashboard, preferences, leaderboard);
+    const data = await apiCall(`/admin/orders?${params}`);
+    renderAdminOrders(data.orders);
+    renderPagination('adminOrdersPagination', data.pagination, 'goToAdminOrderPage');
   } catch (error) {
-    console.error('Failed to load sustainability dashboard:', error);
-    showToast('Failed to load sustainability data', 'error');
+    showToast('Failed to load orders', 'error');
   }
 }
 
-function renderSustainabilityDashboard(dashboard, preferences, leaderboard) {
+function filterAdminOrders() {
+  state.adminOrderPage = 1;
+  loadAdminOrders();
+}
+
+function goToAdminOrderPage(page) {
+  state.adminOrderPage = page;
+  loadAdminOrders();
+}
+
+function renderAdminOrders(orders) {
+  const container = document.getElementById('adminOrdersList');
+  
+  if (orders.length === 0) {
+    container.innerHTML = '<p style="text-align: center; color: #666;">No orders found</p>';
+    return;
+  }
+  
+  container.innerHTML = orders.map(order => `
+    <div class="admin-product-card">
+      <div class="admin-product-info">
+        <div class="admin-product-name">
+          Order #${order.id}
+          <span class="order-status ${order.status}">${formatOrderStatus(order.status)}</span>
+        </div>
+        <div class="admin-product-details">
+          <span>${escapeHtml(order.user.name)} (${escapeHtml(order.user.email)})</span> • 
+          <span>${new Date(order.createdAt).toLocaleDateString()}</span> • 
+          <span>$${parseFloat(order.total).toFixed(2)}</span> • 
+          <span>${order.orderItems.length} item(s)</span>
+        </div>
+        ${renderOrderPayment(order.payments)}
+        ${renderOrderHistory(order.statusHistory)}
+      </div>
+      <div class="admin-product-actions">
+        ${order.allowedTransitions.map(status => `
+          <button class="btn ${status === 'cancelled' ? 'btn-danger' : 'btn-secondary'} btn-small"
+                  onclick="setOrderStatus(${order.id}, '${status}')">
+            ${status === 'cancelled' ? 'Cancel' : `Mark ${status}`}
+          </button>
+        `).join('')}
+      </div>
+    </div>
+  `).join('');
+}
+
+async function setOrderStatus(orderId, status) {
+  const note = status === 'cancelled' ? prompt('Reason for cancelling (optional):') : undefined;
+  if (note === null) return;
+  
+  try {
+    await apiCall(`/admin/orders/${orderId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, note: note || undefined })
+    });
+    showToast(`Order #${orderId} marked ${status}`);
+    loadAdminOrders();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Categories
+// Loaded once on start and again after admin changes; fills the product filter, the admin
+// product form and the parent picker, indenting subcategories by depth
+async function loadCategories() {
+  try {
+    state.categories = await apiCall('/categories');
+  } catch (error) {
+    showToast('Failed to load categories', 'error');
+    return;
+  }
+  
+  const indent = category => '\u00a0\u00a0'.repeat(category.depth);
+  const fillSelect = (id, firstOption, optionFor) => {
+    const select = document.getElementById(id);
+    const selected = select.value;
+    select.innerHTML = firstOption + state.categories.map(optionFor).join('');
+    select.value = selected;
+  };
+  
+  fillSelect('categoryFilter', '<option value="">All Categories</option>', category => `
+    <option value="${category.slug}">${indent(category)}${category.name} (${category.totalProductCount})</option>
+  `);
+  fillSelect('adminProductCategory', '<option value="">Select Category</option>', category => `
+    <option value="${category.id}">${indent(category)}${category.name}</option>
+  `);
+  fillSelect('categoryParent', '<option value="">None (top level)</option>', category => `
+    <option value="${category.id}">${indent(category)}${category.name}</option>
+  `);
+  
+  renderAdminCategories();
+}
+
+function renderAdminCategories() {
+  const container = document.getElementById('adminCategoriesList');
+  
+  if (state.categories.length === 0) {
+    container.innerHTML = '<p style="text-align: center; color: #666;">No categories yet</p>';
+    return;
+  }
+  
+  container.innerHTML = state.categories.map(category => `
+    <div class="admin-product-card category-depth-${Math.min(category.depth, 3)}">
+      <div class="admin-product-info">
+        <div class="admin-product-name">
+          ${category.name}
+          <span class="user-role-badge">${category.slug}</span>
+        </div>
+        <div class="admin-product-details">
+          ${category.productCount} product(s)${category.totalProductCount !== category.productCount ? ` • ${category.totalProductCount} including subcategories` : ''}
+          ${category.description ? ` • ${category.description}` : ''}
+        </div>
+      </div>
+      <div class="admin-product-actions">
+        <button class="btn btn-secondary btn-small" onclick="editCategory(${category.id})">Edit</button>
+        <button class="btn btn-danger btn-small" onclick="deleteCategory(${category.id})">Delete</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+async function handleAdminCategorySubmit(e) {
+  e.preventDefault();
+  clearFieldErrors('adminCategoryForm');
+  
+  const categoryId = document.getElementById('adminCategoryId').value;
+  const parentId = document.getElementById('categoryParent').value;
+  const category = {
+    name: document.getElementById('categoryName').value.trim(),
+    slug: document.getElementById('categorySlug').value.trim() || undefined,
+    description: document.getElementById('categoryDescription').value.trim() || null,
+    parentId: parentId ? parseInt(parentId) : null
+  };
+  
+  try {
+    if (categoryId) {
+      await apiCall(`/categories/${categoryId}`, {
+        method: 'PUT',
+        body: JSON.stringify(category)
+      });
+      showToast('Category updated');
+    } else {
+      await apiCall('/categories', {
+        method: 'POST',
+        body: JSON.stringify(category)
+      });
+      showToast('Category created');
+    }
+    
+    resetCategoryForm();
+    loadCategories();
+  } catch (error) {
+    showFormError('adminCategoryForm', error);
+  }
+}
+
+function editCategory(categoryId) {
+  const category = state.categories.find(c => c.id === categoryId);
+  if (!category) return;
+  
+  document.getElementById('adminCategoryId').value = category.id;
+  document.getElementById('categoryName').value = category.name;
+  document.getElementById('categorySlug').value = category.slug;
+  document.getElementById('categoryParent').value = category.parentId || '';
+  document.getElementById('categoryDescription').value = category.description || '';
+  document.getElementById('adminCategoryBtnText').textContent = 'Update Category';
+  document.getElementById('adminCategoryCancelBtn').style.display = 'inline-block';
+  document.getElementById('adminCategoryFormTitle').scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetCategoryForm() {
+  document.getElementById('adminCategoryForm').reset();
+  document.getElementById('adminCategoryId').value = '';
+  document.getElementById('adminCategoryBtnText').textContent = 'Add Category';
+  document.getElementById('adminCategoryCancelBtn').style.display = 'none';
+  clearFieldErrors('adminCategoryForm');
+}
+
+async function deleteCategory(categoryId) {
+  if (!confirm('Delete this category?')) return;
+  
+  try {
+    await apiCall(`/categories/${categoryId}`, { method: 'DELETE' });
+    showToast('Category deleted');
+    loadCategories();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Catalog import/export
+async function importCatalog(dryRun) {
+  const [file] = document.getElementById('catalogImportFile').files;
+  if (!file) {
+    showToast('Choose a CSV or JSON file first', 'error');
+    return;
+  }
+  
+  const formData = new FormData();
+  formData.append('file', file);
+  
+  try {
+    const report = await apiCall(`/admin/catalog/import?dryRun=${dryRun}`, {
+      method: 'POST',
+      body: formData
+    });
+    renderImportReport(report);
+    
+    if (!dryRun) {
+      showToast('Catalog imported');
+      document.getElementById('catalogImportForm').reset();
+      loadAdminProducts();
+      loadProducts();
+      loadCategories();
+    }
+  } catch (error) {
+    // A rejected import lists its row errors in the details
+    const errors = error.details.filter(detail => detail.row);
+    document.getElementById('catalogImportReport').innerHTML = '';
+    if (errors.length > 0) {
+      renderImportReport({ valid: false, dryRun, errors });
+    }
+    showToast(error.message, 'error');
+  }
+}
+
+function renderImportReport(report) {
+  const container = document.getElementById('catalogImportReport');
+  const { summary } = report;
+  
+  const [created, updated] = report.dryRun ? ['to create', 'to update'] : ['created', 'updated'];
+  const summaryText = summary
+    ? `${summary.rows} row(s): ${summary.productsCreated} product(s) ${created}, ${summary.productsUpdated} ${updated}; ` +
+      `${summary.variantsCreated} variant(s) ${created}, ${summary.variantsUpdated} ${updated}` +
+      (summary.categoriesCreated.length > 0 ? `; new categories: ${summary.categoriesCreated.join(', ')}` : '')
+    : '';
+  
+  container.innerHTML = `
+    <div class="import-report">
+      <p class="points-summary">
+        <strong>${report.valid ? (report.dryRun ? 'Ready to import' : 'Imported') : 'Fix these rows, then try again'}</strong>
+        ${summaryText ? `<br>${summaryText}` : ''}
+      </p>
+      ${(report.errors || []).length > 0 ? `
+        <div class="import-report-errors">
+          ${report.errors.map(error => `
+            <div class="import-report-row">
+              <span>Row ${error.row}</span>
+              <span>${error.field.replace(/^rows\.\d+\./, '')}: ${error.message}</span>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${(report.rows || []).slice(0, 100).map(row => `
+        <div class="import-report-row">
+          <span>Row ${row.row}</span>
+          <span>${row.action === 'create' ? '➕' : '✏️'} ${row.sku} – ${row.product}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+async function exportCatalog(format) {
+  try {
+    const response = await apiCall(`/admin/catalog/export?format=${format}`, { raw: true });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = `catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Admin Inventory: low-stock alerts, receiving/adjusting stock and the stock ledger
+function loadInventory() {
+  loadLowStock();
+  loadStockMovements();
+}
+
+async function loadLowStock() {
+  try {
+    renderLowStock(await apiCall('/admin/inventory/low-stock'));
+  } catch (error) {
+    showToast('Failed to load low-stock alerts', 'error');
+  }
+}
+
+function renderLowStock(variants) {
+  const container = document.getElementById('lowStockAlerts');
+  
+  if (variants.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  container.innerHTML = `
+    <div class="low-stock-alert">
+      <strong>⚠️ ${variants.length} variant(s) low on stock</strong>
+      ${variants.map(variant => `
+        <div class="low-stock-row">
+          <span>
+            ${escapeHtml(variant.product.name)}${variant.name !== 'Standard' ? ` (${escapeHtml(variant.name)})` : ''}
+            · SKU ${escapeHtml(variant.sku)}
+            · <strong>${variant.stock === 0 ? 'Out of stock' : `${variant.stock} left`}</strong>
+            (alert at ${variant.lowStockThreshold})
+          </span>
+          <span>
+            <button class="btn btn-primary btn-small" onclick="receiveStockFor('${escapeHtml(variant.sku)}')">Receive</button>
+            <button class="btn btn-secondary btn-small" onclick="setLowStockThreshold(${variant.id}, ${variant.lowStockThreshold})">Threshold</button>
+            <button class="btn btn-secondary btn-small" onclick="filterStockMovements({ id: ${variant.id}, sku: '${escapeHtml(variant.sku)}' })">History</button>
+          </span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+async function loadStockMovements() {
+  const params = new URLSearchParams({ page: state.stockMovementPage, limit: 20 });
+  const type = document.getElementById('stockMovementTypeFilter').value;
+  if (type) params.set('type', type);
+  if (state.stockMovementVariant) params.set('variantId', state.stockMovementVariant.id);
+  
+  try {
+    const data = await apiCall(`/admin/inventory/movements?${params}`);
+    renderStockMovements(data.movements);
+    renderPagination('stockMovementsPagination', data.pagination, 'goToStockMovementPage');
+  } catch (error) {
+    showToast('Failed to load stock movements', 'error');
+  }
+}
+
+function goToStockMovementPage(page) {
+  state.stockMovementPage = page;
+  loadStockMovements();
+}
+
+// Show the ledger for one variant ({ id, sku }), or for all with null
+function filterStockMovements(variant) {
+  state.stockMovementVariant = variant;
+  state.stockMovementPage = 1;
+  document.getElementById('stockMovementVariantFilter').innerHTML = variant
+    ? `SKU ${escapeHtml(variant.sku)} <button class="link-btn" onclick="filterStockMovements(null)">Show all</button>`
+    : '';
+  loadStockMovements();
+}
+
+function renderStockMovements(movements) {
+  const container = document.getElementById('stockMovementsList');
+  
+  if (movements.length === 0) {
+    container.innerHTML = '<p style="text-align: center; color: #666;">No stock movements yet</p>';
+    return;
+  }
+  
+  container.innerHTML = movements.map(movement => `
+    <div class="admin-product-card stock-movement">
+      <div class="admin-product-info">
+        <div class="admin-product-name">
+          <span class="${movement.quantity > 0 ? 'stock-in' : 'stock-out'}">${movement.quantity > 0 ? '+' : ''}${movement.quantity}</span>
+          ${escapeHtml(movement.product?.name || 'Deleted product')}${movement.variant && movement.variant.name !== 'Standard' ? ` (${escapeHtml(movement.variant.name)})` : ''}
+          <span class="user-role-badge">${movement.type}</span>
+        </div>
+        <div class="admin-product-details">
+          SKU ${escapeHtml(movement.sku)} • stock after: ${movement.stockAfter} • ${new Date(movement.createdAt).toLocaleString()}
+          ${movement.actor ? ` • by ${escapeHtml(movement.actor.name)}` : ''}
+          ${movement.note ? ` • ${escapeHtml(movement.note)}` : ''}
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+async function handleInventorySubmit(e) {
+  e.preventDefault();
+  clearFieldErrors('inventoryForm');
+  
+  const action = document.getElementById('inventoryAction').value;
+  const sku = document.getElementById('inventorySku').value.trim();
+  const quantity = parseInt(document.getElementById('inventoryQuantity').value);
+  const note = document.getElementById('inventoryNote').value.trim() || undefined;
+  
+  const request = action === 'receive'
+    ? { endpoint: '/admin/inventory/receive', body: { items: [{ sku, quantity }], note } }
+    : { endpoint: '/admin/inventory/adjust', body: { sku, quantity, note } };
+  
+  try {
+    await apiCall(request.endpoint, { method: 'POST', body: JSON.stringify(request.body) });
+    showToast(action === 'receive' ? `Received ${quantity} × ${sku}` : `Adjusted ${sku} by ${quantity}`);
+    document.getElementById('inventoryForm').reset();
+    state.stockMovementPage = 1;
+    loadInventory();
+    loadAdminProducts();
+    loadProducts();
+  } catch (error) {
+    showFormError('inventoryForm', error);
+  }
+}
+
+function receiveStockFor(sku) {
+  document.getElementById('inventoryAction').value = 'receive';
+  document.getElementById('inventorySku').value = sku;
+  document.getElementById('inventoryQuantity').focus();
+}
+
+async function setLowStockThreshold(variantId, current) {
+  const value = prompt('Alert when stock is at or below:', current);
+  if (value === null) return;
+  
+  try {
+    await apiCall(`/admin/inventory/variants/${variantId}/threshold`, {
+      method: 'PUT',
+      body: JSON.stringify({ lowStockThreshold: parseInt(value) })
+    });
+    showToast('Low-stock threshold updated');
+    loadLowStock();
+    loadAdminProducts();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Admin Analytics: sales and store-wide sustainability over a date range
+const dateInputValue = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+async function loadAnalytics() {
+  clearFieldErrors('analyticsForm');
+  
+  const fromInput = document.getElementById('analyticsFrom');
+  const toInput = document.getElementById('analyticsTo');
+  if (!fromInput.value && !toInput.value) {
+    const today = new Date();
+    toInput.value = dateInputValue(today);
+    fromInput.value = dateInputValue(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29));
+  }
+  
+  // Whole days in local time: from the start of "from" to the end of "to"
+  const params = new URLSearchParams({ interval: document.getElementById('analyticsInterval').value });
+  if (fromInput.value) params.set('from', new Date(`${fromInput.value}T00:00:00`).toISOString());
+  if (toInput.value) params.set('to', new Date(`${toInput.value}T23:59:59.999`).toISOString());
+  
+  try {
+    const [sales, sustainability] = await Promise.all([
+      apiCall(`/admin/analytics/sales?${params}`),
+      apiCall(`/admin/analytics/sustainability?${params}`)
+    ]);
+    renderSalesAnalytics(sales);
+    renderSustainabilityAnalytics(sustainability);
+  } catch (error) {
+    showFormError('analyticsForm', error);
+  }
+}
+
+// Bar chart of series[field]; label formats a bar's tooltip
+function renderAnalyticsChart(containerId, series, field, label, color = '') {
+  const container = document.getElementById(containerId);
+  const max = Math.max(...series.map(row => row[field]), 0);
+  
+  document.getElementById(`${containerId}Labels`).innerHTML = series.length > 0
+    ? `<span>${series[0].period}</span><span>${series[series.length - 1].period}</span>`
+    : '';
+  
+  if (max === 0) {
+    container.innerHTML = '<p style="margin: auto; color: #666;">Nothing in this range</p>';
+    return;
+  }
+  
+  container.innerHTML = series.map(row => `
+    <div class="analytics-bar ${color}" style="height: ${(row[field] / max) * 100}%;" title="${row.period}: ${label(row)}"></div>
+  `).join('');
+}
+
+function renderSalesAnalytics(sales) {
+  const money = value => `$${value.toFixed(2)}`;
+  const { totals } = sales;
+  
+  document.getElementById('analyticsRevenue').textContent = money(totals.revenue);
+  document.getElementById('analyticsOrders').textContent = totals.orders;
+  document.getElementById('analyticsAov').textContent = money(totals.averageOrderValue);
+  document.getElementById('analyticsUnits').textContent = totals.unitsSold;
+  
+  document.getElementById('analyticsSalesSummary').innerHTML = `
+    Subtotal ${money(totals.subtotal)} • discounts ${money(totals.discounts)} • tax ${money(totals.tax)} • shipping ${money(totals.shipping)}
+    ${totals.cancelledOrders > 0 ? `<br><small>${totals.cancelledOrders} cancelled order(s) not counted</small>` : ''}
+  `;
+  
+  renderAnalyticsChart('analyticsRevenueChart', sales.series, 'revenue', row => `${money(row.revenue)} from ${row.orders} order(s)`);
+  
+  const container = document.getElementById('analyticsTopProducts');
+  if (sales.topProducts.length === 0) {
+    container.innerHTML = '<p style="text-align: center; color: #666;">No sales in this range</p>';
+    return;
+  }
+  
+  container.innerHTML = sales.topProducts.map((entry, index) => `
+    <div class="points-entry">
+      <span>
+        <strong>${index + 1}.</strong>
+        ${escapeHtml(entry.product?.name || 'Deleted product')}
+        ${entry.product?.isEcoFriendly ? '<span title="Eco-friendly">🌿</span>' : ''}
+      </span>
+      <span>${entry.unitsSold} sold • <strong>${money(entry.revenue)}</strong></span>
+    </div>
+  `).join('');
+}
+
+// Bars for an { [field], orders, share } distribution
+function renderDistribution(containerId, title, rows, field) {
+  document.getElementById(containerId).innerHTML = `
+    <h4>${title}</h4>
+    ${rows.length === 0 ? '<p style="color: #666;">No orders in this range</p>' : rows.map(row => `
+      <div class="distribution-row">
+        <div class="distribution-label">
+          <span>${escapeHtml(row[field])}</span>
+          <span>${row.orders} order(s) • ${row.share}%</span>
+        </div>
+        <div class="distribution-track"><div class="distribution-fill" style="width: ${row.share}%;"></div></div>
+      </div>
+    `).join('')}
+  `;
+}
+
+function renderSustainabilityAnalytics(data) {
+  const { totals } = data;
+  
+  document.getElementById('analyticsImpact').innerHTML = `
+    <div class="impact-metric">
+      <div class="impact-metric-value">${totals.totalCO2} kg</div>
+      <div class="impact-metric-label">CO₂ across orders</div>
+    </div>
+    <div class="impact-metric">
+      <div class="impact-metric-value">${totals.co2PerOrder} kg</div>
+      <div class="impact-metric-label">CO₂ per order</div>
+    </div>
+    <div class="impact-metric">
+      <div class="impact-metric-value">${totals.totalPlastic} g</div>
+      <div class="impact-metric-label">Plastic across orders</div>
+    </div>
+    <div class="impact-metric">
+      <div class="impact-metric-value">${totals.co2Saved} kg</div>
+      <div class="impact-metric-label">CO₂ saved vs conventional</div>
+    </div>
+    <div class="impact-metric">
+      <div class="impact-metric-value">${totals.plasticSaved} g</div>
+      <div class="impact-metric-label">Plastic saved vs conventional</div>
+    </div>
+    <div class="impact-metric">
+      <div class="impact-metric-value">${totals.shippingCO2} kg</div>
+      <div class="impact-metric-label">CO₂ from shipping</div>
+    </div>
+    <div class="impact-metric">
+      <div class="impact-metric-value">${totals.ecoProductShare}%</div>
+      <div class="impact-metric-label">Eco products in units sold</div>
+    </div>
+    <div class="impact-metric">
+      <div class="impact-metric-value">${totals.catalogEcoShare}%</div>
+      <div class="impact-metric-label">Eco products in catalog</div>
+    </div>
+  `;
+  
+  renderAnalyticsChart('analyticsCo2Chart', data.series, 'co2', row => `${row.co2} kg CO₂, ${row.plastic} g plastic`, 'green');
+  renderDistribution('analyticsPackaging', 'Packaging', data.packaging, 'packagingType');
+  renderDistribution('analyticsShipping', 'Shipping', data.shippingMethods, 'shippingMethod');
+}
+
+// Admin Reviews
+async function loadAdminReviews() {
+  const status = document.getElementById('adminReviewStatusFilter').value;
+  
+  try {
+    const data = await apiCall(`/admin/reviews?status=${status}&page=${state.adminReviewPage}`);
+    renderAdminReviews(data.reviews);
+    renderPagination('adminReviewsPagination', data.pagination, 'goToAdminReviewPage');
+  } catch (error) {
+    showToast('Failed to load reviews', 'error');
+  }
+}
+
+function goToAdminReviewPage(page) {
+  state.adminReviewPage = page;
+  loadAdminReviews();
+}
+
+function filterAdminReviews() {
+  state.adminReviewPage = 1;
+  loadAdminReviews();
+}
+
+function renderAdminReviews(reviews) {
+  const container = document.getElementById('adminReviewsList');
+  
+  if (reviews.length === 0) {
+    container.innerHTML = '<p style="text-align: center; color: #666;">No reviews here</p>';
+    return;
+  }
+  
+  container.innerHTML = reviews.map(review => `
+    <div class="admin-product-card">
+      <div class="admin-product-info">
+        <div class="admin-product-name">
+          <span class="rating-stars">${renderStars(review.rating)}</span>
+          ${escapeHtml(review.title || review.product.name)}
+          <span class="user-role-badge">${review.status}</span>
+        </div>
+        <div class="admin-product-details">
+          ${escapeHtml(review.product.name)} • by ${escapeHtml(review.user.name)} • ${new Date(review.createdAt).toLocaleDateString()}
+          ${review.ecoClaimRating ? ` • ♻️ eco claims ${review.ecoClaimRating}/5` : ''}
+        </div>
+        ${review.body ? `<div class="admin-product-details">${escapeHtml(review.body)}</div>` : ''}
+      </div>
+      <div class="admin-product-actions">
+        ${review.status !== 'approved' ? `<button class="btn btn-primary btn-small" onclick="moderateReview(${review.id}, 'approved')">Approve</button>` : ''}
+        ${review.status !== 'rejected' ? `<button class="btn btn-secondary btn-small" onclick="moderateReview(${review.id}, 'rejected')">Reject</button>` : ''}
+        <button class="btn btn-danger btn-small" onclick="deleteReview(${review.id})">Delete</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+async function moderateReview(reviewId, status) {
+  const note = status === 'rejected' ? prompt('Reason for rejecting (optional):') : undefined;
+  if (note === null) return;
+  
+  try {
+    await apiCall(`/admin/reviews/${reviewId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, note: note || undefined })
+    });
+    showToast(`Review ${status}`);
+    loadAdminReviews();
+    loadProducts();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function deleteReview(reviewId) {
+  if (!confirm('Delete this review?')) return;
+  
+  try {
+    await apiCall(`/admin/reviews/${reviewId}`, { method: 'DELETE' });
+    showToast('Review deleted');
+    loadAdminReviews();
+    loadProducts();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Admin Promotions
+async function loadAdminPromotions() {
+  try {
+    const data = await apiCall(`/admin/promotions?page=${state.adminPromotionPage}`);
+    renderAdminPromotions(data.promotions);
+    renderPagination('adminPromotionsPagination', data.pagination, 'goToAdminPromotionPage');
+  } catch (error) {
+    showToast('Failed to load promotions', 'error');
+  }
+}
+
+function goToAdminPromotionPage(page) {
+  state.adminPromotionPage = page;
+  loadAdminPromotions();
+}
+
+function describePromotion(promotion) {
+  const value = parseFloat(promotion.value);
+  const rules = [promotion.type === 'percentage' ? `${value}% off` : `$${value.toFixed(2)} off`];
+  if (promotion.minSpend !== null) rules.push(`min $${parseFloat(promotion.minSpend).toFixed(2)}`);
+  if (promotion.minEcoPercentage !== null) rules.push(`🌿 eco share > ${promotion.minEcoPercentage}%`);
+  if (promotion.expiresAt) rules.push(`expires ${new Date(promotion.expiresAt).toLocaleDateString()}`);
+  rules.push(`used ${promotion.usageCount}${promotion.usageLimit !== null ? `/${promotion.usageLimit}` : ''}`);
+  return rules.join(' • ');
+}
+
+function renderAdminPromotions(promotions) {
+  const container = document.getElementById('adminPromotionsList');
+  
+  if (promotions.length === 0) {
+    container.innerHTML = '<p style="text-align: center; color: #666;">No promotions yet</p>';
+    return;
+  }
+  
+  container.innerHTML = promotions.map(promotion => `
+    <div class="admin-product-card">
+      <div class="admin-product-info">
+        <div class="admin-product-name">
+          ${promotion.name}
+          <span class="user-role-badge">${promotion.code || 'automatic'}</span>
+          ${promotion.isActive ? '' : '<span class="user-role-badge disabled">inactive</span>'}
+        </div>
+        <div class="admin-product-details">${describePromotion(promotion)}</div>
+      </div>
+      <div class="admin-product-actions">
+        <button class="btn btn-secondary btn-small" onclick="setPromotionActive(${promotion.id}, ${!promotion.isActive})">
+          ${promotion.isActive ? 'Deactivate' : 'Activate'}
+        </button>
+        <button class="btn btn-danger btn-small" onclick="deletePromotion(${promotion.id})">Delete</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+async function handleAdminPromotionSubmit(e) {
+  e.preventDefault();
+  clearFieldErrors('adminPromotionForm');
+  
+  // Empty optional fields are sent as null
+  const optionalNumber = id => {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : parseFloat(value);
+  };
+  const expiresAt = document.getElementById('promotionExpiresAt').value;
+  
+  const promotion = {
+    name: document.getElementById('promotionName').value.trim(),
+    code: document.getElementById('promotionCode').value.trim() || null,
+    type: document.getElementById('promotionType').value,
+    value: parseFloat(document.getElementById('promotionValue').value),
+    minSpend: optionalNumber('promotionMinSpend'),
+    minEcoPercentage: optionalNumber('promotionMinEco'),
+    usageLimit: optionalNumber('promotionUsageLimit'),
+    perUserLimit: optionalNumber('promotionPerUserLimit'),
+    expiresAt: expiresAt ? new Date(`${expiresAt}T23:59:59`).toISOString() : null,
+    autoApply: document.getElementById('promotionAutoApply').checked
+  };
+  
+  try {
+    await apiCall('/admin/promotions', {
+      method: 'POST',
+      body: JSON.stringify(promotion)
+    });
+    showToast('Promotion created');
+    document.getElementById('adminPromotionForm').reset();
+    loadAdminPromotions();
+  } catch (error) {
+    showFormError('adminPromotionForm', error);
+  }
+}
+
+async function setPromotionActive(promotionId, isActive) {
+  try {
+    await apiCall(`/admin/promotions/${promotionId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ isActive })
+    });
+    loadAdminPromotions();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function deletePromotion(promotionId) {
+  if (!confirm('Delete this promotion? Past orders keep their discount records.')) return;
+  
+  try {
+    await apiCall(`/admin/promotions/${promotionId}`, { method: 'DELETE' });
+    showToast('Promotion deleted');
+    loadAdminPromotions();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Admin User Management
+async function loadAdminUsers() {
+  const params = new URLSearchParams({ page: state.adminUserPage });
+  const search = document.getElementById('adminUserSearch').value.trim();
+  const role = document.getElementById('adminUserRoleFilter').value;
+  if (search) params.set('search', search);
+  if (role) params.set('role', role);
+  
+  try {
+    const data = await apiCall(`/admin/users?${params}`);
+    renderAdminUsers(data.users);
+    renderPagination('adminUsersPagination', data.pagination, 'goToAdminUserPage');
+  } catch (error) {
+    showToast('Failed to load users', 'error');
+  }
+}
+
+function filterAdminUsers() {
+  state.adminUserPage = 1;
+  loadAdminUsers();
+}
+
+function goToAdminUserPage(page) {
+  state.adminUserPage = page;
+  loadAdminUsers();
+}
+
+function renderAdminUsers(users) {
+  const container = document.getElementById('adminUsersList');
+  
+  if (users.length === 0) {
+    container.innerHTML = '<p style="text-align: center; color: #666;">No users found</p>';
+    return;
+  }
+  
+  container.innerHTML = users.map(user => {
+    const isSelf = state.user && state.user.id === user.id;
+    return `
+      <div class="admin-product-card">
+        <div class="admin-product-info">
+          <div class="admin-product-name">
+            ${escapeHtml(user.name)}
+            <span class="user-role-badge ${user.role}">${user.role}</span>
+            ${user.isDisabled ? '<span class="user-role-badge disabled">disabled</span>' : ''}
+          </div>
+          <div class="admin-product-details">
+            <span>${escapeHtml(user.email)}</span> • 
+            <span>${user._count.orders} orders</span> • 
+            <span>⭐ ${user.greenPoints} pts</span>
+          </div>
+        </div>
+        ${isSelf ? '' : `
+          <div class="admin-product-actions">
+            <button class="btn btn-secondary btn-small" onclick="setUserRole(${user.id}, '${user.role === 'admin' ? 'user' : 'admin'}')">
+              ${user.role === 'admin' ? 'Demote' : 'Promote'}
+            </button>
+            <button class="btn btn-secondary btn-small" onclick="adjustUserPoints(${user.id})">Adjust Points</button>
+            <button class="btn btn-secondary btn-small" onclick="setUserDisabled(${user.id}, ${!user.isDisabled})">
+              ${user.isDisabled ? 'Enable' : 'Disable'}
+            </button>
+            <button class="btn btn-danger btn-small" onclick="deleteAdminUser(${user.id})">Delete</button>
+          </div>
+        `}
+      </div>
+    `;
+  }).join('');
+}
+
+async function setUserRole(userId, role) {
+  try {
+    await apiCall(`/admin/users/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    });
+    showToast(role === 'admin' ? 'User promoted to admin' : 'User demoted');
+    loadAdminUsers();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Add (positive) or remove (negative) green points, with a note for the user's ledger
+async function adjustUserPoints(userId) {
+  const amount = prompt('Points to add (use a negative number to remove):');
+  if (amount === null) return;
+  const points = parseInt(amount);
+  if (!points) {
+    showToast('Enter a whole number other than zero', 'error');
+    return;
+  }
+  const note = prompt('Reason for the adjustment (shown to the user):');
+  if (!note) return;
+  
+  try {
+    await apiCall(`/admin/users/${userId}/points`, {
+      method: 'POST',
+      body: JSON.stringify({ points, note })
+    });
+    showToast('Green points adjusted');
+    loadAdminUsers();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function setUserDisabled(userId, disabled) {
+  try {
+    await apiCall(`/admin/users/${userId}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ disabled })
+    });
+    showToast(disabled ? 'User disabled' : 'User enabled');
+    loadAdminUsers();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function deleteAdminUser(userId) {
+  if (!confirm('Delete this user? Users with orders can only be disabled.')) return;
+  
+  try {
+    await apiCall(`/admin/users/${userId}`, { method: 'DELETE' });
+    showToast('User deleted');
+    loadAdminUsers();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Account Functions
+async function loadSessions() {
+  try {
+    const sessions = await apiCall('/auth/sessions');
+    renderSessions(sessions);
+  } catch (error) {
+    showToast('Failed to load sessions', 'error');
+  }
+}
+
+function renderSessions(sessions) {
+  const container = document.getElementById('sessionsList');
+  
+  container.innerHTML = sessions.map(session => `
+    <div class="leaderboard-item">
+      <div class="leaderboard-name">
+        ${escapeHtml(session.userAgent || 'Unknown device')}
+        ${session.current ? '<span class="user-role-badge">This device</span>' : ''}
+      </div>
+      <div class="leaderboard-stats">
+        <div style="font-size: 0.85rem; color: #666;">
+          Last active ${new Date(session.lastUsedAt).toLocaleString()}${session.ipAddress ? ` • ${escapeHtml(session.ipAddress)}` : ''}
+        </div>
+        ${session.current ? '' : `
+          <button class="btn btn-danger btn-small" onclick="revokeSession(${session.id})">Sign out</button>
+        `}
+      </div>
+    </div>
+  `).join('');
+}
+
+// Saved addresses
+async function loadAddresses() {
+  try {
+    const addresses = await apiCall('/addresses');
+    renderAddresses(addresses);
+  } catch (error) {
+    showToast('Failed to load addresses', 'error');
+  }
+}
+
+function renderAddresses(addresses) {
+  const container = document.getElementById('addressesList');
+  
+  if (addresses.length === 0) {
+    container.innerHTML = '<p style="color: #666;">No saved addresses yet</p>';
+    return;
+  }
+  
+  container.innerHTML = addresses.map(address => `
+    <div class="leaderboard-item">
+      <div class="leaderboard-name">
+        ${escapeHtml(address.label || address.recipientName)}
+        ${address.isDefault ? '<span class="user-role-badge">Default</span>' : ''}
+        <div style="font-size: 0.85rem; color: #666;">
+          ${escapeHtml(address.recipientName)}, ${escapeHtml(address.line1)}${address.line2 ? `, ${escapeHtml(address.line2)}` : ''},
+          ${escapeHtml(address.city)}${address.region ? `, ${escapeHtml(address.region)}` : ''} ${escapeHtml(address.postalCode)}, ${escapeHtml(address.country)}
+        </div>
+      </div>
+      <div class="leaderboard-stats">
+        ${address.isDefault ? '' : `
+          <button class="btn btn-secondary btn-small" onclick="setDefaultAddress(${address.id})">Make default</button>
+        `}
+        <button class="btn btn-danger btn-small" onclick="deleteAddress(${address.id})">Delete</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+async function handleAddressSubmit(e) {
+  e.preventDefault();
+  clearFieldErrors('addressForm');
+  
+  const fields = FORM_FIELDS.addressForm;
+  const address = Object.fromEntries(
+    Object.entries(fields).map(([field, inputId]) => [field, document.getElementById(inputId).value.trim()])
+  );
+  
+  try {
+    await apiCall('/addresses', {
+      method: 'POST',
+      body: JSON.stringify(address)
+    });
+    showToast('Address saved');
+    document.getElementById('addressForm').reset();
+    loadAddresses();
+  } catch (error) {
+    showFormError('addressForm', error);
+  }
+}
+
+async function setDefaultAddress(addressId) {
+  try {
+    await apiCall(`/addresses/${addressId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ isDefault: true })
+    });
+    loadAddresses();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function deleteAddress(addressId) {
+  if (!confirm('Delete this address?')) return;
+  
+  try {
+    await apiCall(`/addresses/${addressId}`, { method: 'DELETE' });
+    showToast('Address deleted');
+    loadAddresses();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function revokeSession(sessionId) {
+  try {
+    await apiCall(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    showToast('Device signed out');
+    loadSessions();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function revokeOtherSessions() {
+  if (!confirm('Sign out of all other devices?')) return;
+  
+  try {
+    const result = await apiCall('/auth/sessions', { method: 'DELETE' });
+    showToast(`Signed out ${result.revoked} other device(s)`);
+    loadSessions();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Sustainability Functions
+async function loadSustainabilityDashboard() {
+  if (!state.token) return;
+  
+  try {
+    console.log('Loading sustainability dashboard...');
+    
+    const dashboard = await apiCall('/sustainability/dashboard');
+    console.log('Dashboard data:', dashboard);
+    state.sustainabilityData = dashboard;
+    
+    const preferences = await apiCall('/sustainability/preferences');
+    console.log('Preferences data:', preferences);
+    
+    const leaderboard = await apiCall('/sustainability/leaderboard');
+    console.log('Leaderboard data:', leaderboard);
+    
+    const history = await apiCall('/sustainability/history?months=12');
+    state.sustainabilityHistory = history;
+    
+    await loadCartImpact();
+    await loadPointsHistory();
+    
+    renderSustainabilityDashboard(dashboard, preferences, leaderboard, history);
+  } catch (error) {
+    console.error('Failed to load sustainability dashboard:', error);
+    showToast('Failed to load sustainability data', 'error');
+  }
+}
+
+function renderSustainabilityDashboard(dashboard, preferences, leaderboard, history) {
   const co2Saved = dashboard.totalCO2Saved || 0;
   const plasticSaved = dashboard.totalPlasticSaved || 0;
   const greenPoints = dashboard.greenPoints || 0;
@@ -780,28 +3086,177 @@ function renderSustainabilityDashboard(dashboard, preferences, leaderboard) {
   document.getElementById('plasticSaved').textContent = `${plasticSaved.toFixed(0)} g`;
   document.getElementById('greenPoints').textContent = greenPoints;
   document.getElementById('userRank').textContent = `#${globalRank}`;
+  document.getElementById('savingsMethodology').innerHTML = `
+    Your purchases' footprint: <strong>${(dashboard.totalCO2 || 0).toFixed(1)} kg CO₂</strong> and
+    <strong>${(dashboard.totalPlastic || 0).toFixed(0)} g plastic</strong>.
+    ${dashboard.methodology ? `<br><small>${escapeHtml(dashboard.methodology.summary)}</small>` : ''}
+  `;
   
   document.getElementById('packagingPref').value = preferences.packagingPreference || 'standard';
   document.getElementById('notifyGreenDeals').checked = preferences.notifyGreenDeals || false;
   document.getElementById('showCarbonFootprint').checked = preferences.showCarbonFootprint !== false;
   
+  renderSustainabilityHistory();
+  renderGoals(history.goals);
   renderLeaderboard(leaderboard);
 }
 
+// Monthly history and goals
+const HISTORY_UNITS = { co2: ' kg', plastic: ' g', co2Saved: ' kg', greenPoints: ' points', ecoShare: '%' };
+
+// Whether value meets goal ("max" goals are limits, "min" goals are targets)
+const meetsGoal = (goal, value) => (goal.direction === 'max' ? value <= goal.target : value >= goal.target);
+
+// Chart of the metric picked in #historyMetric over state.sustainabilityHistory
+function renderSustainabilityHistory() {
+  const history = state.sustainabilityHistory;
+  if (!history) return;
+  
+  const metric = document.getElementById('historyMetric').value;
+  const unit = HISTORY_UNITS[metric];
+  const months = history.months.map(row => ({ ...row, period: row.month }));
+  const goal = history.goals.find(entry => entry.metric === metric);
+  
+  renderAnalyticsChart('historyChart', months, metric, row => `${row[metric]}${unit} from ${row.orders} order(s)${goal ? (meetsGoal(goal, row[metric]) ? ', goal met' : ', goal missed') : ''}`, 'green');
+  
+  // Eco share is a percentage per month, so average it over the months with orders
+  const withOrders = months.filter(row => row.orders > 0);
+  const summary = metric === 'ecoShare'
+    ? `Average: <strong>${withOrders.length > 0 ? Math.round(withOrders.reduce((sum, row) => sum + row.ecoShare, 0) / withOrders.length) : 0}%</strong> over ${withOrders.length} month(s) with orders`
+    : `Last ${months.length} months: <strong>${Math.round(months.reduce((sum, row) => sum + row[metric], 0) * 10) / 10}${unit}</strong>`;
+  
+  document.getElementById('historySummary').innerHTML = `
+    ${summary}
+    ${goal ? `<br><small>Goal: ${goal.direction === 'max' ? 'at most' : 'at least'} ${goal.target}${unit} a month, met in ${months.filter(row => meetsGoal(goal, row[metric])).length} of ${months.length} months</small>` : ''}
+  `;
+}
+
+// Goals with progress this month
+function renderGoals(goals) {
+  const container = document.getElementById('goalsList');
+  if (goals.length === 0) {
+    container.innerHTML = '<p style="color: #666;">No goals yet. Set a monthly target below and track it here.</p>';
+    return;
+  }
+  
+  container.innerHTML = goals.map(goal => {
+    const unit = HISTORY_UNITS[goal.metric];
+    const status = goal.met ? '✅' : goal.direction === 'max' ? '⚠️' : '⏳';
+    return `
+      <div class="distribution-row">
+        <div class="distribution-label">
+          <span>${status} <strong>${escapeHtml(goal.label)}</strong>: ${goal.current}${unit} this month, goal ${goal.direction === 'max' ? 'at most' : 'at least'} ${goal.target}${unit}</span>
+          <span>${goal.progress}% <button class="btn btn-danger btn-small" onclick="removeGoal('${goal.metric}')">Remove</button></span>
+        </div>
+        <div class="distribution-track">
+          <div class="distribution-fill ${goal.direction === 'max' && !goal.met ? 'over' : ''}" style="width: ${Math.min(goal.progress, 100)}%;"></div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Refetch the history after goals change
+async function reloadSustainabilityHistory() {
+  const history = await apiCall('/sustainability/history?months=12');
+  state.sustainabilityHistory = history;
+  renderSustainabilityHistory();
+  renderGoals(history.goals);
+}
+
+async function handleGoalSubmit(e) {
+  e.preventDefault();
+  clearFieldErrors('goalForm');
+  
+  const metric = document.getElementById('goalMetric').value;
+  const target = document.getElementById('goalTarget').value;
+  
+  try {
+    await apiCall(`/sustainability/goals/${metric}`, {
+      method: 'PUT',
+      body: JSON.stringify({ target: target === '' ? undefined : Number(target) })
+    });
+    
+    document.getElementById('goalTarget').value = '';
+    showToast('Goal saved! 🎯');
+    await reloadSustainabilityHistory();
+  } catch (error) {
+    showFormError('goalForm', error);
+  }
+}
+
+async function removeGoal(metric) {
+  try {
+    await apiCall(`/sustainability/goals/${metric}`, { method: 'DELETE' });
+    showToast('Goal removed');
+    await reloadSustainabilityHistory();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Green points ledger (newest first)
+async function loadPointsHistory() {
+  try {
+    const data = await apiCall(`/sustainability/points?page=${state.pointsPage}&limit=10`);
+    renderPointsHistory(data);
+    renderPagination('pointsHistoryPagination', data.pagination, 'goToPointsPage');
+  } catch (error) {
+    console.error('Failed to load points history:', error);
+  }
+}
+
+function goToPointsPage(page) {
+  state.pointsPage = page;
+  loadPointsHistory();
+}
+
+function renderPointsHistory(data) {
+  document.getElementById('pointsSummary').innerHTML = `
+    Balance: <strong>${data.balance} points</strong> (worth $${(data.balance / data.pointsPerDollar).toFixed(2)} at checkout)
+    ${data.expiringSoon > 0 ? `<br><small>${data.expiringSoon} points expire in the next 30 days</small>` : ''}
+  `;
+  
+  const container = document.getElementById('pointsHistory');
+  if (data.entries.length === 0) {
+    container.innerHTML = '<p style="text-align: center; color: #666;">No points yet. Buy eco-friendly products to start earning!</p>';
+    return;
+  }
+  
+  container.innerHTML = data.entries.map(entry => `
+    <div class="points-entry">
+      <div>
+        <div class="points-entry-type">${entry.type}</div>
+        <div class="points-entry-note">
+          ${new Date(entry.createdAt).toLocaleDateString()}${entry.note ? ` — ${escapeHtml(entry.note)}` : ''}
+          ${entry.remaining > 0 && entry.expiresAt ? `<br><small>${entry.remaining} unspent, expires ${new Date(entry.expiresAt).toLocaleDateString()}</small>` : ''}
+        </div>
+      </div>
+      <div class="points-entry-amount ${entry.points > 0 ? 'positive' : 'negative'}">
+        ${entry.points > 0 ? '+' : ''}${entry.points}
+        <div class="points-entry-note">Balance ${entry.balanceAfter}</div>
+      </div>
+    </div>
+  `).join('');
+}
+
 async function loadCartImpact() {
   if (!state.token) return;
   
   try {
-    const impact = await apiCall('/sustainability/cart-impact');
+    const [impact, alternatives] = await Promise.all([
+      apiCall('/sustainability/cart-impact'),
+      apiCall('/sustainability/alternatives')
+    ]);
     console.log('Cart impact data:', impact);
     state.cartImpact = impact;
-    renderCartImpact(impact);
+    renderCartImpact(impact, alternatives);
   } catch (error) {
     console.error('Failed to load cart impact:', error);
   }
 }
 
-function renderCartImpact(impact) {
+function renderCartImpact(impact, alternatives) {
   const container = document.getElementById('cartImpact');
   
   if (!impact || impact.totalItems === 0) {
@@ -825,6 +3280,16 @@ function renderCartImpact(impact) {
         <div class="impact-metric-label">Plastic Content</div>
       </div>
       
+      <div class="impact-metric">
+        <div class="impact-metric-value" style="color: #4caf50;">${(impact.co2Saved || 0).toFixed(1)} kg</div>
+        <div class="impact-metric-label">CO₂ Saved vs Conventional</div>
+      </div>
+      
+      <div class="impact-metric">
+        <div class="impact-metric-value" style="color: #4caf50;">${(impact.plasticSaved || 0).toFixed(0)} g</div>
+        <div class="impact-metric-label">Plastic Saved vs Conventional</div>
+      </div>
+      
       <div class="impact-metric">
         <div class="impact-metric-value">${impact.ecoFriendlyItems || 0}/${impact.totalItems || 0}</div>
         <div class="impact-metric-label">Eco-Friendly Items</div>
@@ -840,9 +3305,58 @@ function renderCartImpact(impact) {
         <div class="impact-metric-label">Potential Green Points</div>
       </div>
     </div>
+    ${renderGreenerAlternatives(alternatives)}
+  `;
+}
+
+// Greener same-category products for each cart line, with a one-click swap
+function renderGreenerAlternatives(alternatives) {
+  const lines = (alternatives?.items || []).filter(item => item.alternatives.length > 0);
+  if (lines.length === 0) return '';
+  
+  const money = value => `${value > 0 ? '+' : value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+  
+  return `
+    <div class="greener-alternatives">
+      <h4>🌿 Greener alternatives</h4>
+      <p class="points-summary">
+        Swapping to the top suggestion for each item would save up to
+        <strong>${alternatives.potentialCO2Saving.toFixed(1)} kg CO₂</strong> and
+        <strong>${alternatives.potentialPlasticSaving.toFixed(0)} g plastic</strong>.
+      </p>
+      ${lines.map(line => `
+        <div class="alternative-line">
+          <div class="alternative-line-name">Instead of <strong>${escapeHtml(line.name)}</strong> × ${line.quantity}:</div>
+          ${line.alternatives.map(alternative => `
+            <div class="alternative-option">
+              <span>
+                ${escapeHtml(alternative.product.name)}${alternative.variant.name !== 'Standard' ? ` (${escapeHtml(alternative.variant.name)})` : ''}
+                <span class="stock-in">−${alternative.co2Saving.toFixed(1)} kg CO₂ · −${alternative.plasticSaving.toFixed(0)} g plastic</span>
+                <small>${money(alternative.priceDifference)}</small>
+              </span>
+              <button class="btn btn-primary btn-small" onclick="swapCartItem(${line.cartItemId}, ${alternative.product.id}, ${alternative.variant.id})">Swap</button>
+            </div>
+          `).join('')}
+        </div>
+      `).join('')}
+    </div>
   `;
 }
 
+async function swapCartItem(cartItemId, productId, variantId) {
+  try {
+    const cartItem = await apiCall(`/cart/${cartItemId}/swap`, {
+      method: 'POST',
+      body: JSON.stringify({ productId, variantId })
+    });
+    showToast(`Swapped to ${cartItem.product.name}`);
+    // Reloads the cart impact too on the sustainability page
+    await loadCart();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
 function renderLeaderboard(leaderboard) {
   const container = document.getElementById('leaderboard');
   
@@ -854,7 +3368,7 @@ function renderLeaderboard(leaderboard) {
   container.innerHTML = leaderboard.map((user, index) => `
     <div class="leaderboard-item">
       <div class="leaderboard-rank">${getRankEmoji(index + 1)}${index + 1}</div>
-      <div class="leaderboard-name">${user.name}</div>
+      <div class="leaderboard-name">${escapeHtml(user.name)}</div>
       <div class="leaderboard-stats">
         <div class="leaderboard-points">⭐ ${user.greenPoints || 0} pts</div>
         <div style="font-size: 0.85rem; color: #666;">
@@ -902,3 +3416,42 @@ window.cancelOrder = cancelOrder;
 window.editAdminProduct = editAdminProduct;
 window.deleteAdminProduct = deleteAdminProduct;
 window.loadCartImpact = loadCartImpact;
+window.swapCartItem = swapCartItem;
+window.removeGoal = removeGoal;
+window.goToProductPage = goToProductPage;
+window.goToAdminProductPage = goToAdminProductPage;
+window.toggleScoreBreakdown = toggleScoreBreakdown;
+window.goToAdminUserPage = goToAdminUserPage;
+window.setUserRole = setUserRole;
+window.setUserDisabled = setUserDisabled;
+window.deleteAdminUser = deleteAdminUser;
+window.revokeSession = revokeSession;
+window.setDefaultAddress = setDefaultAddress;
+window.goToAdminPromotionPage = goToAdminPromotionPage;
+window.setPromotionActive = setPromotionActive;
+window.deletePromotion = deletePromotion;
+window.deleteAddress = deleteAddress;
+window.goToAdminOrderPage = goToAdminOrderPage;
+window.setOrderStatus = setOrderStatus;
+window.goToPointsPage = goToPointsPage;
+window.selectVariant = selectVariant;
+window.adjustUserPoints = adjustUserPoints;
+window.editCategory = editCategory;
+window.deleteCategory = deleteCategory;
+window.moveProductImage = moveProductImage;
+window.deleteProductImage = deleteProductImage;
+window.exportCatalog = exportCatalog;
+window.toggleReviews = toggleReviews;
+window.submitReview = submitReview;
+window.goToAdminReviewPage = goToAdminReviewPage;
+window.moderateReview = moderateReview;
+window.deleteReview = deleteReview;
+window.addToWishlist = addToWishlist;
+window.saveForLater = saveForLater;
+window.moveToCart = moveToCart;
+window.setWishlistAlert = setWishlistAlert;
+window.removeFromWishlist = removeFromWishlist;
+window.receiveStockFor = receiveStockFor;
+window.setLowStockThreshold = setLowStockThreshold;
+window.filterStockMovements = filterStockMovements;
+window.goToStockMovementPage = goToStockMovementPage;